@@ -0,0 +1,358 @@
+// Andon Calls
+// An agent pulls the Andon on their line for missing material, a quality
+// problem, a breakdown or a safety hazard. Calls move open -> acknowledged ->
+// resolved; while one is unresolved the line shows as stopped (or in alert
+// when it keeps running). Each call notifies the responder role of its type
+// and moves up one role every ANDON_ESCALATION_MINUTES nobody acknowledges it.
+// Start and end times make stop-the-line calls the downtime events used by
+// the OEE and the downtime Pareto.
+const ANDON_TYPES = {
+    material: { label: 'Manque matériel', icon: 'fa-box-open', responder: 'Manutentionnaire', stopsLine: true },
+    quality: { label: 'Qualité', icon: 'fa-search', responder: 'Chef d\'équipe', stopsLine: false },
+    maintenance: { label: 'Maintenance', icon: 'fa-tools', responder: 'Chef d\'équipe', stopsLine: true },
+    safety: { label: 'Sécurité', icon: 'fa-hard-hat', responder: 'Chef d\'équipe', stopsLine: true, escalationMinutes: 2 }
+};
+
+const ANDON_STATES = {
+    open: { label: 'Ouvert', badge: 'status-danger', timestamp: 'started_at' },
+    acknowledged: { label: 'Pris en charge', badge: 'status-warning', timestamp: 'acknowledged_at', actor: 'acknowledged_by', actorName: 'acknowledger_name' },
+    resolved: { label: 'Résolu', badge: 'status-success', timestamp: 'resolved_at', actor: 'resolved_by', actorName: 'resolver_name' }
+};
+
+const ANDON_TRANSITIONS = {
+    open: ['acknowledged', 'resolved'],
+    acknowledged: ['resolved'],
+    resolved: []
+};
+
+const ANDON_ACTIVE_STATUSES = ['open', 'acknowledged'];
+const ANDON_ESCALATION_MINUTES = 5;
+const ANDON_ESCALATION_CHECK_INTERVAL = 60000;
+
+// Roles an unacknowledged call climbs through, after its first responder
+const ANDON_ESCALATION_ROLES = ['Chef d\'équipe', 'Superviseur', 'Sous-directeur'];
+
+const ANDON_LINE_STATUSES = {
+    running: { label: 'En fonctionnement', className: 'running' },
+    alert: { label: 'Alerte en cours', className: 'alert' },
+    stopped: { label: 'Ligne arrêtée', className: 'stopped' }
+};
+
+class AndonManager {
+    constructor() {
+        this.types = ANDON_TYPES;
+        this.states = ANDON_STATES;
+        this.listeners = new Set();
+        this.isSubscribed = false;
+        this.escalationTimer = null;
+    }
+
+    getTypeLabel(type) {
+        return this.types[type]?.label || type;
+    }
+
+    getTypeIcon(type) {
+        return this.types[type]?.icon || 'fa-bell';
+    }
+
+    getStateLabel(status) {
+        return this.states[status]?.label || status;
+    }
+
+    getStateBadge(status) {
+        return this.states[status]?.badge || 'status-info';
+    }
+
+    canTransition(call, nextStatus) {
+        return !!call && (ANDON_TRANSITIONS[call.status] || []).includes(nextStatus);
+    }
+
+    // Agent side
+    async raise(profile, type, { stopsLine = null, comment = null } = {}) {
+        if (!profile) {
+            throw new Error('User profile not found');
+        }
+        if (!this.types[type]) {
+            throw new Error(`Type d'appel Andon inconnu: ${type}`);
+        }
+        if (!profile.production_line) {
+            throw new Error('Aucune ligne de production affectée');
+        }
+
+        const active = await this.getActiveCalls({ production_line: profile.production_line, type });
+        if (active.length > 0) {
+            throw new Error(`Un appel "${this.getTypeLabel(type)}" est déjà en cours sur ${profile.production_line}`);
+        }
+
+        const call = await window.Database.createAndonCall({
+            production_line: profile.production_line,
+            department: profile.department,
+            line_side: profile.line_side || null,
+            type,
+            stops_line: stopsLine === null ? this.types[type].stopsLine : !!stopsLine,
+            comment: comment || null,
+            raised_by: profile.id,
+            raiser_name: profile.full_name || null,
+            status: 'open',
+            responder_role: this.types[type].responder,
+            escalation_level: 0,
+            date: window.shiftCalendar.toDateKey(new Date())
+        });
+
+        // The call stands even if the responders could not be notified
+        await this.notify(call, call.responder_role)
+            .catch(error => console.warn('Andon notification failed:', error));
+        return call;
+    }
+
+    // Responder side
+    acknowledge(call, actor) {
+        return this.transition(call, 'acknowledged', actor);
+    }
+
+    resolve(call, actor, resolution = null) {
+        const resolvedAt = new Date();
+        return this.transition(call, 'resolved', actor, {
+            resolution: resolution || null,
+            duration_minutes: Math.round((resolvedAt - new Date(call.started_at)) / 60000)
+        }, resolvedAt);
+    }
+
+    async transition(call, nextStatus, actor = null, extra = {}, at = new Date()) {
+        if (!this.canTransition(call, nextStatus)) {
+            throw new Error(`Transition invalide: ${call?.status} → ${nextStatus}`);
+        }
+
+        const state = this.states[nextStatus];
+        const updates = {
+            ...extra,
+            status: nextStatus,
+            [state.timestamp]: at.toISOString()
+        };
+
+        if (state.actor && actor) {
+            updates[state.actor] = actor.id;
+            updates[state.actorName] = actor.full_name || null;
+        }
+
+        return await window.Database.updateAndonCall(call.id, updates);
+    }
+
+    // Escalation
+    getEscalationMinutes(call) {
+        return this.types[call.type]?.escalationMinutes || ANDON_ESCALATION_MINUTES;
+    }
+
+    getNextRole(role) {
+        return ANDON_ESCALATION_ROLES[ANDON_ESCALATION_ROLES.indexOf(role) + 1] || null;
+    }
+
+    isOverdue(call, at = new Date()) {
+        if (call.status !== 'open' || !this.getNextRole(call.responder_role)) return false;
+
+        const since = new Date(call.escalated_at || call.started_at);
+        return at - since >= this.getEscalationMinutes(call) * 60000;
+    }
+
+    // Responder pages run this through subscribe({ escalate: true }); the
+    // conditional update makes sure only one of them escalates a given level
+    async escalateOverdue(calls, at = new Date()) {
+        const escalated = [];
+
+        for (const call of calls.filter(candidate => this.isOverdue(candidate, at))) {
+            const role = this.getNextRole(call.responder_role);
+            const updated = await window.Database.escalateAndonCall(call.id, call.escalation_level || 0, {
+                escalation_level: (call.escalation_level || 0) + 1,
+                responder_role: role,
+                escalated_at: at.toISOString()
+            });
+
+            if (updated) {
+                await this.notify(updated, role, { escalated: true })
+                    .catch(error => console.warn('Andon notification failed:', error));
+                escalated.push(updated);
+            }
+        }
+
+        return escalated;
+    }
+
+    async escalateOpenCalls(at = new Date()) {
+        const calls = await window.Database.getAndonCalls({ status: 'open' });
+        return await this.escalateOverdue(calls, at);
+    }
+
+    notify(call, role, { escalated = false } = {}) {
+        const minutes = Math.round((Date.now() - new Date(call.started_at)) / 60000);
+
+        return window.Database.createNotification({
+            target_role: role,
+            department: call.department,
+            production_line: call.production_line,
+            andon_call_id: call.id,
+            type: call.stops_line ? 'danger' : 'warning',
+            title: `${escalated ? 'Escalade ' : ''}Andon ${call.production_line} · ${this.getTypeLabel(call.type)}`,
+            message: escalated
+                ? `Appel sans prise en charge depuis ${minutes} min${call.comment ? ` : ${call.comment}` : ''}`
+                : `${call.raiser_name || 'Un agent'}${call.line_side ? ` (${call.line_side})` : ''} : ${call.comment || (call.stops_line ? 'ligne arrêtée' : 'intervention demandée')}`,
+            read: false
+        });
+    }
+
+    // Queries
+    async getActiveCalls(filters = {}) {
+        return await window.Database.getAndonCalls({
+            ...filters,
+            status: ANDON_ACTIVE_STATUSES
+        });
+    }
+
+    getLineStatus(calls, lineName) {
+        const lineCalls = calls.filter(call => call.production_line === lineName &&
+            ANDON_ACTIVE_STATUSES.includes(call.status));
+
+        if (lineCalls.some(call => call.stops_line)) return ANDON_LINE_STATUSES.stopped;
+        if (lineCalls.length > 0) return ANDON_LINE_STATUSES.alert;
+        return ANDON_LINE_STATUSES.running;
+    }
+
+    getOpenMinutes(call, at = new Date()) {
+        const end = call.resolved_at ? new Date(call.resolved_at) : at;
+        return Math.max(0, Math.round((end - new Date(call.started_at)) / 60000));
+    }
+
+    // Downtime
+    // Stop-the-line calls as downtime events, running ones counted up to `at`
+    toDowntimeEvents(calls, at = new Date()) {
+        return calls
+            .filter(call => call.stops_line)
+            .map(call => ({
+                id: call.id,
+                production_line: call.production_line,
+                type: call.type,
+                reason: `${this.getTypeLabel(call.type)}${call.comment ? ` · ${call.comment}` : ''}`,
+                started_at: call.started_at,
+                ended_at: call.resolved_at || null,
+                minutes: this.getOpenMinutes(call, at)
+            }));
+    }
+
+    // Downtime minutes per call type, largest first, with the cumulative share
+    getPareto(events) {
+        const total = events.reduce((sum, event) => sum + event.minutes, 0);
+        const byType = events.reduce((groups, event) => {
+            const group = groups[event.type] || { type: event.type, label: this.getTypeLabel(event.type), stops: 0, minutes: 0 };
+            group.stops++;
+            group.minutes += event.minutes;
+            groups[event.type] = group;
+            return groups;
+        }, {});
+
+        let cumulative = 0;
+        return Object.values(byType)
+            .sort((a, b) => b.minutes - a.minutes)
+            .map(group => {
+                cumulative += group.minutes;
+                return {
+                    ...group,
+                    share: total > 0 ? Math.round((group.minutes / total) * 100) : 0,
+                    cumulative: total > 0 ? Math.round((cumulative / total) * 100) : 0
+                };
+            });
+    }
+
+    // Call card shared by the responder pages; the page provides
+    // acknowledgeAndon(id) and resolveAndon(id) when `actions` is set
+    renderCall(call, { actions = false, at = new Date() } = {}) {
+        const escapeHtml = window.escapeHtml;
+        const minutes = this.getOpenMinutes(call, at);
+        const buttons = !actions ? '' : `
+            <div class="andon-call-actions">
+                ${call.status === 'open' ? `
+                    <button class="btn-secondary" onclick="acknowledgeAndon('${escapeHtml(call.id)}')">
+                        <i class="fas fa-hand-paper"></i> Prendre en charge
+                    </button>` : ''}
+                <button class="btn-primary" onclick="resolveAndon('${escapeHtml(call.id)}')">
+                    <i class="fas fa-check"></i> Résolu
+                </button>
+            </div>
+        `;
+
+        return `
+            <div class="andon-call ${call.stops_line ? 'stopped' : 'alert'}">
+                <i class="fas ${this.getTypeIcon(call.type)} andon-call-icon"></i>
+                <div class="andon-call-content">
+                    <strong>${escapeHtml(call.production_line)} · ${this.getTypeLabel(call.type)}</strong>
+                    ${call.comment ? `<div>${escapeHtml(call.comment)}</div>` : ''}
+                    <div class="material-request-meta">
+                        <span><i class="fas fa-user"></i> ${escapeHtml(call.raiser_name || '-')}${call.line_side ? ` · ${escapeHtml(call.line_side)}` : ''}</span>
+                        <span><i class="fas fa-clock"></i> ${minutes} min</span>
+                        <span><i class="fas fa-user-shield"></i> ${escapeHtml(call.acknowledger_name || call.responder_role)}</span>
+                    </div>
+                </div>
+                <div class="andon-call-status">
+                    <span class="status-badge ${this.getStateBadge(call.status)}">${this.getStateLabel(call.status)}</span>
+                    ${call.escalation_level > 0 ? `<span class="status-badge status-danger">Escaladé ×${call.escalation_level}</span>` : ''}
+                    ${call.stops_line ? '<span class="status-badge status-danger">Ligne arrêtée</span>' : ''}
+                </div>
+                ${buttons}
+            </div>
+        `;
+    }
+
+    // Only a signed-in responder escalates: kiosks and agent pages watch
+    // the calls without writing escalations or notifications
+    canEscalate() {
+        const role = window.authManager?.currentProfile?.role;
+        return !!role && (ANDON_ESCALATION_ROLES.includes(role) ||
+            Object.values(this.types).some(type => type.responder === role));
+    }
+
+    // Realtime feed shared by every page that watches Andon calls;
+    // `escalate` also checks open calls for escalation while subscribed
+    subscribe(callback, { escalate = false } = {}) {
+        this.listeners.add(callback);
+
+        if (!this.isSubscribed) {
+            window.Realtime.subscribe('andon_calls', '*', (payload) => this.dispatch(payload));
+            this.isSubscribed = true;
+        }
+
+        // The session may still be loading: the role is checked on each tick
+        if (escalate && !this.escalationTimer) {
+            this.escalationTimer = setInterval(() => {
+                if (!this.canEscalate()) return;
+                this.escalateOpenCalls()
+                    .catch(error => console.warn('Andon escalation failed:', error));
+            }, ANDON_ESCALATION_CHECK_INTERVAL);
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.isSubscribed) {
+            window.Realtime.unsubscribe('andon_calls', '*');
+            clearInterval(this.escalationTimer);
+            this.escalationTimer = null;
+            this.isSubscribed = false;
+        }
+    }
+
+    dispatch(payload) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error('Andon listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize Andon manager
+window.ANDON_TYPES = ANDON_TYPES;
+window.ANDON_ACTIVE_STATUSES = ANDON_ACTIVE_STATUSES;
+window.andonManager = new AndonManager();
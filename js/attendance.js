@@ -0,0 +1,470 @@
+// Attendance Service
+// Single entry point for punches (clock-in, break start/end, clock-out).
+// The state of a shift day is derived from its punch log; anomalies are
+// detected against the shift calendar and Chef corrections are stored next
+// to the original punches rather than replacing them.
+const ATTENDANCE_STATES = {
+    off: { label: 'Non pointé', badge: 'status-info' },
+    working: { label: 'En poste', badge: 'status-success' },
+    on_break: { label: 'En pause', badge: 'status-warning' },
+    clocked_out: { label: 'Sorti', badge: 'status-info' }
+};
+
+const ATTENDANCE_PUNCH_TYPES = {
+    clock_in: { label: 'Entrée', icon: 'fa-sign-in-alt' },
+    break_start: { label: 'Début pause', icon: 'fa-coffee' },
+    break_end: { label: 'Fin pause', icon: 'fa-play' },
+    clock_out: { label: 'Sortie', icon: 'fa-sign-out-alt' }
+};
+
+// state -> punch type -> next state
+const ATTENDANCE_TRANSITIONS = {
+    off: { clock_in: 'working' },
+    working: { break_start: 'on_break', clock_out: 'clocked_out' },
+    on_break: { break_end: 'working', clock_out: 'clocked_out' },
+    clocked_out: { clock_in: 'working' }
+};
+
+const ATTENDANCE_ANOMALIES = {
+    late_arrival: { label: 'Arrivée en retard', severity: 'warning' },
+    early_arrival: { label: 'Arrivée anticipée', severity: 'info' },
+    early_departure: { label: 'Départ anticipé', severity: 'warning' },
+    missing_clock_in: { label: 'Entrée manquante', severity: 'danger' },
+    missing_clock_out: { label: 'Sortie manquante', severity: 'danger' },
+    missing_break_end: { label: 'Fin de pause manquante', severity: 'warning' },
+    double_punch: { label: 'Double pointage', severity: 'info' },
+    invalid_sequence: { label: 'Séquence incohérente', severity: 'warning' },
+    absent: { label: 'Absent', severity: 'danger' }
+};
+
+const ATTENDANCE_LATE_TOLERANCE = 5 * 60 * 1000;
+const ATTENDANCE_EARLY_TOLERANCE = 30 * 60 * 1000;
+const ATTENDANCE_DOUBLE_PUNCH_WINDOW = 2 * 60 * 1000;
+
+class AttendanceService {
+    constructor() {
+        this.days = new Map();
+        this.queuedPunches = new Map();
+        this.listeners = new Set();
+    }
+
+    dayKey(userId, date) {
+        return `${userId}|${date}`;
+    }
+
+    createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Shift and date a punch made now belongs to
+    resolveShift(profile, at = new Date()) {
+        const calendar = window.shiftCalendar;
+        const shift = calendar ? calendar.getEffectiveShiftCode(profile, at) : profile.shift;
+        const date = calendar && shift
+            ? calendar.getAttendanceDate(shift, at)
+            : at.toISOString().split('T')[0];
+
+        return { shift, date };
+    }
+
+    // Loading
+    async getDay(profile, date = null, { at = new Date() } = {}) {
+        const resolved = this.resolveShift(profile, at);
+        const dayDate = date || resolved.date;
+        const key = this.dayKey(profile.id, dayDate);
+
+        let punches = [];
+        let corrections = [];
+
+        try {
+            [punches, corrections] = await Promise.all([
+                window.Database.getAttendancePunches({ user_id: profile.id, date: dayDate }),
+                window.Database.getAttendanceCorrections({ user_id: profile.id, date: dayDate })
+            ]);
+        } catch (error) {
+            // Offline: rebuild from the last known day and the queued punches
+            const cached = this.days.get(key);
+            if (!cached) throw error;
+            punches = cached.rawPunches;
+            corrections = cached.corrections;
+        }
+
+        return this.assembleDay(profile, dayDate, punches, corrections, at);
+    }
+
+    // Adds the punches still waiting in the offline queue and caches the day
+    assembleDay(profile, date, punches, corrections, at = new Date()) {
+        const key = this.dayKey(profile.id, date);
+        const queued = (this.queuedPunches.get(key) || [])
+            .filter(punch => !punches.some(stored => stored.idempotency_key === punch.idempotency_key));
+
+        const day = this.buildDay(profile, date, [...punches, ...queued], corrections, at);
+        this.days.set(key, day);
+        return day;
+    }
+
+    buildDay(profile, date, rawPunches, corrections, at = new Date()) {
+        const punches = this.applyCorrections(rawPunches, corrections);
+        const current = this.resolveShift(profile, at);
+        const shift = punches.find(punch => punch.shift)?.shift ||
+            (date === current.date ? current.shift : null) ||
+            window.shiftCalendar?.getShiftCodeForDate(profile, date) ||
+            profile.shift;
+        const shiftWindow = window.shiftCalendar && shift
+            ? window.shiftCalendar.getShiftWindow(shift, date)
+            : null;
+
+        const { state, anomalies } = this.replayPunches(punches);
+        anomalies.push(...this.detectScheduleAnomalies(punches, state, shiftWindow, at));
+
+        return {
+            user_id: profile.id,
+            date,
+            shift,
+            window: shiftWindow,
+            state,
+            punches,
+            rawPunches,
+            corrections,
+            anomalies,
+            workedMinutes: this.computeWorkedMinutes(punches, at)
+        };
+    }
+
+    // Corrections
+    // Original punches are kept; a correction either moves a punch, voids it
+    // or adds a punch that was never made
+    applyCorrections(rawPunches, corrections) {
+        const punches = rawPunches.map(punch => ({
+            ...punch,
+            original_at: punch.punched_at,
+            corrected: false
+        }));
+
+        [...corrections]
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            .forEach(correction => {
+                if (correction.action === 'add') {
+                    punches.push({
+                        id: `correction-${correction.id}`,
+                        user_id: correction.user_id,
+                        date: correction.date,
+                        type: correction.type,
+                        punched_at: correction.corrected_at,
+                        original_at: null,
+                        source: 'correction',
+                        corrected: true,
+                        correction
+                    });
+                    return;
+                }
+
+                const punch = punches.find(candidate => String(candidate.id) === String(correction.punch_id));
+                if (!punch) return;
+
+                punch.corrected = true;
+                punch.correction = correction;
+                if (correction.action === 'void') {
+                    punch.voided = true;
+                } else {
+                    punch.punched_at = correction.corrected_at;
+                    punch.type = correction.type || punch.type;
+                }
+            });
+
+        return punches
+            .filter(punch => !punch.voided)
+            .sort((a, b) => new Date(a.punched_at) - new Date(b.punched_at));
+    }
+
+    // State machine
+    replayPunches(punches) {
+        let state = 'off';
+        let previous = null;
+        const anomalies = [];
+
+        punches.forEach(punch => {
+            const next = ATTENDANCE_TRANSITIONS[state][punch.type];
+
+            if (!next) {
+                anomalies.push(this.createAnomaly(this.classifyRejectedPunch(state, punch, previous), punch));
+                previous = punch;
+                return;
+            }
+
+            if (state === 'on_break' && punch.type === 'clock_out') {
+                anomalies.push(this.createAnomaly('missing_break_end', punch));
+            }
+
+            state = next;
+            previous = punch;
+        });
+
+        return { state, anomalies };
+    }
+
+    classifyRejectedPunch(state, punch, previous) {
+        if (previous && previous.type === punch.type &&
+            new Date(punch.punched_at) - new Date(previous.punched_at) <= ATTENDANCE_DOUBLE_PUNCH_WINDOW) {
+            return 'double_punch';
+        }
+        if (state === 'off' && punch.type !== 'clock_in') return 'missing_clock_in';
+        if (state !== 'off' && state !== 'clocked_out' && punch.type === 'clock_in') return 'missing_clock_out';
+        return 'invalid_sequence';
+    }
+
+    detectScheduleAnomalies(punches, state, shiftWindow, at) {
+        if (!shiftWindow) return [];
+
+        const anomalies = [];
+        const firstIn = punches.find(punch => punch.type === 'clock_in');
+        const lastOut = [...punches].reverse().find(punch => punch.type === 'clock_out');
+        const start = shiftWindow.start.getTime();
+        const end = shiftWindow.end.getTime();
+        const now = new Date(at).getTime();
+
+        if (firstIn) {
+            const arrival = new Date(firstIn.punched_at).getTime();
+            if (arrival > start + ATTENDANCE_LATE_TOLERANCE) {
+                anomalies.push(this.createAnomaly('late_arrival', firstIn, arrival - start));
+            } else if (arrival < start - ATTENDANCE_EARLY_TOLERANCE) {
+                anomalies.push(this.createAnomaly('early_arrival', firstIn, start - arrival));
+            }
+        } else if (punches.length === 0 && now > start + ATTENDANCE_LATE_TOLERANCE) {
+            anomalies.push(this.createAnomaly('absent', null));
+        }
+
+        if (state === 'clocked_out' && lastOut) {
+            const departure = new Date(lastOut.punched_at).getTime();
+            if (departure < end - ATTENDANCE_LATE_TOLERANCE) {
+                anomalies.push(this.createAnomaly('early_departure', lastOut, end - departure));
+            }
+        }
+
+        if ((state === 'working' || state === 'on_break') && now > end + SHIFT_CLOCK_IN_TOLERANCE) {
+            anomalies.push(this.createAnomaly('missing_clock_out', null));
+        }
+
+        return anomalies;
+    }
+
+    createAnomaly(type, punch, deltaMs = null) {
+        return {
+            type,
+            ...ATTENDANCE_ANOMALIES[type],
+            punch_id: punch?.id || null,
+            at: punch?.punched_at || null,
+            minutes: deltaMs !== null ? Math.round(deltaMs / 60000) : null
+        };
+    }
+
+    // Minutes in 'working' state (breaks excluded)
+    computeWorkedMinutes(punches, at = new Date()) {
+        const total = this.getWorkingIntervals(punches, at)
+            .reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+        return Math.round(total / 60000);
+    }
+
+    // Periods spent in 'working' state as { start, end } timestamps (ms),
+    // the open one running until `at`
+    getWorkingIntervals(punches, at = new Date()) {
+        let state = 'off';
+        let since = null;
+        const intervals = [];
+
+        punches.forEach(punch => {
+            const next = ATTENDANCE_TRANSITIONS[state][punch.type];
+            if (!next) return;
+
+            const time = new Date(punch.punched_at).getTime();
+            if (state === 'working' && since !== null) intervals.push({ start: since, end: time });
+
+            state = next;
+            since = state === 'working' ? time : null;
+        });
+
+        if (state === 'working' && since !== null) {
+            intervals.push({ start: since, end: Math.max(since, new Date(at).getTime()) });
+        }
+
+        return intervals;
+    }
+
+    getAllowedPunches(state) {
+        return Object.keys(ATTENDANCE_TRANSITIONS[state] || {});
+    }
+
+    getStateLabel(state) {
+        return ATTENDANCE_STATES[state]?.label || state;
+    }
+
+    getStateBadge(state) {
+        return ATTENDANCE_STATES[state]?.badge || 'status-info';
+    }
+
+    getPunchLabel(type) {
+        return ATTENDANCE_PUNCH_TYPES[type]?.label || type;
+    }
+
+    // Punching
+    async punch(profile, type, { source = 'web', at = new Date() } = {}) {
+        const day = await this.getDay(profile, null, { at });
+        const last = day.punches[day.punches.length - 1];
+
+        if (last && last.type === type && at - new Date(last.punched_at) <= ATTENDANCE_DOUBLE_PUNCH_WINDOW) {
+            throw this.createError(`${this.getPunchLabel(type)} déjà enregistrée à ${new Date(last.punched_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`, 'double_punch');
+        }
+
+        if (!ATTENDANCE_TRANSITIONS[day.state][type]) {
+            throw this.createError(`${this.getPunchLabel(type)} impossible: statut actuel "${this.getStateLabel(day.state)}"`, 'invalid_transition');
+        }
+
+        const punch = await window.Database.addAttendancePunch({
+            user_id: profile.id,
+            date: day.date,
+            shift: day.shift,
+            department: profile.department,
+            production_line: profile.production_line || null,
+            type,
+            source,
+            punched_at: at.toISOString()
+        });
+
+        if (punch.queued) {
+            const key = this.dayKey(profile.id, day.date);
+            this.queuedPunches.set(key, [...(this.queuedPunches.get(key) || []), { ...punch, id: punch.idempotency_key }]);
+        }
+
+        await this.updateSummary(profile, day, type, at);
+
+        const updated = await this.getDay(profile, day.date, { at });
+        this.dispatch('punch', { punch, day: updated });
+        return updated;
+    }
+
+    // Keep the per-day attendance row in step with the punch log
+    async updateSummary(profile, day, type, at) {
+        const firstIn = day.punches.find(punch => punch.type === 'clock_in');
+
+        if (type === 'clock_in') {
+            await window.Database.clockIn(profile.id, {
+                date: day.date,
+                shift: day.shift,
+                department: profile.department,
+                clock_in: firstIn ? firstIn.punched_at : at.toISOString(),
+                clock_out: null,
+                status: 'working'
+            });
+        } else if (type === 'clock_out') {
+            await window.Database.clockOut(profile.id);
+        }
+    }
+
+    // Chef corrections
+    canCorrect(targetProfile) {
+        const manager = window.authManager;
+        if (!manager?.hasPermission('Chef d\'équipe')) return false;
+
+        // A chef with managed lines only corrects the agents of those lines
+        return manager.canManageUser(targetProfile.id, targetProfile.role) &&
+            (targetProfile.production_line
+                ? manager.canManageLine(targetProfile.production_line)
+                : manager.canManageDepartment(targetProfile.department));
+    }
+
+    async correct(targetProfile, { date, punch_id = null, action = 'update', type, corrected_at = null, reason }) {
+        const corrector = window.authManager?.getProfile();
+
+        if (!this.canCorrect(targetProfile)) {
+            throw this.createError('Correction non autorisée pour cet agent', 'forbidden');
+        }
+        if (!reason || !reason.trim()) {
+            throw this.createError('Le motif de correction est obligatoire', 'reason_required');
+        }
+        if (action !== 'void' && !corrected_at) {
+            throw this.createError('Heure corrigée requise', 'time_required');
+        }
+
+        const day = await this.getDay(targetProfile, date);
+        const original = punch_id ? day.rawPunches.find(punch => String(punch.id) === String(punch_id)) : null;
+
+        if (action !== 'add' && !original) {
+            throw this.createError('Pointage introuvable', 'not_found');
+        }
+
+        const correction = await window.Database.addAttendanceCorrection({
+            user_id: targetProfile.id,
+            date: day.date,
+            punch_id: original?.id || null,
+            action,
+            type: type || original?.type,
+            original_at: original?.punched_at || null,
+            corrected_at: action === 'void' ? null : new Date(corrected_at).toISOString(),
+            reason: reason.trim(),
+            corrected_by: corrector.id,
+            corrector_name: corrector.full_name
+        });
+
+        const updated = await this.getDay(targetProfile, day.date);
+        this.dispatch('correction', { correction, day: updated });
+        return updated;
+    }
+
+    // Team view: one day per profile with its anomalies
+    // The whole team in two queries; each day is then rebuilt as getDay does
+    async getTeamDays(profiles, date = null, { at = new Date() } = {}) {
+        if (profiles.length === 0) return [];
+
+        const dates = new Map(profiles.map(profile => [profile.id, date || this.resolveShift(profile, at).date]));
+        const filters = { user_id: profiles.map(profile => profile.id), date: [...new Set(dates.values())] };
+
+        let punches;
+        let corrections;
+        try {
+            [punches, corrections] = await Promise.all([
+                window.Database.getAttendancePunches(filters),
+                window.Database.getAttendanceCorrections(filters)
+            ]);
+        } catch (error) {
+            // Offline: fall back to each cached day
+            const days = await Promise.all(profiles.map(profile =>
+                this.getDay(profile, dates.get(profile.id), { at }).catch(dayError => {
+                    console.error(`Attendance load failed for ${profile.id}:`, dayError);
+                    return null;
+                })
+            ));
+            return days.filter(Boolean);
+        }
+
+        return profiles.map(profile => {
+            const dayDate = dates.get(profile.id);
+            const belongs = row => row.user_id === profile.id && row.date === dayDate;
+            return this.assembleDay(profile, dayDate, punches.filter(belongs), corrections.filter(belongs), at);
+        });
+    }
+
+    // Event system
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    dispatch(event, data) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Attendance listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize attendance service
+window.ATTENDANCE_STATES = ATTENDANCE_STATES;
+window.ATTENDANCE_PUNCH_TYPES = ATTENDANCE_PUNCH_TYPES;
+window.ATTENDANCE_ANOMALIES = ATTENDANCE_ANOMALIES;
+window.attendanceService = new AttendanceService();
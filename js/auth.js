@@ -95,15 +95,30 @@ class AuthManager {
     }
 
     async createDefaultProfile(user) {
+        // Default placement comes from the plant registry; setup lets the user change it
+        const registry = window.plantRegistry;
+        let defaultLine = null;
+        let defaultShift = null;
+
+        if (registry) {
+            try {
+                await registry.load();
+                defaultLine = registry.getDefaultLine();
+                defaultShift = registry.getShifts()[0] || null;
+            } catch (error) {
+                console.warn('Plant registry unavailable for default profile:', error);
+            }
+        }
+
         const defaultProfile = {
             id: user.id,
             email: user.email,
             full_name: user.email.split('@')[0].replace('.', ' '),
             role: 'Agent',
             work_type: 'shift',
-            shift: 'Shift A',
-            department: 'INR',
-            production_line: 'Line 1',
+            shift: defaultShift?.code || null,
+            department: defaultLine?.department || null,
+            production_line: defaultLine?.name || null,
             needs_setup: true,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
@@ -180,18 +195,40 @@ class AuthManager {
         }
     }
 
-    async logout() {
+    async logout({ loginHint = null } = {}) {
         try {
             await window.Session.signOut();
             this.clearUserData();
-            this.redirectToLogin();
             
         } catch (error) {
             console.error('Logout error:', error);
             // Force logout anyway
             this.clearUserData();
-            this.redirectToLogin();
         }
+
+        // Email the login page opens with (workstation handed over by badge)
+        if (loginHint) {
+            sessionStorage.setItem('login_hint', loginHint);
+        }
+        this.redirectToLogin();
+    }
+
+    // Profile behind a scanned employee badge (matricule)
+    async identifyBadge(matricule) {
+        const [profile] = await window.Database.getProfiles({ matricule });
+        if (!profile) {
+            throw new Error(`Badge inconnu: ${matricule}`);
+        }
+
+        return {
+            profile,
+            isCurrentUser: profile.id === this.currentProfile?.id
+        };
+    }
+
+    // The colleague whose badge was scanned takes over the workstation
+    async switchUser(profile) {
+        await this.logout({ loginHint: profile.email || null });
     }
 
     async updateProfile(updates) {
@@ -276,13 +313,32 @@ class AuthManager {
     subscribeToNotifications(userId, role) {
         // Subscribe to general notifications
         window.Realtime.subscribe('notifications', 'INSERT', (payload) => {
-            if (payload.new.target_user_id === userId || 
-                payload.new.target_role === role) {
+            if (this.isNotificationRecipient(payload.new, userId, role)) {
                 this.dispatchEvent('newNotification', payload.new);
             }
         });
     }
 
+    // Role-wide notifications about a line only reach the people covering it
+    isNotificationRecipient(notification, userId, role) {
+        if (notification.target_user_id === userId) return true;
+        if (notification.target_role !== role) return false;
+        if (!notification.production_line) return true;
+
+        switch (role) {
+            case 'Agent':
+                return this.currentProfile?.production_line === notification.production_line;
+
+            case 'Manutentionnaire': {
+                const served = this.currentProfile?.served_departments;
+                return !Array.isArray(served) || served.length === 0 || served.includes(notification.department);
+            }
+
+            default:
+                return this.canManageLine(notification.production_line);
+        }
+    }
+
     getAuthErrorMessage(error) {
         const messages = {
             'Invalid login credentials': 'Email ou mot de passe incorrect',
@@ -338,6 +394,7 @@ class AuthManager {
 
         const dashboardPaths = {
             'Agent': 'agent.html',
+            'Manutentionnaire': 'manutention.html',
             'Chef d\'équipe': 'chef.html',
             'Superviseur': 'superviseur.html',
             'Sous-directeur': 'sousdir.html',
@@ -360,6 +417,7 @@ class AuthManager {
         
         const roleHierarchy = {
             'Agent': 1,
+            'Manutentionnaire': 1,
             'Chef d\'équipe': 2,
             'Superviseur': 3,
             'Sous-directeur': 4,
@@ -397,6 +455,27 @@ class AuthManager {
         }
     }
 
+    canManageLine(lineName) {
+        if (!this.currentProfile || !lineName) return false;
+
+        const department = window.plantRegistry?.getLineDepartment(lineName);
+
+        // Chefs are scoped to their own lines when they have any
+        if (this.currentProfile.role === 'Chef d\'équipe') {
+            const managedLines = this.currentProfile.managed_lines || [];
+            if (Array.isArray(managedLines) && managedLines.length > 0) {
+                return managedLines.includes(lineName);
+            }
+        }
+
+        return !!department && this.canManageDepartment(department);
+    }
+
+    // Only Directeur users may change the plant structure
+    canManagePlantStructure() {
+        return this.currentProfile?.role === 'Directeur';
+    }
+
     canManageUser(targetUserId, targetRole) {
         if (!this.currentProfile || !targetUserId) return false;
         
@@ -405,6 +484,7 @@ class AuthManager {
         
         const roleHierarchy = {
             'Agent': 1,
+            'Manutentionnaire': 1,
             'Chef d\'équipe': 2,
             'Superviseur': 3,
             'Sous-directeur': 4,
@@ -497,10 +577,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     const rolePages = {
         'agent': ['Agent'],
+        'manutention': ['Manutentionnaire'],
         'chef': ['Chef d\'équipe'],
         'superviseur': ['Superviseur'],
         'sousdir': ['Sous-directeur', 'Directeur'],
-        'directeur': ['Directeur']
+        'directeur': ['Directeur'],
+        'structure': ['Directeur']
     };
     
     let hasAccess = false;
@@ -0,0 +1,26 @@
+// Backend Selection
+// `?backend=mock` (remembered in localStorage) switches the pages to the
+// in-browser mock backend. The mock is also used when the supabase-js library
+// could not be loaded. This file runs before js/supabase.js and only pulls in
+// js/mock-seed.js and js/mock-backend.js when the mock is selected; they are
+// written into the page so they still load, in order, before js/supabase.js.
+const MOCK_BACKEND_SCRIPTS = ['js/mock-seed.js', 'js/mock-backend.js'];
+
+function resolveBackendMode() {
+    const requested = new URLSearchParams(window.location.search).get('backend');
+    if (requested === 'mock' || requested === 'supabase') {
+        localStorage.setItem('backend_mode', requested);
+    }
+
+    const mode = localStorage.getItem('backend_mode') || 'supabase';
+    if (mode === 'supabase' && !window.supabase?.createClient) {
+        return 'mock';
+    }
+    return mode;
+}
+
+window.BACKEND_MODE = resolveBackendMode();
+
+if (window.BACKEND_MODE === 'mock') {
+    document.write(MOCK_BACKEND_SCRIPTS.map(src => `<script src="${src}"><\/script>`).join(''));
+}
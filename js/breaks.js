@@ -0,0 +1,295 @@
+// Break Management
+// Agents request a break, their Chef approves it, then the agent starts and
+// ends it. Breaks move requested -> approved -> active -> completed (or
+// rejected/cancelled) and are punched through the attendance service so break
+// time never counts as productive time. Only one agent per line side may be
+// away at a time.
+const BREAK_STATES = {
+    requested: { label: 'En attente', badge: 'status-warning', timestamp: 'requested_at' },
+    approved: { label: 'Approuvée', badge: 'status-info', timestamp: 'approved_at', actor: 'approved_by', actorName: 'approver_name' },
+    active: { label: 'En cours', badge: 'status-success', timestamp: 'started_at' },
+    completed: { label: 'Terminée', badge: 'status-info', timestamp: 'ended_at' },
+    rejected: { label: 'Refusée', badge: 'status-danger', timestamp: 'rejected_at', actor: 'rejected_by', actorName: 'rejecter_name' },
+    cancelled: { label: 'Annulée', badge: 'status-info', timestamp: 'cancelled_at' }
+};
+
+const BREAK_TRANSITIONS = {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved: ['active', 'cancelled'],
+    active: ['completed'],
+    completed: [],
+    rejected: [],
+    cancelled: []
+};
+
+const BREAK_TYPES = {
+    pause: { label: 'Pause', minutes: 10 },
+    repas: { label: 'Repas', minutes: 30 },
+    besoin: { label: 'Besoin personnel', minutes: 5 }
+};
+
+// Statuses during which the agent is (or is about to be) away from the line
+const BREAK_AWAY_STATUSES = ['approved', 'active'];
+
+class BreakManager {
+    constructor() {
+        this.states = BREAK_STATES;
+        this.types = BREAK_TYPES;
+        this.listeners = new Set();
+        this.isSubscribed = false;
+    }
+
+    getStateLabel(status) {
+        return this.states[status]?.label || status;
+    }
+
+    getStateBadge(status) {
+        return this.states[status]?.badge || 'status-info';
+    }
+
+    getTypeLabel(type) {
+        return this.types[type]?.label || type;
+    }
+
+    getPlannedMinutes(type) {
+        return this.types[type]?.minutes || BREAK_TYPES.pause.minutes;
+    }
+
+    canTransition(breakRecord, nextStatus) {
+        return !!breakRecord && (BREAK_TRANSITIONS[breakRecord.status] || []).includes(nextStatus);
+    }
+
+    // Coverage: "Complet" covers both sides of the line
+    sharesLineSide(a, b) {
+        if (!a.production_line || a.production_line !== b.production_line) return false;
+        if (!a.line_side || !b.line_side) return true;
+        return a.line_side === b.line_side || a.line_side === 'Complet' || b.line_side === 'Complet';
+    }
+
+    async getCoverageConflicts(breakRecord) {
+        const breaks = await window.Database.getBreaks({
+            production_line: breakRecord.production_line,
+            date: breakRecord.date,
+            status: BREAK_AWAY_STATUSES
+        });
+
+        return breaks.filter(other => other.user_id !== breakRecord.user_id && this.sharesLineSide(other, breakRecord));
+    }
+
+    async assertCoverage(breakRecord) {
+        const conflicts = await this.getCoverageConflicts(breakRecord);
+        if (conflicts.length > 0) {
+            const other = conflicts[0];
+            throw new Error(`${other.agent_name || 'Un autre agent'} est déjà en pause sur ce côté de ligne (${this.getStateLabel(other.status).toLowerCase()})`);
+        }
+    }
+
+    // Agent side
+    async requestBreak(profile, type = 'pause', comment = null) {
+        if (!profile) {
+            throw new Error('User profile not found');
+        }
+        if (!this.types[type]) {
+            throw new Error(`Type de pause inconnu: ${type}`);
+        }
+
+        const day = await window.attendanceService.getDay(profile);
+        if (day.state !== 'working') {
+            throw new Error('Pointez votre entrée avant de demander une pause');
+        }
+
+        const current = await this.getCurrentBreak(profile, day.date);
+        if (current) {
+            throw new Error(`Une pause est déjà ${this.getStateLabel(current.status).toLowerCase()}`);
+        }
+
+        const breakRecord = {
+            user_id: profile.id,
+            agent_name: profile.full_name || null,
+            department: profile.department,
+            production_line: profile.production_line || null,
+            line_side: profile.line_side || null,
+            chef_id: profile.chef_id || null,
+            shift: day.shift,
+            date: day.date,
+            type,
+            planned_minutes: this.getPlannedMinutes(type),
+            comment: comment || null
+        };
+
+        // The request goes through; the Chef sees the conflict when approving
+        const conflicts = await this.getCoverageConflicts(breakRecord);
+
+        return await window.Database.createBreak({
+            ...breakRecord,
+            coverage_conflict: conflicts.length > 0
+        });
+    }
+
+    async startBreak(breakRecord, profile) {
+        if (!this.canTransition(breakRecord, 'active')) {
+            throw new Error('Cette pause n\'a pas été approuvée');
+        }
+
+        await this.assertCoverage(breakRecord);
+
+        // The break is marked active first so a failed punch can be undone
+        // by putting it back to approved; a punch cannot be taken back
+        const started = await this.transition(breakRecord, 'active');
+        try {
+            await window.attendanceService.punch(profile, 'break_start');
+        } catch (error) {
+            await window.Database.updateBreak(breakRecord.id, { status: 'approved', started_at: null })
+                .catch(rollbackError => console.warn('Break rollback failed:', rollbackError));
+            throw error;
+        }
+
+        return started;
+    }
+
+    async endBreak(breakRecord, profile) {
+        if (!this.canTransition(breakRecord, 'completed')) {
+            throw new Error('Aucune pause en cours');
+        }
+
+        // Same order as startBreak: the break is closed first and reopened
+        // if the punch fails
+        const endedAt = new Date();
+        const ended = await this.transition(breakRecord, 'completed', null, {
+            duration_minutes: Math.round((endedAt - new Date(breakRecord.started_at)) / 60000)
+        }, endedAt);
+        try {
+            await window.attendanceService.punch(profile, 'break_end');
+        } catch (error) {
+            await window.Database.updateBreak(breakRecord.id, { status: 'active', ended_at: null, duration_minutes: null })
+                .catch(rollbackError => console.warn('Break rollback failed:', rollbackError));
+            throw error;
+        }
+
+        return ended;
+    }
+
+    cancelBreak(breakRecord) {
+        return this.transition(breakRecord, 'cancelled');
+    }
+
+    // Chef side
+    async approve(breakRecord, chef) {
+        await this.assertCoverage(breakRecord);
+        return await this.transition(breakRecord, 'approved', chef);
+    }
+
+    reject(breakRecord, chef, reason = null) {
+        return this.transition(breakRecord, 'rejected', chef, { rejected_reason: reason });
+    }
+
+    async transition(breakRecord, nextStatus, actor = null, extra = {}, at = new Date()) {
+        if (!this.canTransition(breakRecord, nextStatus)) {
+            throw new Error(`Transition invalide: ${breakRecord?.status} → ${nextStatus}`);
+        }
+
+        const state = this.states[nextStatus];
+        const updates = {
+            ...extra,
+            status: nextStatus,
+            [state.timestamp]: at.toISOString()
+        };
+
+        if (state.actor && actor) {
+            updates[state.actor] = actor.id;
+            updates[state.actorName] = actor.full_name || null;
+        }
+
+        return await window.Database.updateBreak(breakRecord.id, updates);
+    }
+
+    // Queries
+    async getCurrentBreak(profile, date = null) {
+        const breaks = await window.Database.getBreaks({
+            user_id: profile.id,
+            date: date || window.attendanceService.resolveShift(profile).date,
+            status: ['requested', ...BREAK_AWAY_STATUSES]
+        });
+        return breaks[0] || null;
+    }
+
+    async getShiftHistory(profile, date = null) {
+        const breaks = await window.Database.getBreaks({
+            user_id: profile.id,
+            date: date || window.attendanceService.resolveShift(profile).date
+        });
+        return breaks.sort((a, b) => new Date(a.requested_at) - new Date(b.requested_at));
+    }
+
+    // The chef's lines, else their departments, else their own department
+    getChefScope(chef) {
+        if (chef.managed_lines?.length > 0) return { production_line: chef.managed_lines };
+        if (chef.managed_departments?.length > 0) return { department: chef.managed_departments };
+        return chef.department ? { department: chef.department } : null;
+    }
+
+    // Nothing when the chef has no scope at all
+    async getPendingForChef(chef, filters = {}) {
+        const scope = this.getChefScope(chef);
+        if (!scope) return [];
+
+        return await window.Database.getBreaks({
+            ...filters,
+            ...scope,
+            status: 'requested'
+        });
+    }
+
+    // Minutes away from the line; a running break counts up to now
+    getBreakMinutes(breaks, at = new Date()) {
+        return (breaks || []).reduce((total, breakRecord) => {
+            if (!breakRecord.started_at) return total;
+            const end = breakRecord.ended_at ? new Date(breakRecord.ended_at) : at;
+            return total + Math.max(0, Math.round((end - new Date(breakRecord.started_at)) / 60000));
+        }, 0);
+    }
+
+    // Remaining time of a running break, negative once overrun
+    getRemaining(breakRecord, at = new Date()) {
+        if (!breakRecord?.started_at) return null;
+        const plannedEnd = new Date(breakRecord.started_at).getTime() + breakRecord.planned_minutes * 60000;
+        return plannedEnd - at.getTime();
+    }
+
+    // Realtime feed shared by every page that watches breaks
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.isSubscribed) {
+            window.Realtime.subscribe('breaks', '*', (payload) => this.dispatch(payload));
+            this.isSubscribed = true;
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.isSubscribed) {
+            window.Realtime.unsubscribe('breaks', '*');
+            this.isSubscribed = false;
+        }
+    }
+
+    dispatch(payload) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error('Break listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize break manager
+window.BREAK_STATES = BREAK_STATES;
+window.BREAK_TYPES = BREAK_TYPES;
+window.BREAK_AWAY_STATUSES = BREAK_AWAY_STATUSES;
+window.breakManager = new BreakManager();
@@ -1,4 +1,6 @@
 // Dashboard Utility Functions
+const ISSUE_TYPES = ['Technique', 'Qualité', 'Sécurité', 'Matériel', 'Autre'];
+
 class DashboardManager {
     constructor() {
         this.currentTab = 'overview';
@@ -11,6 +13,11 @@ class DashboardManager {
         if (this.isInitialized) return;
         
         try {
+            // Plant structure and shift calendar drive line filters and shift labels
+            await (window.shiftCalendar || window.plantRegistry)?.load().catch(error => {
+                console.warn('Plant structure unavailable:', error);
+            });
+            
             // Load user data
             await this.loadUserData();
             
@@ -19,6 +26,7 @@ class DashboardManager {
             this.initTabs();
             this.initCharts();
             this.initEventListeners();
+            this.initMaterialQueue();
             
             // Start auto-refresh
             this.startAutoRefresh();
@@ -52,7 +60,7 @@ class DashboardManager {
 
     updateUserUI() {
         // Update user name
-        const nameElements = document.querySelectorAll('#agentName, #chefName, #supervisorName, #directorName');
+        const nameElements = document.querySelectorAll('#agentName, #handlerName, #chefName, #supervisorName, #directorName');
         nameElements.forEach(el => {
             if (el) el.textContent = this.userProfile.full_name || 'Utilisateur';
         });
@@ -70,15 +78,20 @@ class DashboardManager {
         if (this.userProfile.department) {
             const deptElements = document.querySelectorAll('.department-info');
             deptElements.forEach(el => {
-                if (el) el.textContent = this.userProfile.department;
+                if (el) el.textContent = window.plantRegistry
+                    ? window.plantRegistry.getDepartmentName(this.userProfile.department)
+                    : this.userProfile.department;
             });
         }
         
         // Update shift info
-        if (this.userProfile.shift) {
+        if (this.userProfile.shift || this.userProfile.rotation_code) {
+            const shiftLabel = window.shiftCalendar
+                ? window.shiftCalendar.getShiftBadgeLabel(this.userProfile)
+                : this.userProfile.shift;
             const shiftElements = document.querySelectorAll('.shift-info');
             shiftElements.forEach(el => {
-                if (el) el.textContent = this.userProfile.shift;
+                if (el) el.textContent = shiftLabel;
             });
         }
     }
@@ -95,6 +108,11 @@ class DashboardManager {
                     data = { agent_id: this.userProfile.id };
                     break;
                     
+                case 'Manutentionnaire':
+                    endpoint = 'get-handler-dashboard';
+                    data = { handler_id: this.userProfile.id };
+                    break;
+                    
                 case 'Chef d\'équipe':
                     endpoint = 'get-chef-dashboard';
                     data = { chef_id: this.userProfile.id };
@@ -119,11 +137,185 @@ class DashboardManager {
                 }
             }
             
+            if (role === 'Manutentionnaire') {
+                await this.loadMaterialQueue();
+            }
+            
         } catch (error) {
             console.error('Error loading dashboard data:', error);
         }
     }
 
+    // Material handler queue
+    initMaterialQueue() {
+        if (!window.materialRequests || this.userProfile.role !== 'Manutentionnaire') return;
+        
+        this.materialQueueUnsubscribe = window.materialRequests.subscribe((payload) => {
+            const request = payload.new;
+            if (!request || !this.isServedDepartment(request.department)) return;
+            
+            if (payload.eventType === 'INSERT') {
+                this.showToast(`Nouvelle demande: ${request.production_line} - ${window.materialRequests.formatItems(request)}`, 'info');
+            }
+            
+            this.loadMaterialQueue();
+        });
+    }
+
+    isServedDepartment(department) {
+        const served = this.userProfile.served_departments;
+        return !Array.isArray(served) || served.length === 0 || served.includes(department);
+    }
+
+    async loadMaterialQueue() {
+        const container = document.getElementById('materialQueue');
+        if (!container || !window.materialRequests) return;
+        
+        try {
+            const filters = {
+                status: ['requested', 'picked', 'in_transit']
+            };
+            
+            if (Array.isArray(this.userProfile.served_departments) && this.userProfile.served_departments.length > 0) {
+                filters.department = this.userProfile.served_departments;
+            }
+            
+            const requests = await window.Database.getMaterialRequests(filters);
+            this.materialQueue = window.materialRequests.sortQueue(requests);
+            this.renderMaterialQueue();
+            
+        } catch (error) {
+            console.error('Error loading material queue:', error);
+        }
+    }
+
+    renderMaterialQueue() {
+        const container = document.getElementById('materialQueue');
+        const manager = window.materialRequests;
+        if (!container) return;
+        
+        const lineFilter = document.getElementById('queueLineFilter')?.value || '';
+        const requests = (this.materialQueue || []).filter(request => 
+            !lineFilter || request.production_line === lineFilter
+        );
+        
+        container.innerHTML = '';
+        
+        if (requests.length === 0) {
+            container.innerHTML = '<p class="text-muted">Aucune demande en attente</p>';
+        }
+        
+        requests.forEach(request => {
+            const isMine = request.claimed_by === this.userProfile.id;
+            const isClaimedByOther = request.claimed_by && !isMine;
+            const nextStatus = manager.getNextStatus(request.status);
+            
+            let action = '';
+            if (!request.claimed_by) {
+                action = `
+                    <button class="btn-primary btn-sm" onclick="claimMaterialRequest('${request.id}')">
+                        <i class="fas fa-hand-paper"></i> Prendre en charge
+                    </button>
+                `;
+            } else if (isMine && nextStatus) {
+                action = `
+                    <button class="btn-success btn-sm" onclick="advanceMaterialRequest('${request.id}')">
+                        <i class="fas fa-arrow-right"></i> ${manager.getStateLabel(nextStatus)}
+                    </button>
+                `;
+            }
+            
+            const element = document.createElement('div');
+            element.className = `material-request-item ${request.urgency}`;
+            element.innerHTML = `
+                <div class="material-request-content">
+                    <div class="material-request-items">${manager.formatItems(request)}</div>
+                    <div class="material-request-meta">
+                        <span><i class="fas fa-industry"></i> ${request.production_line} ${request.line_side ? '· ' + window.escapeHtml(request.line_side) : ''}</span>
+                        <span><i class="fas fa-user"></i> ${window.escapeHtml(request.requester_name || '-')}</span>
+                        <span><i class="fas fa-clock"></i> ${manager.formatDuration(Date.now() - new Date(request.requested_at))}</span>
+                        <span>${manager.urgencies[request.urgency]?.label || ''}</span>
+                        ${request.kanban_card_id ? `<span><i class="fas fa-th"></i> ${window.escapeHtml(request.comment || 'Kanban')}</span>` : ''}
+                        ${isClaimedByOther ? `<span><i class="fas fa-user-lock"></i> ${window.escapeHtml(request.claimer_name || 'Pris en charge')}</span>` : ''}
+                    </div>
+                </div>
+                <span class="status-badge ${manager.getStateBadge(request.status)}">${manager.getStateLabel(request.status)}</span>
+                ${action}
+            `;
+            
+            container.appendChild(element);
+        });
+        
+        this.updateQueueLineFilter();
+        
+        const badge = document.getElementById('queueBadge');
+        if (badge) badge.textContent = (this.materialQueue || []).filter(r => !r.claimed_by).length;
+        
+        const openCount = document.getElementById('openRequestsCount');
+        if (openCount) openCount.textContent = (this.materialQueue || []).length;
+    }
+
+    updateQueueLineFilter() {
+        const select = document.getElementById('queueLineFilter');
+        if (!select) return;
+        
+        const current = select.value;
+        const queuedLines = (this.materialQueue || []).map(r => r.production_line).filter(Boolean);
+        
+        // Every active line of the served departments, plus retired lines still in the queue
+        const registryLines = window.plantRegistry
+            ? window.plantRegistry.getLines()
+                .filter(line => this.isServedDepartment(line.department))
+                .map(line => line.name)
+            : [];
+        const lines = [...new Set([...registryLines, ...queuedLines])]
+            .sort((a, b) => a.localeCompare(b, 'fr', { numeric: true }));
+        
+        select.innerHTML = '<option value="">Toutes les lignes</option>' +
+            lines.map(line => `<option value="${line}">${line}</option>`).join('');
+        select.value = lines.includes(current) ? current : '';
+    }
+
+    findQueuedRequest(requestId) {
+        return (this.materialQueue || []).find(request => String(request.id) === String(requestId));
+    }
+
+    async claimMaterialRequest(requestId) {
+        try {
+            const request = this.findQueuedRequest(requestId);
+            await window.materialRequests.claim(request, this.userProfile);
+            
+            this.showSuccess('Demande prise en charge');
+            await this.loadMaterialQueue();
+            
+        } catch (error) {
+            console.error('Claim material request error:', error);
+            this.showError(error.message || 'Erreur lors de la prise en charge');
+        }
+    }
+
+    async advanceMaterialRequest(requestId) {
+        try {
+            const request = this.findQueuedRequest(requestId);
+            const nextStatus = window.materialRequests.getNextStatus(request?.status);
+            
+            // Deliveries record the lot of every component
+            if (nextStatus === 'delivered' && window.lotTraceability) {
+                this.openDeliveryModal(request);
+                return;
+            }
+            
+            await window.materialRequests.advance(request, nextStatus, this.userProfile);
+            
+            this.showSuccess(`Demande: ${window.materialRequests.getStateLabel(nextStatus)}`);
+            await this.loadMaterialQueue();
+            
+        } catch (error) {
+            console.error('Advance material request error:', error);
+            this.showError(error.message || 'Erreur lors de la mise à jour');
+        }
+    }
+
     updateDashboard(data) {
         // Update stats
         if (data.stats) {
@@ -147,19 +339,10 @@ class DashboardManager {
     }
 
     updateStats(stats) {
-        // Production stats
+        // Production stats (the target comes from the line plan, see js/plan.js)
         if (stats.production) {
             const prodEl = document.getElementById('todayProduction');
             if (prodEl) prodEl.textContent = stats.production.today || 0;
-            
-            const targetEl = document.getElementById('productionTarget');
-            if (targetEl) targetEl.textContent = `Objectif: ${stats.production.target || 0}`;
-            
-            const progressEl = document.getElementById('productionProgress');
-            if (progressEl && stats.production.target && stats.production.today) {
-                const percentage = (stats.production.today / stats.production.target) * 100;
-                progressEl.style.width = `${Math.min(percentage, 100)}%`;
-            }
         }
         
         // Quality stats
@@ -174,17 +357,6 @@ class DashboardManager {
             }
         }
         
-        // Efficiency stats
-        if (stats.efficiency) {
-            const effEl = document.getElementById('efficiencyRate');
-            if (effEl) effEl.textContent = `${stats.efficiency.rate || 0}%`;
-            
-            const timeEl = document.getElementById('productiveTime');
-            if (timeEl && stats.efficiency.productive_time) {
-                timeEl.textContent = stats.efficiency.productive_time;
-            }
-        }
-        
         // Ranking
         if (stats.ranking) {
             const rankEl = document.getElementById('ranking');
@@ -196,13 +368,6 @@ class DashboardManager {
     }
 
     updateCharts(chartData) {
-        // Production chart
-        if (chartData.production && this.charts.has('production')) {
-            const chart = this.charts.get('production');
-            chart.data = chartData.production;
-            chart.update();
-        }
-        
         // Quality chart
         if (chartData.quality && this.charts.has('quality')) {
             const chart = this.charts.get('quality');
@@ -235,6 +400,8 @@ class DashboardManager {
         }
     }
 
+    // Rows are production records; completions carry their cycle time and
+    // are flagged against the reference's target cycle
     updateProductionTable(data) {
         const tbody = document.getElementById('productionHistory');
         if (!tbody) return;
@@ -265,13 +432,26 @@ class DashboardManager {
                     statusClass = 'status-info';
                     statusText = 'Planifié';
             }
+
+            const time = item.time || new Date(item.created_at)
+                .toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+            const session = window.productionSession;
+            const quantity = item.planned_quantity
+                ? `${item.produced_quantity ?? '-'} / ${item.planned_quantity}`
+                : item.quantity;
+            const cycle = typeof item.cycle_time === 'number'
+                ? `${item.cycle_time}s${item.target_cycle ? ` <small>/ ${item.target_cycle}s</small>` : ''}`
+                : (item.cycle_time || '-');
+            const cycleFlag = item.cycle_status && session
+                ? `<span class="status-badge ${session.getCycleBadge(item.cycle_status)}">${session.getCycleLabel(item.cycle_status)}</span>`
+                : '';
             
             row.innerHTML = `
-                <td>${item.time}</td>
+                <td>${time}</td>
                 <td>${item.reference}</td>
-                <td>${item.quantity}</td>
-                <td>${item.cycle_time}</td>
-                <td><span class="status-badge ${statusClass}">${statusText}</span></td>
+                <td>${quantity}</td>
+                <td>${cycle}</td>
+                <td><span class="status-badge ${statusClass}">${statusText}</span> ${cycleFlag}</td>
                 <td>
                     <button class="btn-icon" onclick="viewProductionDetail('${item.id}')">
                         <i class="fas fa-eye"></i>
@@ -300,8 +480,8 @@ class DashboardManager {
                     <i class="fas fa-${this.getNotificationIcon(notif.type)}"></i>
                 </div>
                 <div class="notification-content">
-                    <div class="notification-title">${notif.title}</div>
-                    <div class="notification-text">${notif.message}</div>
+                    <div class="notification-title">${window.escapeHtml(notif.title)}</div>
+                    <div class="notification-text">${window.escapeHtml(notif.message)}</div>
                     <div class="notification-time">${notif.time}</div>
                 </div>
                 ${!notif.read ? `
@@ -497,18 +677,28 @@ class DashboardManager {
         }
     }
 
+    // Actual pieces against the line plan; filled by the page from js/plan.js
     createProductionChart(ctx) {
         const chart = new Chart(ctx, {
-            type: 'line',
+            type: 'bar',
             data: {
                 labels: [],
                 datasets: [{
-                    label: 'Production',
+                    label: 'Réalisé',
                     data: [],
+                    backgroundColor: 'rgba(16, 185, 129, 0.6)',
                     borderColor: '#10b981',
-                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                    fill: true,
-                    tension: 0.4
+                    borderWidth: 1,
+                    order: 2
+                }, {
+                    type: 'line',
+                    label: 'Plan',
+                    data: [],
+                    borderColor: '#3b82f6',
+                    backgroundColor: 'transparent',
+                    borderDash: [6, 4],
+                    tension: 0,
+                    order: 1
                 }]
             },
             options: {
@@ -516,7 +706,7 @@ class DashboardManager {
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        display: false
+                        display: true
                     },
                     tooltip: {
                         mode: 'index',
@@ -619,24 +809,18 @@ class DashboardManager {
             refreshBtn.addEventListener('click', () => this.refreshData());
         }
         
-        // Clock in/out
-        const clockBtn = document.querySelector('[onclick="clockInOut()"]');
-        if (clockBtn) {
-            clockBtn.addEventListener('click', () => this.clockInOut());
-        }
-        
-        // Report issue
-        const reportBtn = document.querySelector('[onclick="reportIssue()"]');
-        if (reportBtn) {
-            reportBtn.addEventListener('click', () => this.reportIssue());
-        }
-        
         // Start production
         const startBtn = document.querySelector('[onclick="startProduction()"]');
         if (startBtn) {
             startBtn.addEventListener('click', () => this.startProduction());
         }
         
+        // Realtime notifications addressed to this user (Andon calls, escalations)
+        window.authManager?.addEventListener('newNotification', (notification) => {
+            this.showToast(`${notification.title}: ${notification.message}`,
+                notification.type === 'danger' ? 'error' : (notification.type || 'info'));
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl + R to refresh
@@ -666,6 +850,8 @@ class DashboardManager {
         }
     }
 
+    // Toggles presence through the attendance service; breaks are punched
+    // from the agent clock modal
     async clockInOut() {
         try {
             const isClockedIn = await this.checkClockStatus();
@@ -674,22 +860,14 @@ class DashboardManager {
                 // Clock out
                 const confirmed = confirm('Êtes-vous sûr de vouloir pointer la sortie ?');
                 if (confirmed) {
-                    await window.callEdgeFunction('clock-in-out', {
-                        action: 'clock_out',
-                        user_id: this.userProfile.id
-                    });
+                    await window.attendanceService.punch(this.userProfile, 'clock_out');
                     
                     this.showSuccess('Pointage de sortie enregistré');
                     this.updateClockStatus(false);
                 }
             } else {
                 // Clock in
-                await window.callEdgeFunction('clock-in-out', {
-                    action: 'clock_in',
-                    user_id: this.userProfile.id,
-                    shift: this.userProfile.shift,
-                    department: this.userProfile.department
-                });
+                await window.attendanceService.punch(this.userProfile, 'clock_in');
                 
                 this.showSuccess('Pointage d\'entrée enregistré');
                 this.updateClockStatus(true);
@@ -697,17 +875,14 @@ class DashboardManager {
             
         } catch (error) {
             console.error('Clock in/out error:', error);
-            this.showError('Erreur lors du pointage');
+            this.showError(error.code ? error.message : 'Erreur lors du pointage');
         }
     }
 
     async checkClockStatus() {
         try {
-            const response = await window.callEdgeFunction('get-clock-status', {
-                user_id: this.userProfile.id
-            });
-            
-            return response.data?.is_clocked_in || false;
+            const day = await window.attendanceService.getDay(this.userProfile);
+            return day.state === 'working' || day.state === 'on_break';
             
         } catch (error) {
             console.error('Clock status check error:', error);
@@ -733,23 +908,89 @@ class DashboardManager {
         }
     }
 
-    async reportIssue() {
-        const issueType = prompt('Type de problème:\n1. Technique\n2. Qualité\n3. Sécurité\n4. Matériel\n5. Autre');
-        
-        if (!issueType) return;
-        
-        const description = prompt('Description du problème:');
-        if (!description) return;
-        
+    // Structured issue form; product defects are routed to the defect form
+    // on pages that provide one
+    reportIssue() {
+        document.getElementById('issueModal')?.remove();
+
+        const canReportDefect = typeof window.reportDefect === 'function';
+        const modal = document.createElement('div');
+        modal.id = 'issueModal';
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-exclamation-triangle"></i> Signaler un problème</h3>
+                    <button class="close-modal" data-action="close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label class="form-label" for="issueType">Type de problème</label>
+                        <select id="issueType" class="form-control">
+                            ${ISSUE_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="issue-defect-hint" hidden>
+                        <i class="fas fa-bug"></i> Pièce non conforme ?
+                        <button class="btn-secondary btn-sm" data-action="defect">Déclarer un défaut</button>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="issueDescription">Description</label>
+                        <textarea id="issueDescription" class="form-control" rows="3"
+                                  placeholder="Décrivez le problème"></textarea>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn-secondary" data-action="close">
+                        <i class="fas fa-times"></i> Annuler
+                    </button>
+                    <button class="btn-primary" data-action="submit">
+                        <i class="fas fa-paper-plane"></i> Signaler
+                    </button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('#issueType').addEventListener('change', (e) => {
+            modal.querySelector('.issue-defect-hint').hidden = !(canReportDefect && e.target.value === 'Qualité');
+        });
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'close') {
+                modal.remove();
+            } else if (action === 'defect') {
+                modal.remove();
+                window.reportDefect();
+            } else if (action === 'submit') {
+                this.submitIssue(modal);
+            }
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    async submitIssue(modal) {
+        const type = modal.querySelector('#issueType').value;
+        const description = modal.querySelector('#issueDescription').value.trim();
+
+        if (!description) {
+            this.showError('La description est obligatoire');
+            return;
+        }
+
         try {
             await window.callEdgeFunction('report-issue', {
                 user_id: this.userProfile.id,
-                type: issueType,
-                description: description,
+                type,
+                description,
                 department: this.userProfile.department,
                 production_line: this.userProfile.production_line
             });
             
+            modal.remove();
             this.showSuccess('Problème signalé avec succès');
             
         } catch (error) {
@@ -758,30 +999,247 @@ class DashboardManager {
         }
     }
 
-    async startProduction() {
+    // Reference picker limited to the references of the agent's line;
+    // a scanned reference comes preselected
+    async startProduction(referenceCode = null) {
+        document.getElementById('startProductionModal')?.remove();
+
+        const catalog = window.referenceCatalog;
+        const lineName = this.userProfile?.production_line;
+        await catalog.load();
+
+        const references = catalog.getReferences(lineName);
+        if (references.length === 0) {
+            this.showError(`Aucune référence active pour ${lineName || 'votre ligne'}`);
+            return;
+        }
+
+        if (referenceCode) {
+            try {
+                catalog.requireLineReference(referenceCode, lineName);
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'startProductionModal';
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-play"></i> Démarrer une production</h3>
+                    <button class="close-modal" data-action="close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label class="form-label" for="productionReference">Référence</label>
+                        <select id="productionReference" class="form-control">
+                            ${references.map(reference => `<option value="${reference.code}">${reference.code} - ${reference.description}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="reference-details" id="productionReferenceDetails"></div>
+                    <div class="form-group">
+                        <label class="form-label" for="productionQuantity">Quantité</label>
+                        <input type="number" id="productionQuantity" class="form-control" min="1">
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn-secondary" data-action="close">
+                        <i class="fas fa-times"></i> Annuler
+                    </button>
+                    <button class="btn-primary" data-action="submit">
+                        <i class="fas fa-play"></i> Démarrer
+                    </button>
+                </div>
+            </div>
+        `;
+
+        const select = modal.querySelector('#productionReference');
+        const current = referenceCode || document.getElementById('currentReference')?.textContent.trim();
+        if (references.some(reference => reference.code === current)) {
+            select.value = current;
+        }
+
+        const renderDetails = () => {
+            const reference = catalog.getReference(select.value);
+            modal.querySelector('#productionQuantity').value = reference.pack_quantity || 1;
+            modal.querySelector('#productionReferenceDetails').innerHTML = `
+                <span><i class="fas fa-stopwatch"></i> Cycle cible ${catalog.formatCycle(reference.target_cycle)}</span>
+                <span><i class="fas fa-box"></i> ${reference.pack_quantity || 1} pièces / emballage</span>
+                <span><i class="fas fa-sitemap"></i> ${(reference.bom || []).length} composant(s)</span>
+            `;
+        };
+        select.addEventListener('change', renderDetails);
+        renderDetails();
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'close') {
+                modal.remove();
+            } else if (action === 'submit') {
+                this.submitProduction(modal);
+            }
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    openDeliveryModal(request) {
+        document.getElementById('deliveryLotsModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'deliveryLotsModal';
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-tags"></i> Livraison ${window.escapeHtml(request.production_line)}</h3>
+                    <button class="close-modal" data-action="close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="text-muted">Scannez ou saisissez le lot de chaque composant livré.</p>
+                    ${(request.items || []).map(item => `
+                        <div class="form-group">
+                            <label class="form-label">${window.escapeHtml(item.reference)} × ${item.quantity}</label>
+                            <input type="text" class="form-control lot-input" data-component="${window.escapeHtml(item.reference)}"
+                                   data-scan placeholder="N° de lot">
+                        </div>
+                    `).join('')}
+                    <div class="delivery-checks"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn-secondary" data-action="close">
+                        <i class="fas fa-times"></i> Annuler
+                    </button>
+                    <button class="btn-success" data-action="submit">
+                        <i class="fas fa-check"></i> Livrée
+                    </button>
+                </div>
+            </div>
+        `;
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'close') {
+                modal.remove();
+            } else if (action === 'submit') {
+                this.submitDelivery(modal, request);
+            }
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.lot-input')?.focus();
+    }
+
+    // Flagged lots are shown before anything is delivered: warnings take a
+    // second click, refusals a supervisor's badge and a reason
+    async submitDelivery(modal, request) {
+        const lots = Object.fromEntries([...modal.querySelectorAll('.lot-input')]
+            .map(input => [input.dataset.component, input.value]));
+        const control = window.lotControl;
+
         try {
-            const reference = prompt('Référence à produire:');
-            if (!reference) return;
-            
-            const quantity = parseInt(prompt('Quantité:', '1'));
-            if (!quantity || quantity < 1) return;
-            
-            await window.callEdgeFunction('start-production', {
-                user_id: this.userProfile.id,
-                reference: reference,
-                quantity: quantity,
-                production_line: this.userProfile.production_line
-            });
-            
-            this.showSuccess('Production démarrée');
+            let approval = null;
+            if (control) {
+                const checks = await control.checkDelivery(request, lots);
+                const checkedLots = JSON.stringify(lots);
+                if (control.getIssues(checks).length > 0 && modal.dataset.checkedLots !== checkedLots) {
+                    modal.dataset.checkedLots = checkedLots;
+                    this.renderDeliveryChecks(modal, checks);
+                    return;
+                }
+
+                if (control.isBlocked(checks)) {
+                    approval = {
+                        approver: await control.identifyApprover(modal.querySelector('.approver-badge').value, request),
+                        reason: modal.querySelector('.override-reason').value
+                    };
+                }
+            }
+
+            await window.lotTraceability.deliver(request, lots, this.userProfile, { approval });
+
+            modal.remove();
+            this.showSuccess(`Demande: ${window.materialRequests.getStateLabel('delivered')}`);
+            await this.loadMaterialQueue();
+
+        } catch (error) {
+            console.error('Deliver material request error:', error);
+            this.showError(error.message || 'Erreur lors de la livraison');
+        }
+    }
+
+    renderDeliveryChecks(modal, checks) {
+        const control = window.lotControl;
+        const blocked = control.isBlocked(checks);
+        const approval = modal.querySelector('.delivery-approval');
+
+        modal.querySelector('.delivery-checks').innerHTML = control.renderChecks(checks) + (blocked ? '' : `
+            <p class="text-muted">Vérifiez les lots signalés, puis confirmez la livraison.</p>
+        `);
+
+        if (blocked) {
+            const section = approval || document.createElement('div');
+            if (!approval) {
+                section.className = 'delivery-approval';
+                section.innerHTML = `
+                    <div class="form-group">
+                        <label class="form-label">Badge du superviseur</label>
+                        <input type="text" class="form-control approver-badge" data-scan placeholder="Matricule">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Motif de la dérogation</label>
+                        <textarea class="form-control override-reason" rows="2"></textarea>
+                    </div>
+                `;
+            }
+            modal.querySelector('.delivery-checks').appendChild(section);
+            section.querySelector('.approver-badge').focus();
+        }
+
+        modal.querySelector('[data-action="submit"]').innerHTML = blocked
+            ? '<i class="fas fa-user-shield"></i> Livrer avec dérogation'
+            : '<i class="fas fa-check"></i> Livrer quand même';
+    }
+
+    async submitProduction(modal) {
+        try {
+            const session = await window.productionSession.start(
+                this.userProfile,
+                modal.querySelector('#productionReference').value,
+                modal.querySelector('#productionQuantity').value
+            );
+
+            modal.remove();
+            this.showCurrentReference(window.referenceCatalog.getReference(session.reference));
+            this.showSuccess(`Production ${session.reference} démarrée`);
             this.refreshData();
-            
+
         } catch (error) {
             console.error('Start production error:', error);
-            this.showError('Erreur lors du démarrage');
+            this.showError(error.message || 'Erreur lors du démarrage');
         }
     }
 
+    // "Référence en cours" panel of the Production tab
+    showCurrentReference(reference) {
+        const code = document.getElementById('currentReference');
+        if (!code) return;
+
+        const catalog = window.referenceCatalog;
+        code.textContent = reference?.code || '-';
+        document.getElementById('referenceDescription').textContent = reference
+            ? reference.description || 'Référence hors catalogue'
+            : 'Aucune production démarrée';
+        document.getElementById('targetCycle').textContent = reference ? catalog.formatCycle(reference.target_cycle) : '--:--';
+    }
+
     showLoading() {
         // Add loading overlay
         const overlay = document.createElement('div');
@@ -817,11 +1275,13 @@ class DashboardManager {
         toast.className = `toast-notification ${type}`;
         toast.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="toast-close" onclick="this.parentElement.remove()">
                 <i class="fas fa-times"></i>
             </button>
         `;
+        // Messages carry stored text (comments, names): never parsed as HTML
+        toast.querySelector('span').textContent = message;
         
         document.body.appendChild(toast);
         
@@ -864,6 +1324,11 @@ class DashboardManager {
     destroy() {
         this.stopAutoRefresh();
         
+        if (this.materialQueueUnsubscribe) {
+            this.materialQueueUnsubscribe();
+            this.materialQueueUnsubscribe = null;
+        }
+        
         // Cleanup charts
         this.charts.forEach(chart => {
             chart.destroy();
@@ -884,6 +1349,9 @@ window.clockInOut = () => window.dashboardManager?.clockInOut();
 window.reportIssue = () => window.dashboardManager?.reportIssue();
 window.startProduction = () => window.dashboardManager?.startProduction();
 window.logout = () => window.dashboardManager?.logout();
+window.claimMaterialRequest = (requestId) => window.dashboardManager?.claimMaterialRequest(requestId);
+window.advanceMaterialRequest = (requestId) => window.dashboardManager?.advanceMaterialRequest(requestId);
+window.filterMaterialQueue = () => window.dashboardManager?.renderMaterialQueue();
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
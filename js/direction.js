@@ -0,0 +1,459 @@
+// Direction Reporting
+// Plant overview for the Directeur and Sous-directeur pages. Department KPIs
+// come from Database.getDepartmentStats over a date range and are compared
+// with the range just before it. What a user sees follows the access level
+// chosen in setup: their own department, every ZSB department, or the full
+// data with the per-line breakdown. OEE is measured per agent-day like on the
+// other dashboards and added up per department and for the plant.
+const DIRECTION_ACCESS_LEVELS = {
+    'Niveau 1': { label: 'Données département', scope: 'department' },
+    'Niveau 2': { label: 'Données ZSB', scope: 'zsb' },
+    'Niveau 3': { label: 'Données complètes', scope: 'full' }
+};
+
+const DIRECTION_DEFAULT_ACCESS = {
+    'Sous-directeur': 'Niveau 2',
+    'Directeur': 'Niveau 3'
+};
+
+const DIRECTION_PERIODS = {
+    today: { label: 'Aujourd\'hui', days: 1 },
+    week: { label: '7 derniers jours', days: 7 },
+    month: { label: '30 derniers jours', days: 30 }
+};
+
+class DirectionReports {
+    getAccessLevel(profile) {
+        return DIRECTION_ACCESS_LEVELS[profile.access_level]
+            ? profile.access_level
+            : DIRECTION_DEFAULT_ACCESS[profile.role] || 'Niveau 1';
+    }
+
+    getScope(profile) {
+        return DIRECTION_ACCESS_LEVELS[this.getAccessLevel(profile)].scope;
+    }
+
+    getAccessLabel(profile) {
+        return DIRECTION_ACCESS_LEVELS[this.getAccessLevel(profile)].label;
+    }
+
+    getDepartments(profile) {
+        if (this.getScope(profile) === 'department') {
+            return profile.department ? [profile.department] : [];
+        }
+        return window.plantRegistry.getDepartments().map(department => department.code);
+    }
+
+    canSeeLines(profile) {
+        return this.getScope(profile) === 'full';
+    }
+
+    // Date ranges (plant dates, both ends included)
+    getRange(preset = 'today', at = new Date()) {
+        const calendar = window.shiftCalendar;
+        const to = calendar.toDateKey(at);
+        const days = DIRECTION_PERIODS[preset]?.days || 1;
+
+        return { from: calendar.addDays(to, -(days - 1)), to };
+    }
+
+    getRangeDays(range) {
+        const calendar = window.shiftCalendar;
+        return Math.round((calendar.fromDateKey(range.to) - calendar.fromDateKey(range.from)) / DAY_MS) + 1;
+    }
+
+    // Same number of days, ending the day before the range starts
+    getPreviousRange(range) {
+        const calendar = window.shiftCalendar;
+        const to = calendar.addDays(range.from, -1);
+        return { from: calendar.addDays(to, -(this.getRangeDays(range) - 1)), to };
+    }
+
+    async getReport(profile, range, { compare = true } = {}) {
+        if (range.from > range.to) {
+            throw new Error('La date de début doit précéder la date de fin');
+        }
+
+        const departments = this.getDepartments(profile);
+        const previousRange = compare ? this.getPreviousRange(range) : null;
+
+        const [current, previous, oee] = await Promise.all([
+            this.getStats(departments, range),
+            compare ? this.getStats(departments, previousRange) : Promise.resolve([]),
+            this.getOee(departments, range)
+        ]);
+
+        const totals = this.combine(current);
+        const previousTotals = compare ? this.combine(previous) : null;
+
+        return {
+            range,
+            previousRange,
+            scope: this.getScope(profile),
+            departments: current.map((stats, index) => ({
+                ...stats,
+                name: window.plantRegistry.getDepartmentName(stats.department),
+                oee: oee.departments[stats.department],
+                deltas: compare ? this.compare(stats, previous[index]) : null
+            })),
+            totals,
+            oee: oee.plant,
+            previousTotals,
+            deltas: compare ? this.compare(totals, previousTotals) : null,
+            topIssues: this.getTopIssues(current),
+            lines: this.canSeeLines(profile) ? current.flatMap(stats => stats.lines || []) : []
+        };
+    }
+
+    getStats(departments, range) {
+        return Promise.all(departments.map(department => window.Database.getDepartmentStats(department, range)));
+    }
+
+    // OEE of every agent-day in the range, summed per department, then the
+    // department sums for the plant
+    async getOee(departments, range, at = new Date()) {
+        const oee = window.oeeCalculator;
+        const calendar = window.shiftCalendar;
+        const dates = Array.from({ length: this.getRangeDays(range) }, (_, offset) => calendar.addDays(range.from, offset));
+        const lineNames = departments.flatMap(department => window.plantRegistry.getLines(department)).map(line => line.name);
+
+        const recordDates = calendar.getRecordDates(dates);
+
+        const [agents, records, events] = await Promise.all([
+            window.Database.getProfiles({ role: 'Agent', department: departments }),
+            window.Database.getProductionRecords({ department: departments, date: recordDates }),
+            oee.getDowntimeEvents(lineNames, recordDates, at),
+            oee.loadReferences()
+        ]);
+        const days = (await Promise.all(dates.map(date =>
+            window.attendanceService.getTeamDays(agents, date, { at })))).flat();
+
+        const sums = departments.map(department => oee.combine(days
+            .map(day => ({ day, agent: agents.find(candidate => candidate.id === day.user_id) }))
+            .filter(({ agent }) => agent?.department === department)
+            .map(({ day, agent }) => oee.measure(
+                day,
+                records.filter(record => record.agent_id === agent.id && calendar.getRecordDate(record) === day.date),
+                events.filter(event => event.production_line === agent.production_line),
+                at
+            ))));
+
+        return {
+            plant: oee.rates(oee.combine(sums)),
+            departments: Object.fromEntries(departments.map((department, index) => [department, oee.rates(sums[index])]))
+        };
+    }
+
+    // Plant totals from department stats
+    combine(statsList) {
+        const sum = (key) => statsList.reduce((total, stats) => total + (stats[key] || 0), 0);
+        const production = sum('production');
+        const defects = sum('defects');
+        const present = sum('present');
+        const scheduled = sum('scheduled');
+
+        const daily = {};
+        statsList.flatMap(stats => stats.daily || []).forEach(day => {
+            const entry = daily[day.date] = daily[day.date] || { date: day.date, good: 0, defects: 0 };
+            entry.good += day.good;
+            entry.defects += day.defects;
+        });
+
+        return {
+            production,
+            defects,
+            quality_rate: this.getQualityRate(production, defects),
+            present,
+            scheduled,
+            attendance_rate: scheduled > 0 ? Math.min(100, Math.round((present / scheduled) * 1000) / 10) : 0,
+            issues: sum('issues'),
+            open_issues: sum('open_issues'),
+            shortage_hours: Math.round(sum('shortage_hours') * 10) / 10,
+            daily: Object.values(daily)
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .map(day => ({ ...day, quality_rate: this.getQualityRate(day.good, day.defects) }))
+        };
+    }
+
+    getQualityRate(good, defects) {
+        const total = good + defects;
+        return total > 0 ? Math.round((good / total) * 1000) / 10 : 100;
+    }
+
+    // Production as a percentage change, rates in points, the rest as counts.
+    // Rates are not compared with a period that had no production or no
+    // scheduled work (Sundays, holidays)
+    compare(current, previous) {
+        if (!previous) return null;
+
+        const difference = (a, b) => Math.round((a - b) * 10) / 10;
+        return {
+            production: previous.production > 0
+                ? Math.round(((current.production - previous.production) / previous.production) * 1000) / 10
+                : null,
+            quality_rate: previous.production + previous.defects > 0
+                ? difference(current.quality_rate, previous.quality_rate)
+                : null,
+            attendance_rate: previous.scheduled > 0
+                ? difference(current.attendance_rate, previous.attendance_rate)
+                : null,
+            shortage_hours: difference(current.shortage_hours, previous.shortage_hours),
+            issues: (current.issues || 0) - (previous.issues || 0)
+        };
+    }
+
+    getTopIssues(statsList, limit = 5) {
+        const counts = {};
+        statsList.flatMap(stats => stats.issues_by_type || []).forEach(({ type, count }) => {
+            counts[type] = (counts[type] || 0) + count;
+        });
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return Object.entries(counts)
+            .map(([type, count]) => ({ type, count, share: total > 0 ? Math.round((count / total) * 100) : 0 }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+}
+
+// Page controller shared by directeur.html and sousdir.html
+class DirectionDashboard {
+    constructor(reports) {
+        this.reports = reports;
+        this.profile = null;
+        this.report = null;
+        this.charts = new Map();
+    }
+
+    async init(allowedRoles) {
+        this.profile = window.authManager?.getProfile();
+        if (!this.profile) {
+            window.location.href = 'index.html';
+            return;
+        }
+
+        if (!allowedRoles.includes(this.profile.role)) {
+            alert('Accès non autorisé. Redirection...');
+            window.authManager.logout();
+            return;
+        }
+
+        await window.shiftCalendar.load().catch(error => {
+            console.warn('Plant structure unavailable:', error);
+        });
+
+        document.getElementById('accessLevel').textContent = this.reports.getAccessLabel(this.profile);
+        document.getElementById('lineBreakdownSection').hidden = !this.reports.canSeeLines(this.profile);
+
+        this.applyPreset('week');
+        this.initCharts();
+        await this.load();
+    }
+
+    applyPreset(preset) {
+        document.getElementById('periodPreset').value = preset;
+        if (preset === 'custom') return;
+
+        const range = this.reports.getRange(preset);
+        document.getElementById('rangeFrom').value = range.from;
+        document.getElementById('rangeTo').value = range.to;
+    }
+
+    getSelectedRange() {
+        return {
+            from: document.getElementById('rangeFrom').value,
+            to: document.getElementById('rangeTo').value
+        };
+    }
+
+    async load() {
+        const range = this.getSelectedRange();
+        if (!range.from || !range.to) return;
+
+        try {
+            this.report = await this.reports.getReport(this.profile, range, {
+                compare: document.getElementById('compareToggle').checked
+            });
+
+            this.renderSummary();
+            this.renderDepartments();
+            this.renderTopIssues();
+            this.renderLines();
+            this.updateCharts();
+        } catch (error) {
+            console.error('Error loading direction report:', error);
+            window.dashboardManager.showError(error.message || 'Erreur lors du chargement du rapport');
+        }
+    }
+
+    renderSummary() {
+        const { totals, deltas, previousRange, departments } = this.report;
+
+        document.getElementById('kpiProduction').textContent = totals.production.toLocaleString('fr-FR');
+        document.getElementById('kpiQuality').textContent = `${totals.quality_rate}%`;
+        document.getElementById('kpiOee').textContent = window.oeeCalculator.formatRate(this.report.oee.oee);
+        document.getElementById('kpiOeeDetail').textContent = this.report.oee.oee === null
+            ? 'sur la période'
+            : `D ${this.report.oee.availability} · P ${this.report.oee.performance} · Q ${this.report.oee.quality}`;
+        document.getElementById('kpiAttendance').textContent = `${totals.attendance_rate}%`;
+        document.getElementById('kpiShortage').textContent = `${totals.shortage_hours} h`;
+        document.getElementById('kpiIssues').textContent = totals.issues;
+        document.getElementById('kpiOpenIssues').textContent = totals.open_issues;
+        document.getElementById('departmentCount').textContent = departments.length;
+
+        document.getElementById('kpiProductionDelta').innerHTML = this.formatDelta(deltas?.production, '%');
+        document.getElementById('kpiQualityDelta').innerHTML = this.formatDelta(deltas?.quality_rate, ' pts');
+        document.getElementById('kpiAttendanceDelta').innerHTML = this.formatDelta(deltas?.attendance_rate, ' pts');
+        document.getElementById('kpiShortageDelta').innerHTML = this.formatDelta(deltas?.shortage_hours, ' h', true);
+
+        document.getElementById('comparisonLabel').textContent = previousRange
+            ? `vs ${this.formatRange(previousRange)}`
+            : 'Sans comparaison';
+    }
+
+    renderDepartments() {
+        const tbody = document.getElementById('departmentTable');
+
+        tbody.innerHTML = this.report.departments.map(department => `
+            <tr>
+                <td><strong>${department.department}</strong> <small class="text-muted">${department.name !== department.department ? department.name : ''}</small></td>
+                <td>${department.production.toLocaleString('fr-FR')} ${this.formatDelta(department.deltas?.production, '%')}</td>
+                <td>
+                    <span class="status-badge status-${window.qualityManager.getRateLevel(department.quality_rate)}">${department.quality_rate}%</span>
+                    ${this.formatDelta(department.deltas?.quality_rate, ' pts')}
+                </td>
+                <td>
+                    <span class="status-badge status-${window.oeeCalculator.getLevel(department.oee.oee)}">${window.oeeCalculator.formatRate(department.oee.oee)}</span>
+                </td>
+                <td>${department.attendance_rate}% ${this.formatDelta(department.deltas?.attendance_rate, ' pts')}</td>
+                <td>${department.shortage_hours} h ${this.formatDelta(department.deltas?.shortage_hours, ' h', true)}</td>
+                <td>${department.issues} ${this.formatDelta(department.deltas?.issues, '', true)}</td>
+                <td>${department.open_issues}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="8" class="text-muted">Aucun département dans votre périmètre</td></tr>';
+    }
+
+    renderTopIssues() {
+        const container = document.getElementById('topIssues');
+
+        container.innerHTML = this.report.topIssues.map(issue => `
+            <div class="direction-issue">
+                <span>${window.escapeHtml(issue.type)}</span>
+                <div class="progress">
+                    <div class="progress-bar" style="width: ${issue.share}%"></div>
+                </div>
+                <strong>${issue.count}</strong>
+            </div>
+        `).join('') || '<p class="text-muted">Aucun problème sur la période</p>';
+    }
+
+    renderLines() {
+        const tbody = document.getElementById('lineBreakdown');
+        if (!tbody || !this.reports.canSeeLines(this.profile)) return;
+
+        tbody.innerHTML = this.report.lines.map(line => `
+            <tr>
+                <td>${window.escapeHtml(line.production_line)}</td>
+                <td>${window.plantRegistry.getLineDepartment(line.production_line) || '-'}</td>
+                <td>${line.good.toLocaleString('fr-FR')}</td>
+                <td>${line.defects}</td>
+                <td><span class="status-badge status-${window.qualityManager.getRateLevel(line.quality_rate)}">${line.quality_rate}%</span></td>
+            </tr>
+        `).join('') || '<tr><td colspan="5" class="text-muted">Aucune production sur la période</td></tr>';
+    }
+
+    // Charts
+    initCharts() {
+        if (typeof Chart === 'undefined') return;
+
+        const options = (yOptions = {}) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { labels: { color: '#94a3b8' } } },
+            scales: {
+                x: { grid: { color: 'rgba(148, 163, 184, 0.1)' }, ticks: { color: '#94a3b8' } },
+                y: { beginAtZero: true, grid: { color: 'rgba(148, 163, 184, 0.1)' }, ticks: { color: '#94a3b8' }, ...yOptions }
+            }
+        });
+
+        const productionCtx = document.getElementById('trendChart');
+        if (productionCtx) {
+            this.charts.set('production', new Chart(productionCtx, {
+                type: 'line',
+                data: { labels: [], datasets: [] },
+                options: options()
+            }));
+        }
+
+        const qualityCtx = document.getElementById('qualityTrendChart');
+        if (qualityCtx) {
+            this.charts.set('quality', new Chart(qualityCtx, {
+                type: 'line',
+                data: { labels: [], datasets: [] },
+                options: options({ beginAtZero: false, suggestedMin: 95, max: 100 })
+            }));
+        }
+    }
+
+    // The previous period is drawn day by day under the current one
+    updateCharts() {
+        const { range, previousRange, totals, previousTotals } = this.report;
+        const calendar = window.shiftCalendar;
+        const days = Array.from({ length: this.reports.getRangeDays(range) }, (_, offset) => offset);
+        const valuesFor = (daily, from, field) => days.map(offset => {
+            const date = calendar.addDays(from, offset);
+            return daily.find(day => day.date === date)?.[field] ?? null;
+        });
+
+        const update = (key, field, color) => {
+            const chart = this.charts.get(key);
+            if (!chart) return;
+
+            chart.data.labels = days.map(offset => calendar.formatDay(calendar.addDays(range.from, offset)));
+            chart.data.datasets = [{
+                label: 'Période',
+                data: valuesFor(totals.daily, range.from, field),
+                borderColor: color,
+                backgroundColor: 'transparent',
+                spanGaps: true,
+                tension: 0.3
+            }];
+            if (previousTotals) {
+                chart.data.datasets.push({
+                    label: 'Période précédente',
+                    data: valuesFor(previousTotals.daily, previousRange.from, field),
+                    borderColor: '#64748b',
+                    borderDash: [6, 4],
+                    backgroundColor: 'transparent',
+                    spanGaps: true,
+                    tension: 0.3
+                });
+            }
+            chart.update();
+        };
+
+        update('production', 'good', '#10b981');
+        update('quality', 'quality_rate', '#3b82f6');
+    }
+
+    // Formatting
+    formatDelta(value, unit = '', lowerIsBetter = false) {
+        if (value === null || value === undefined) return '';
+        if (value === 0) return '<small class="direction-delta">=</small>';
+
+        const better = lowerIsBetter ? value < 0 : value > 0;
+        return `<small class="direction-delta ${better ? 'positive' : 'negative'}">${value > 0 ? '+' : ''}${value}${unit}</small>`;
+    }
+
+    formatRange(range) {
+        const calendar = window.shiftCalendar;
+        return range.from === range.to
+            ? calendar.formatDay(range.from)
+            : `${calendar.formatDay(range.from)} → ${calendar.formatDay(range.to)}`;
+    }
+}
+
+// Initialize direction reports
+window.DIRECTION_ACCESS_LEVELS = DIRECTION_ACCESS_LEVELS;
+window.directionReports = new DirectionReports();
+window.directionDashboard = new DirectionDashboard(window.directionReports);
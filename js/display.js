@@ -0,0 +1,313 @@
+// Shop Floor Display
+// Kiosk mode for the TV screens above the lines. A screen has no user
+// session: it is registered as a display device whose token is the only
+// credential, and everything it shows comes from the token-checked
+// get_display_board RPC for the device's department or lines. Realtime
+// changes on production, Andon calls and material requests only tell the
+// screen to fetch the board again; with several lines in scope the screen
+// rotates between them.
+const DISPLAY_TOKEN_KEY = 'display_token';
+const DISPLAY_ROTATE_SECONDS = 20;
+const DISPLAY_REFRESH_DELAY = 2000; // groups bursts of realtime events
+const DISPLAY_RETRY_DELAY = 60000; // retry after a failed load
+const DISPLAY_HOURS_SHOWN = 8;
+
+// Hour progress against the pro-rated target (percent)
+const DISPLAY_ON_TARGET = 100;
+const DISPLAY_ALERT = 85;
+
+class DisplayBoard {
+    // Devices
+    async getDevices() {
+        return await window.Database.getDisplayDevices();
+    }
+
+    async registerDevice({ name, department, productionLine = null, rotateSeconds = DISPLAY_ROTATE_SECONDS }) {
+        if (!name?.trim()) {
+            throw new Error('Nom de l\'écran requis');
+        }
+        if (!department) {
+            throw new Error('Département requis');
+        }
+
+        return await window.Database.saveDisplayDevice({
+            name: name.trim(),
+            token: this.generateToken(),
+            department,
+            production_lines: productionLine ? [productionLine] : [],
+            rotate_seconds: rotateSeconds || DISPLAY_ROTATE_SECONDS,
+            active: true,
+            last_seen_at: null,
+            created_at: window.ClientClock.now().toISOString()
+        });
+    }
+
+    // A disabled screen is refused by the board RPC at its next refresh
+    async setDeviceActive(device, active) {
+        return await window.Database.saveDisplayDevice({ ...device, active });
+    }
+
+    generateToken() {
+        const bytes = window.crypto.getRandomValues(new Uint8Array(12));
+        return `tv-${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    getDeviceUrl(device) {
+        return new URL(`display.html?token=${encodeURIComponent(device.token)}`, window.location.href).href;
+    }
+
+    getScopeLabel(device) {
+        return device.production_lines?.length ? device.production_lines.join(', ') : `Toutes les lignes ${device.department}`;
+    }
+
+    // Token from the URL on first start, then remembered by the screen
+    resolveToken(search = window.location.search) {
+        const token = new URLSearchParams(search).get('token');
+        if (token) {
+            localStorage.setItem(DISPLAY_TOKEN_KEY, token);
+            return token;
+        }
+        return localStorage.getItem(DISPLAY_TOKEN_KEY);
+    }
+
+    async getBoard(token) {
+        if (!token) {
+            throw new Error('Aucun jeton d\'écran');
+        }
+        return await window.Database.getDisplayBoard(token);
+    }
+
+    getHourKey(date) {
+        const hour = new Date(date);
+        hour.setMinutes(0, 0, 0);
+        return hour.getTime();
+    }
+
+    // Everything one line shows. The line target is the hourly target per
+    // operator times the operators clocked in now
+    buildLine(board, line, at = new Date()) {
+        const records = board.production.filter(record => record.production_line === line.name);
+        const target = line.hourly_target * line.operators;
+        const currentHour = this.getHourKey(at);
+        const elapsed = (at - currentHour) / 3600000;
+
+        const hours = Array.from({ length: DISPLAY_HOURS_SHOWN }, (_, index) => {
+            const start = currentHour - (DISPLAY_HOURS_SHOWN - 1 - index) * 3600000;
+            const output = window.qualityManager.summarize(records.filter(record =>
+                this.getHourKey(record.created_at) === start)).good;
+
+            return { start, output, target };
+        });
+
+        const current = hours[hours.length - 1];
+        const expected = Math.round(target * elapsed);
+        const latest = records
+            .filter(record => record.status !== 'defect')
+            .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))[0];
+
+        return {
+            ...line,
+            target,
+            hours,
+            output: current.output,
+            expected,
+            progress: expected > 0 ? Math.round((current.output / expected) * 100) : null,
+            production: window.qualityManager.summarize(records),
+            current_reference: (records.find(record => record.status === 'in_progress') || latest)?.reference || null,
+            status: window.andonManager.getLineStatus(board.andon_calls, line.name),
+            andon: board.andon_calls.filter(call => call.production_line === line.name),
+            requests: board.material_requests
+                .filter(request => request.production_line === line.name)
+                .sort((a, b) => (a.requested_at < b.requested_at ? -1 : 1))
+        };
+    }
+
+    getLevel(progress) {
+        if (progress === null) return 'info';
+        if (progress >= DISPLAY_ON_TARGET) return 'success';
+        if (progress >= DISPLAY_ALERT) return 'warning';
+        return 'danger';
+    }
+}
+
+// Page controller for display.html
+class DisplayScreen {
+    constructor(board) {
+        this.board = board;
+        this.token = null;
+        this.data = null;
+        this.lineName = null;
+        this.index = 0;
+        this.rotateTimer = null;
+        this.refreshTimer = null;
+        this.retryTimer = null;
+    }
+
+    async init() {
+        this.token = this.board.resolveToken();
+        this.lineName = new URLSearchParams(window.location.search).get('line');
+
+        if (!this.token) {
+            this.showError('Écran non enregistré : ouvrez display.html?token=<jeton de l\'écran>');
+            return;
+        }
+
+        await this.load();
+        this.subscribe();
+        this.startClock();
+    }
+
+    async load() {
+        clearTimeout(this.retryTimer);
+
+        try {
+            this.data = await this.board.getBoard(this.token);
+            document.getElementById('displayError').hidden = true;
+            document.getElementById('displayUpdated').textContent =
+                `Mis à jour ${new Date().toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`;
+            this.render();
+            this.scheduleRotation();
+        } catch (error) {
+            console.error('Display board error:', error);
+            this.showError(error.message || 'Tableau indisponible');
+            this.retryTimer = setTimeout(() => this.load(), DISPLAY_RETRY_DELAY);
+        }
+    }
+
+    // Realtime
+    subscribe() {
+        const refresh = () => this.scheduleRefresh();
+
+        window.Realtime.subscribe('production_data', '*', refresh);
+        window.andonManager.subscribe(refresh);
+        window.materialRequests.subscribe(refresh);
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.load(), DISPLAY_REFRESH_DELAY);
+    }
+
+    // Rotation
+    getLines() {
+        const lines = this.data?.lines || [];
+        return this.lineName ? lines.filter(line => line.name === this.lineName) : lines;
+    }
+
+    scheduleRotation() {
+        if (this.rotateTimer || this.getLines().length < 2) return;
+
+        const seconds = this.data.device.rotate_seconds || DISPLAY_ROTATE_SECONDS;
+        this.rotateTimer = setInterval(() => {
+            this.index = (this.index + 1) % this.getLines().length;
+            this.render();
+        }, seconds * 1000);
+    }
+
+    // The expected output moves with the clock, so the board is redrawn
+    // every minute even when nothing changed on the line
+    startClock() {
+        const clock = document.getElementById('displayClock');
+        const tick = () => {
+            const time = new Date().toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+            if (clock.textContent !== time && this.data) {
+                this.render();
+            }
+            clock.textContent = time;
+        };
+
+        tick();
+        setInterval(tick, 1000);
+    }
+
+    // Rendering
+    render() {
+        const lines = this.getLines();
+        document.getElementById('displayName').textContent = this.data.device.name;
+
+        if (lines.length === 0) {
+            this.showError('Aucune ligne active pour cet écran');
+            return;
+        }
+
+        this.index = this.index % lines.length;
+        const at = new Date();
+        const line = this.board.buildLine(this.data, lines[this.index], at);
+
+        document.getElementById('displayLines').innerHTML = lines.map((candidate, index) => `
+            <span class="display-line-pill ${window.andonManager.getLineStatus(this.data.andon_calls, candidate.name).className} ${index === this.index ? 'active' : ''}">
+                ${candidate.name}
+            </span>
+        `).join('');
+
+        document.getElementById('lineName').textContent = line.name;
+        const status = document.getElementById('lineStatus');
+        status.textContent = line.status.label;
+        status.className = `display-status ${line.status.className}`;
+
+        this.renderOutput(line);
+        this.renderHours(line);
+
+        document.getElementById('displayAndon').innerHTML = line.andon
+            .map(call => window.andonManager.renderCall(call, { at }))
+            .join('') || '<p class="display-empty">Aucun appel en cours</p>';
+
+        const requests = window.materialRequests;
+        document.getElementById('displayRequests').innerHTML = line.requests.map(request => `
+            <div class="material-request-item ${request.urgency}">
+                <div class="material-request-content">
+                    <div class="material-request-items">${requests.formatItems(request)}</div>
+                    <div class="material-request-meta">
+                        <span><i class="fas fa-clock"></i> ${Math.round((at - new Date(request.requested_at)) / 60000)} min</span>
+                        ${request.line_side ? `<span><i class="fas fa-arrows-alt-h"></i> ${request.line_side}</span>` : ''}
+                    </div>
+                </div>
+                <span class="status-badge ${requests.getStateBadge(request.status)}">${requests.getStateLabel(request.status)}</span>
+            </div>
+        `).join('') || '<p class="display-empty">Aucune demande en attente</p>';
+    }
+
+    renderOutput(line) {
+        const level = this.board.getLevel(line.progress);
+
+        document.getElementById('hourOutput').textContent = line.output;
+        document.getElementById('hourTarget').textContent = line.target || '-';
+        document.getElementById('hourExpected').textContent = line.target
+            ? `${line.expected} attendues à cette minute`
+            : 'Aucun opérateur pointé';
+        document.getElementById('hourProgress').className = `progress progress-${level}`;
+        document.getElementById('hourProgress').querySelector('.progress-bar').style.width =
+            `${Math.min(100, line.progress || 0)}%`;
+
+        document.getElementById('shiftOutput').textContent = line.production.good;
+        document.getElementById('qualityRate').textContent = `${line.production.quality_rate}%`;
+        document.getElementById('currentReference').textContent = line.current_reference || '-';
+        document.getElementById('operatorCount').textContent = line.operators;
+    }
+
+    renderHours(line) {
+        const scale = Math.max(line.target, ...line.hours.map(hour => hour.output), 1);
+
+        document.getElementById('hourlyBars').innerHTML = line.hours.map(hour => `
+            <div class="display-hour">
+                <div class="display-hour-bar">
+                    ${line.target ? `<div class="display-hour-target" style="bottom: ${(line.target / scale) * 100}%"></div>` : ''}
+                    <div class="display-hour-value ${line.target && hour.output >= line.target ? 'reached' : ''}"
+                         style="height: ${(hour.output / scale) * 100}%"></div>
+                </div>
+                <strong>${hour.output}</strong>
+                <small>${String(new Date(hour.start).getHours()).padStart(2, '0')}h</small>
+            </div>
+        `).join('');
+    }
+
+    showError(message) {
+        const element = document.getElementById('displayError');
+        element.textContent = message;
+        element.hidden = false;
+    }
+}
+
+// Initialize display board
+window.displayBoard = new DisplayBoard();
+window.displayScreen = new DisplayScreen(window.displayBoard);
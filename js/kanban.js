@@ -0,0 +1,310 @@
+// Electronic Kanban
+// Line-side supermarkets run two-bin kanban: every component location on a
+// line is a loop of cards, one per bin, sized by the pack quantity and the
+// max stock of the location. When a bin runs empty its card is scanned (or
+// clicked) and the signal becomes a material request, so it reaches the
+// handlers on the same realtime queue as any other request. A card's state
+// follows its last request: empty while requested, in replenishment once
+// picked, full again when delivered. The min stock of the loop raises the
+// urgency of the signal when the remaining full bins drop to it.
+const KANBAN_STATES = {
+    full: { label: 'Plein', badge: 'status-success', icon: 'fa-box' },
+    empty: { label: 'Vide', badge: 'status-danger', icon: 'fa-box-open' },
+    replenishing: { label: 'En réapprovisionnement', badge: 'status-warning', icon: 'fa-truck-loading' }
+};
+
+// Material request status -> card state
+const KANBAN_REQUEST_STATES = {
+    requested: 'empty',
+    picked: 'replenishing',
+    in_transit: 'replenishing',
+    delivered: 'full',
+    confirmed: 'full'
+};
+
+// Two-bin kanban: a loop never has fewer cards
+const KANBAN_MIN_CARDS = 2;
+
+class KanbanBoard {
+    constructor() {
+        this.states = KANBAN_STATES;
+        this.listeners = new Set();
+        this.isSubscribed = false;
+        this.requestsUnsubscribe = null;
+    }
+
+    getStateLabel(state) {
+        return this.states[state]?.label || state;
+    }
+
+    getStateBadge(state) {
+        return this.states[state]?.badge || 'status-info';
+    }
+
+    getState(card, request = null) {
+        if (!card.request_id || !request) return 'full';
+        return KANBAN_REQUEST_STATES[request.status] || 'full';
+    }
+
+    getLoopKey(card) {
+        return [card.production_line, card.line_side, card.component].join('|');
+    }
+
+    getCardLabel(card) {
+        return `${card.component} carte ${card.card_number}/${card.card_count}`;
+    }
+
+    // Board
+    // Active cards of the scope with their current request, grouped by loop
+    async getBoard(filters = {}) {
+        const cards = await window.Database.getKanbanCards({ ...filters, active: true });
+        const requestIds = cards.map(card => card.request_id).filter(Boolean);
+        const requests = requestIds.length
+            ? await window.Database.getMaterialRequests({ id: requestIds })
+            : [];
+
+        const loops = new Map();
+        cards.forEach(card => {
+            const request = requests.find(candidate => candidate.id === card.request_id) || null;
+            const key = this.getLoopKey(card);
+            if (!loops.has(key)) {
+                loops.set(key, {
+                    key,
+                    production_line: card.production_line,
+                    department: card.department,
+                    line_side: card.line_side,
+                    location: card.location,
+                    component: card.component,
+                    description: card.description,
+                    pack_quantity: card.pack_quantity,
+                    min_quantity: card.min_quantity,
+                    max_quantity: card.max_quantity,
+                    cards: []
+                });
+            }
+            loops.get(key).cards.push({ ...card, request, state: this.getState(card, request) });
+        });
+
+        return [...loops.values()]
+            .map(loop => {
+                loop.cards.sort((a, b) => a.card_number - b.card_number);
+                loop.stock = loop.cards.filter(card => card.state === 'full').length * loop.pack_quantity;
+                loop.below_min = loop.stock <= loop.min_quantity;
+                return loop;
+            })
+            .sort((a, b) => a.production_line.localeCompare(b.production_line, 'fr', { numeric: true }) ||
+                (a.location || '').localeCompare(b.location || '') ||
+                a.component.localeCompare(b.component));
+    }
+
+    findCard(loops, component, cardNumber) {
+        for (const loop of loops) {
+            const card = loop.cards.find(candidate =>
+                candidate.component === component && candidate.card_number === cardNumber);
+            if (card) return { loop, card };
+        }
+        return null;
+    }
+
+    // Signals
+    // Urgency of a signal from the full stock left once the bin is empty
+    getUrgency(loop, card) {
+        const remaining = loop.cards
+            .filter(candidate => candidate.id !== card.id && candidate.state === 'full')
+            .length * loop.pack_quantity;
+
+        if (remaining === 0) return 'critical';
+        if (remaining <= loop.min_quantity) return 'high';
+        return 'normal';
+    }
+
+    async signalEmpty(profile, loop, card) {
+        if (card.state !== 'full') {
+            throw new Error(`${this.getCardLabel(card)} : déjà ${this.getStateLabel(card.state).toLowerCase()}`);
+        }
+
+        // The card is taken first, so a bin scanned twice (or by two people)
+        // raises a single request; the request id is chosen here for that
+        const requestId = window.generateClientId();
+        const signalled = await window.Database.signalKanbanCard(card.id, card.request_id || null, {
+            request_id: requestId,
+            signalled_at: new Date().toISOString(),
+            signalled_by: profile.id
+        });
+        if (!signalled) {
+            throw new Error(`${this.getCardLabel(card)} : déjà signalée`);
+        }
+
+        try {
+            return await window.materialRequests.createRequest(profile, [
+                { reference: card.component, quantity: card.pack_quantity }
+            ], {
+                id: requestId,
+                urgency: this.getUrgency(loop, card),
+                comment: `Kanban ${this.getCardLabel(card)}${card.location ? ` · ${card.location}` : ''}`,
+                kanbanCard: card
+            });
+        } catch (error) {
+            // Gives the card back to its previous request
+            await window.Database.signalKanbanCard(card.id, requestId, {
+                request_id: card.request_id || null,
+                signalled_at: card.signalled_at || null,
+                signalled_by: card.signalled_by || null
+            }).catch(rollbackError => console.warn('Kanban card rollback failed:', rollbackError));
+            throw error;
+        }
+    }
+
+    // A scanned card: an empty bin is signalled, a bin just delivered is
+    // confirmed as received
+    async scanCard(profile, lineName, component, cardNumber) {
+        const loops = await this.getBoard({ production_line: lineName });
+        const found = this.findCard(loops, component, cardNumber);
+        if (!found) {
+            throw new Error(`Carte kanban inconnue sur ${lineName} : ${component} n°${cardNumber}`);
+        }
+
+        const { loop, card } = found;
+        if (card.request?.status === 'delivered') {
+            await window.materialRequests.advance(card.request, 'confirmed', profile);
+            return { action: 'confirmed', card };
+        }
+
+        const request = await this.signalEmpty(profile, loop, card);
+        return { action: 'signalled', card, request };
+    }
+
+    // Loops
+    // Cards are numbered 1..n, n being the bins needed to hold the max stock;
+    // cards beyond a reduced count are retired, not deleted
+    async saveLoop({ production_line, line_side = 'Complet', location = '', component, description = '', pack_quantity, min_quantity, max_quantity }) {
+        if (!window.authManager?.canManageLine(production_line)) {
+            throw new Error(`Vous ne gérez pas la ligne ${production_line}`);
+        }
+
+        const code = (component || '').trim().toUpperCase();
+        if (!code) {
+            throw new Error('Composant requis');
+        }
+        if (!Number.isInteger(pack_quantity) || pack_quantity < 1) {
+            throw new Error('Quantité par bac invalide');
+        }
+        if (!Number.isInteger(max_quantity) || max_quantity < pack_quantity) {
+            throw new Error('Le stock max doit contenir au moins un bac');
+        }
+        if (!Number.isInteger(min_quantity) || min_quantity < 0 || min_quantity >= max_quantity) {
+            throw new Error('Le stock min doit être inférieur au stock max');
+        }
+
+        const cardCount = Math.max(KANBAN_MIN_CARDS, Math.ceil(max_quantity / pack_quantity));
+        const existing = await window.Database.getKanbanCards({ production_line, component: code });
+        const side = line_side || 'Complet';
+
+        const loopCards = existing.filter(card => card.line_side === side);
+        const rows = Array.from({ length: Math.max(cardCount, loopCards.length) }, (_, index) => ({
+            production_line,
+            department: window.plantRegistry.getLine(production_line)?.department || null,
+            line_side: side,
+            location: location.trim(),
+            component: code,
+            description: description.trim() || window.referenceCatalog?.getLineComponents(production_line)
+                .find(item => item.component === code)?.description || '',
+            card_number: index + 1,
+            card_count: cardCount,
+            pack_quantity,
+            min_quantity,
+            max_quantity,
+            active: index < cardCount
+        }));
+
+        return await window.Database.saveKanbanCards(rows);
+    }
+
+    async retireLoop(loop) {
+        if (!window.authManager?.canManageLine(loop.production_line)) {
+            throw new Error(`Vous ne gérez pas la ligne ${loop.production_line}`);
+        }
+
+        return await window.Database.saveKanbanCards(loop.cards.map(card => ({
+            production_line: card.production_line,
+            line_side: card.line_side,
+            component: card.component,
+            card_number: card.card_number,
+            active: false
+        })));
+    }
+
+    // Rendering
+    // `controls` is extra markup for the loop, e.g. the chef's edit buttons
+    renderLoop(loop, { actions = false, controls = '' } = {}) {
+        return `
+            <div class="kanban-loop ${loop.below_min ? 'below-min' : ''}">
+                <div class="kanban-loop-header">
+                    <div>
+                        <strong>${window.escapeHtml(loop.component)}</strong>
+                        <small>${window.escapeHtml(loop.description)}</small>
+                    </div>
+                    <div class="material-request-meta">
+                        ${loop.location ? `<span><i class="fas fa-map-marker-alt"></i> ${window.escapeHtml(loop.location)}</span>` : ''}
+                        ${loop.line_side ? `<span><i class="fas fa-arrows-alt-h"></i> ${window.escapeHtml(loop.line_side)}</span>` : ''}
+                        <span><i class="fas fa-boxes"></i> ${loop.stock} / ${loop.max_quantity} (min ${loop.min_quantity})</span>
+                    </div>
+                </div>
+                <div class="kanban-cards">
+                    ${loop.cards.map(card => `
+                        <button type="button" class="kanban-card ${card.state}"
+                                ${actions && card.state === 'full' ? `onclick="signalKanbanCard('${card.id}')"` : 'disabled'}
+                                title="${this.getStateLabel(card.state)}">
+                            <i class="fas ${this.states[card.state].icon}"></i>
+                            <span>n°${card.card_number}</span>
+                            <small>${card.pack_quantity}</small>
+                        </button>
+                    `).join('')}
+                </div>
+                ${controls}
+            </div>
+        `;
+    }
+
+    // Realtime feed: card changes and the requests raised by cards
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.isSubscribed) {
+            window.Realtime.subscribe('kanban_cards', '*', (payload) => this.dispatch(payload));
+            this.requestsUnsubscribe = window.materialRequests.subscribe((payload) => {
+                if (payload.new?.kanban_card_id || payload.old?.kanban_card_id) {
+                    this.dispatch(payload);
+                }
+            });
+            this.isSubscribed = true;
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.isSubscribed) {
+            window.Realtime.unsubscribe('kanban_cards', '*');
+            this.requestsUnsubscribe?.();
+            this.requestsUnsubscribe = null;
+            this.isSubscribed = false;
+        }
+    }
+
+    dispatch(payload) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error('Kanban listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize kanban board
+window.KANBAN_STATES = KANBAN_STATES;
+window.kanbanBoard = new KanbanBoard();
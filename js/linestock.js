@@ -0,0 +1,257 @@
+// Line-side Stock
+// Nobody counts the racks between two deliveries, so the stock at the line
+// is estimated: the last physical count of each component, plus what was
+// delivered to the line since, less what the production logged since has
+// consumed through the bill of materials (scrap included). The consumption
+// of the last hour gives the rate, hence the time left before the line runs
+// out. A count entered by a handler restarts the estimate from the rack.
+//
+// The warning level reached since the last count is kept on the count, so
+// each level is notified once to the line's chef and handlers; a delivery
+// that lifts the level re-arms the warning.
+const LINE_STOCK_RATE_WINDOW = 60; // minutes of production behind the rate
+const LINE_STOCK_WARNING_MINUTES = 60;
+const LINE_STOCK_CRITICAL_MINUTES = 20;
+
+const LINE_STOCK_LEVELS = {
+    unknown: { label: 'Non compté', badge: 'status-info', severity: 0 },
+    ok: { label: 'Suffisant', badge: 'status-success', severity: 0 },
+    warning: { label: 'Rupture proche', badge: 'status-warning', severity: 1 },
+    critical: { label: 'Rupture imminente', badge: 'status-danger', severity: 2 },
+    out: { label: 'Rupture', badge: 'status-danger', severity: 3 }
+};
+
+class LineStockEstimator {
+    getLevelLabel(level) {
+        return LINE_STOCK_LEVELS[level]?.label || level;
+    }
+
+    getLevelBadge(level) {
+        return LINE_STOCK_LEVELS[level]?.badge || 'status-info';
+    }
+
+    getSeverity(level) {
+        return LINE_STOCK_LEVELS[level]?.severity || 0;
+    }
+
+    getLevel(estimate, minutesLeft) {
+        if (estimate === null) return 'unknown';
+        if (estimate <= 0) return 'out';
+        if (minutesLeft === null) return 'ok';
+        if (minutesLeft <= LINE_STOCK_CRITICAL_MINUTES) return 'critical';
+        if (minutesLeft <= LINE_STOCK_WARNING_MINUTES) return 'warning';
+        return 'ok';
+    }
+
+    // Latest count of each component
+    getLatestCounts(counts) {
+        const latest = new Map();
+        counts.forEach(count => {
+            const current = latest.get(count.component);
+            if (!current || new Date(count.counted_at) > new Date(current.counted_at)) {
+                latest.set(count.component, count);
+            }
+        });
+        return latest;
+    }
+
+    // Loading
+    async getLineStock(lineName, at = new Date()) {
+        const catalog = window.referenceCatalog;
+        const calendar = window.shiftCalendar;
+        await catalog.load();
+
+        const counts = await window.Database.getLineStockCounts({ production_line: lineName });
+        const latest = this.getLatestCounts(counts);
+
+        // Production records from the day of the oldest count in use, and
+        // at least over the rate window
+        const since = [...latest.values()].reduce((oldest, count) =>
+            Math.min(oldest, new Date(count.counted_at).getTime()), at.getTime() - LINE_STOCK_RATE_WINDOW * 60000);
+        const dates = [];
+        for (let date = calendar.toDateKey(new Date(since)); date <= calendar.toDateKey(at); date = calendar.addDays(date, 1)) {
+            dates.push(date);
+        }
+
+        const [records, requests] = await Promise.all([
+            window.Database.getProductionRecords({ production_line: lineName, date: dates }),
+            window.Database.getMaterialRequests({ production_line: lineName, status: ['delivered', 'confirmed'] })
+        ]);
+
+        return this.estimate(lineName, latest, records, requests, at);
+    }
+
+    estimate(lineName, latest, records, requests, at = new Date()) {
+        const catalog = window.referenceCatalog;
+        const components = new Map(catalog.getLineComponents(lineName).map(item => [item.component, item]));
+        latest.forEach((count, component) => {
+            if (!components.has(component)) {
+                components.set(component, { component, description: count.description || '', unit: count.unit || 'pcs' });
+            }
+        });
+
+        const rateFrom = at.getTime() - LINE_STOCK_RATE_WINDOW * 60000;
+        const rates = catalog.sumConsumption(records.filter(record => {
+            const time = new Date(record.created_at).getTime();
+            return time > rateFrom && time <= at.getTime();
+        }));
+
+        return [...components.values()].map(item => {
+            const count = latest.get(item.component) || null;
+            const ratePerHour = (rates.find(rate => rate.component === item.component)?.quantity || 0) *
+                (60 / LINE_STOCK_RATE_WINDOW);
+
+            let delivered = 0;
+            let consumed = 0;
+            let estimate = null;
+            if (count) {
+                const countedAt = new Date(count.counted_at);
+                delivered = requests
+                    .filter(request => request.delivered_at && new Date(request.delivered_at) > countedAt)
+                    .flatMap(request => request.items || [])
+                    .filter(line => line.reference === item.component)
+                    .reduce((sum, line) => sum + (line.quantity || 0), 0);
+                consumed = catalog.sumConsumption(records.filter(record => new Date(record.created_at) > countedAt))
+                    .find(total => total.component === item.component)?.quantity || 0;
+                estimate = Math.round((count.quantity + delivered - consumed) * 100) / 100;
+            }
+
+            const minutesLeft = estimate !== null && ratePerHour > 0
+                ? Math.max(0, Math.round((estimate / ratePerHour) * 60))
+                : null;
+            const level = this.getLevel(estimate, minutesLeft);
+
+            return {
+                production_line: lineName,
+                component: item.component,
+                description: item.description,
+                unit: item.unit,
+                count,
+                delivered,
+                consumed,
+                estimate,
+                rate_per_hour: Math.round(ratePerHour * 10) / 10,
+                minutes_left: minutesLeft,
+                stockout_at: minutesLeft !== null ? new Date(at.getTime() + minutesLeft * 60000).toISOString() : null,
+                level
+            };
+        }).sort((a, b) => this.getSeverity(b.level) - this.getSeverity(a.level) ||
+            (a.minutes_left ?? Infinity) - (b.minutes_left ?? Infinity) ||
+            a.component.localeCompare(b.component));
+    }
+
+    // Counts
+    async recordCount(profile, lineName, component, quantity, at = new Date()) {
+        const counted = parseFloat(quantity);
+        if (!Number.isFinite(counted) || counted < 0) {
+            throw new Error('Quantité comptée invalide');
+        }
+
+        const line = window.plantRegistry.getLine(lineName);
+        if (!line) {
+            throw new Error(`Ligne inconnue: ${lineName}`);
+        }
+
+        const item = window.referenceCatalog.getLineComponents(lineName).find(candidate => candidate.component === component);
+        return await window.Database.addLineStockCount({
+            production_line: line.name,
+            department: line.department,
+            component,
+            description: item?.description || null,
+            unit: item?.unit || null,
+            quantity: counted,
+            counted_at: at.toISOString(),
+            counted_by: profile.id,
+            counter_name: profile.full_name || null,
+            alert_level: null
+        });
+    }
+
+    // Warnings
+    // Notifies the components whose level got worse since the last check.
+    // Several pages check the same line, so only the one whose alert level
+    // update wins sends the notification.
+    async checkLine(lineName, at = new Date()) {
+        const rows = await this.getLineStock(lineName, at);
+
+        for (const row of rows.filter(candidate => candidate.count)) {
+            const previous = row.count.alert_level || 'ok';
+            if (previous === row.level) continue;
+
+            const updated = await window.Database.updateLineStockAlert(row.count.id, row.count.alert_level ?? null, row.level);
+            if (!updated) continue;
+            if (this.getSeverity(row.level) > this.getSeverity(previous)) {
+                await this.notify(row).catch(error => console.warn('Line stock notification failed:', error));
+            }
+        }
+
+        return rows;
+    }
+
+    // Rendering
+    formatTime(value) {
+        const date = new Date(value);
+        const options = date.toDateString() === new Date().toDateString()
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' };
+        return date.toLocaleString('fr-FR', options);
+    }
+
+    // `controls` is an extra cell, e.g. the handler's count input
+    renderRow(row, { controls = '' } = {}) {
+        const unit = window.referenceCatalog.getUnitLabel(row.unit);
+
+        return `
+            <tr class="line-stock-row ${row.level}">
+                <td>
+                    <strong>${window.escapeHtml(row.component)}</strong>
+                    <div><small class="text-muted">${window.escapeHtml(row.description)}</small></div>
+                </td>
+                <td>
+                    ${row.count ? `
+                        ${row.count.quantity} ${unit}
+                        <div><small class="text-muted">${this.formatTime(row.count.counted_at)} · ${window.escapeHtml(row.count.counter_name || '-')}</small></div>
+                    ` : '-'}
+                </td>
+                <td>
+                    ${row.estimate === null ? '-' : `<strong>${row.estimate} ${unit}</strong>`}
+                    ${row.delivered ? `<div><small class="text-muted">+${row.delivered} livré(s) depuis le comptage</small></div>` : ''}
+                </td>
+                <td>${row.rate_per_hour ? `${row.rate_per_hour} ${unit}/h` : '-'}</td>
+                <td>
+                    ${row.minutes_left === null ? '-' : `
+                        ${window.materialRequests.formatDuration(row.minutes_left * 60000)}
+                        <div><small class="text-muted">vers ${this.formatTime(row.stockout_at)}</small></div>
+                    `}
+                </td>
+                <td><span class="status-badge ${this.getLevelBadge(row.level)}">${this.getLevelLabel(row.level)}</span></td>
+                ${controls}
+            </tr>
+        `;
+    }
+
+    async notify(row) {
+        const line = window.plantRegistry.getLine(row.production_line);
+        const unit = window.referenceCatalog.getUnitLabel(row.unit);
+        const message = row.level === 'out'
+            ? `Stock estimé épuisé : comptez le bord de ligne et livrez en urgence`
+            : `Rupture estimée dans ${window.materialRequests.formatDuration(row.minutes_left * 60000)} ` +
+              `(${row.estimate} ${unit} restants, ${row.rate_per_hour} ${unit}/h)`;
+
+        for (const role of ['Chef d\'équipe', 'Manutentionnaire']) {
+            await window.Database.createNotification({
+                target_role: role,
+                department: line?.department || null,
+                production_line: row.production_line,
+                type: row.level === 'warning' ? 'warning' : 'danger',
+                title: `Stock ${row.production_line} · ${row.component}`,
+                message,
+                read: false
+            });
+        }
+    }
+}
+
+// Initialize line-side stock estimator
+window.LINE_STOCK_LEVELS = LINE_STOCK_LEVELS;
+window.lineStock = new LineStockEstimator();
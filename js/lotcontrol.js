@@ -0,0 +1,240 @@
+// Lot Control at Delivery
+// Tapes, adhesives and sealed connectors have a shelf life and must leave
+// the warehouse first in, first out. When a handler confirms a delivery, each
+// lot is looked up in the warehouse: an expired lot is refused, a lot close
+// to its expiry date is flagged, and a lot taken while an older one of the
+// same component is still stocked at its location breaks FIFO. That is a
+// refusal for shelf-life components, a warning for the others. Lots missing
+// from the warehouse stock cannot be checked and are flagged too.
+//
+// A refusal can only be overridden on the spot by a supervisor of the line's
+// department (or the direction) badging in with a reason; every override is
+// logged with the approver. Delivered quantities are taken off the warehouse
+// lots so the next check sees what is really left.
+const LOT_CONTROL_EXPIRY_WARNING_DAYS = 7;
+const LOT_CONTROL_APPROVER_ROLES = ['Superviseur', 'Sous-directeur', 'Directeur'];
+
+const LOT_CONTROL_ISSUES = {
+    expired: { label: 'Lot périmé', badge: 'status-danger' },
+    fifo: { label: 'FIFO non respecté', badge: 'status-warning' },
+    expiring: { label: 'Péremption proche', badge: 'status-warning' },
+    unknown: { label: 'Lot hors stock magasin', badge: 'status-info' }
+};
+
+class LotControl {
+    getIssueLabel(code) {
+        return LOT_CONTROL_ISSUES[code]?.label || code;
+    }
+
+    getIssueBadge(issue) {
+        return issue.blocking ? 'status-danger' : (LOT_CONTROL_ISSUES[issue.code]?.badge || 'status-info');
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
+    isExpired(lot, at = new Date()) {
+        return Boolean(lot.expires_at) && new Date(lot.expires_at) <= at;
+    }
+
+    // Checks
+    // `lots` maps each component of the request to its lot number, as for
+    // LotTraceability.deliver
+    async checkDelivery(request, lots, at = new Date()) {
+        const items = (request.items || []).map(item => ({
+            component: item.reference,
+            quantity: item.quantity,
+            lot: window.lotTraceability.normalizeLot(lots?.[item.reference])
+        })).filter(item => item.lot);
+        if (items.length === 0) return [];
+
+        const stock = await window.Database.getWarehouseLots({
+            component: [...new Set(items.map(item => item.component))]
+        });
+
+        return items.map(item => ({ ...item, ...this.checkLot(item, stock, at) }));
+    }
+
+    checkLot(item, stock, at = new Date()) {
+        const warehouseLot = stock.find(lot => lot.component === item.component && lot.lot === item.lot) || null;
+        if (!warehouseLot) {
+            return {
+                warehouse_lot: null,
+                issues: [{
+                    code: 'unknown',
+                    blocking: false,
+                    message: `Lot ${item.lot} introuvable dans le stock magasin de ${item.component}`
+                }]
+            };
+        }
+
+        const issues = [];
+        if (this.isExpired(warehouseLot, at)) {
+            issues.push({
+                code: 'expired',
+                blocking: true,
+                message: `Lot ${item.lot} périmé depuis le ${this.formatDate(warehouseLot.expires_at)}`
+            });
+        } else if (warehouseLot.expires_at &&
+            new Date(warehouseLot.expires_at) - at < LOT_CONTROL_EXPIRY_WARNING_DAYS * 86400000) {
+            issues.push({
+                code: 'expiring',
+                blocking: false,
+                message: `Lot ${item.lot} périmé le ${this.formatDate(warehouseLot.expires_at)}, à consommer en priorité`
+            });
+        }
+
+        // Older lots still usable at the same location; expired ones are
+        // for quality to scrap, not for FIFO
+        const older = stock
+            .filter(lot => lot.component === item.component &&
+                lot.location === warehouseLot.location &&
+                lot.id !== warehouseLot.id &&
+                lot.remaining > 0 &&
+                !this.isExpired(lot, at) &&
+                new Date(lot.received_at) < new Date(warehouseLot.received_at))
+            .sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+        if (older.length > 0) {
+            const shelfLife = Boolean(warehouseLot.expires_at || older.some(lot => lot.expires_at));
+            issues.push({
+                code: 'fifo',
+                blocking: shelfLife,
+                message: `${older.length} lot(s) plus ancien(s) en ${warehouseLot.location} : ` +
+                    `prélever d'abord ${older[0].lot} (reçu le ${this.formatDate(older[0].received_at)})`
+            });
+        }
+
+        return { warehouse_lot: warehouseLot, issues };
+    }
+
+    getIssues(checks) {
+        return checks.flatMap(check => check.issues.map(issue => ({ ...issue, component: check.component, lot: check.lot })));
+    }
+
+    isBlocked(checks) {
+        return checks.some(check => check.issues.some(issue => issue.blocking));
+    }
+
+    // Overrides
+    // The badge must belong to someone allowed to approve for the line
+    async identifyApprover(matricule, request) {
+        const badge = (matricule || '').trim().toUpperCase();
+        if (!badge) {
+            throw new Error('Badge du superviseur requis pour livrer un lot refusé');
+        }
+
+        const { profile } = await window.authManager.identifyBadge(badge);
+        if (!LOT_CONTROL_APPROVER_ROLES.includes(profile.role)) {
+            throw new Error(`${profile.full_name} (${profile.role}) ne peut pas autoriser une dérogation`);
+        }
+        if (profile.role === 'Superviseur' && !(profile.supervised_departments || [profile.department]).includes(request.department)) {
+            throw new Error(`${profile.full_name} ne supervise pas le département ${request.department}`);
+        }
+
+        return profile;
+    }
+
+    // Throws when a refused lot has no approval; `approval` is
+    // { approver, reason } once a supervisor has badged
+    requireApproval(checks, approval = null) {
+        const blocking = this.getIssues(checks).filter(issue => issue.blocking);
+        if (blocking.length === 0) return;
+
+        if (!approval?.approver) {
+            throw new Error(`${blocking.map(issue => `${issue.component} : ${issue.message}`).join(' · ')}. ` +
+                'Dérogation d\'un superviseur requise');
+        }
+        if (!(approval.reason || '').trim()) {
+            throw new Error('Motif de la dérogation requis');
+        }
+    }
+
+    async logOverrides(request, checks, actor, approval, at = new Date()) {
+        const overridden = checks.filter(check => check.issues.some(issue => issue.blocking));
+
+        for (const check of overridden) {
+            await window.Database.createDeliveryOverride({
+                request_id: request.id,
+                department: request.department,
+                production_line: request.production_line,
+                component: check.component,
+                lot: check.lot,
+                location: check.warehouse_lot?.location || null,
+                issues: check.issues,
+                reason: approval.reason.trim(),
+                approved_by: approval.approver.id,
+                approver_name: approval.approver.full_name,
+                handler_id: actor?.id || null,
+                handler_name: actor?.full_name || null,
+                approved_at: at.toISOString()
+            });
+        }
+    }
+
+    // Warehouse stock
+    async consume(checks, at = new Date()) {
+        for (const check of checks.filter(candidate => candidate.warehouse_lot)) {
+            const remaining = Math.max(0, Math.round((check.warehouse_lot.remaining - check.quantity) * 100) / 100);
+            await window.Database.updateWarehouseLot(check.warehouse_lot.id, {
+                remaining,
+                status: remaining <= 0 ? 'consumed' : check.warehouse_lot.status,
+                last_issued_at: at.toISOString()
+            });
+        }
+    }
+
+    // Rendering
+    renderChecks(checks) {
+        const escapeHtml = window.escapeHtml;
+        const flagged = checks.filter(check => check.issues.length > 0);
+        if (flagged.length === 0) return '';
+
+        return `
+            <div class="lot-checks">
+                ${flagged.map(check => `
+                    <div class="lot-check ${check.issues.some(issue => issue.blocking) ? 'blocking' : ''}">
+                        <strong>${escapeHtml(check.component)} · ${escapeHtml(check.lot)}</strong>
+                        ${check.issues.map(issue => `
+                            <div>
+                                <span class="status-badge ${this.getIssueBadge(issue)}">
+                                    ${issue.blocking ? 'Refusé' : 'Avertissement'} · ${this.getIssueLabel(issue.code)}
+                                </span>
+                                <small>${escapeHtml(issue.message)}</small>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderOverrides(overrides) {
+        const escapeHtml = window.escapeHtml;
+        if (overrides.length === 0) {
+            return '<tr><td colspan="6" class="text-center">Aucune dérogation</td></tr>';
+        }
+
+        return overrides.map(override => `
+            <tr>
+                <td>${window.lotTraceability.formatTime(override.approved_at)}</td>
+                <td>${escapeHtml(override.production_line)}</td>
+                <td>
+                    <strong>${escapeHtml(override.component)}</strong>
+                    <div><a href="#" data-lot="${escapeHtml(override.lot)}">${escapeHtml(override.lot)}</a></div>
+                </td>
+                <td>
+                    ${(override.issues || []).filter(issue => issue.blocking).map(issue => `
+                        <span class="status-badge status-danger">${this.getIssueLabel(issue.code)}</span>
+                    `).join(' ')}
+                    <div><small class="text-muted">${escapeHtml(override.reason)}</small></div>
+                </td>
+                <td>${escapeHtml(override.approver_name)}</td>
+                <td>${escapeHtml(override.handler_name || '-')}</td>
+            </tr>
+        `).join('');
+    }
+}
+
+// Initialize lot control
+window.lotControl = new LotControl();
@@ -0,0 +1,296 @@
+// Material Request Workflow
+// Line-side requests move requested -> picked -> in_transit -> delivered -> confirmed.
+// Each state stamps its own timestamp so replenishment lead time can be measured per line.
+const MATERIAL_REQUEST_STATES = {
+    requested: {
+        label: 'Demandée',
+        badge: 'status-info',
+        timestamp: 'requested_at',
+        next: 'picked'
+    },
+    picked: {
+        label: 'Préparée',
+        badge: 'status-warning',
+        timestamp: 'picked_at',
+        actor: 'picked_by',
+        next: 'in_transit'
+    },
+    in_transit: {
+        label: 'En transit',
+        badge: 'status-warning',
+        timestamp: 'in_transit_at',
+        actor: 'transported_by',
+        next: 'delivered'
+    },
+    delivered: {
+        label: 'Livrée',
+        badge: 'status-success',
+        timestamp: 'delivered_at',
+        actor: 'delivered_by',
+        next: 'confirmed'
+    },
+    confirmed: {
+        label: 'Confirmée',
+        badge: 'status-success',
+        timestamp: 'confirmed_at',
+        actor: 'confirmed_by',
+        next: null
+    }
+};
+
+const MATERIAL_REQUEST_URGENCIES = {
+    normal: { label: 'Normale', weight: 1 },
+    high: { label: 'Urgente', weight: 2 },
+    critical: { label: 'Arrêt ligne', weight: 3 }
+};
+
+class MaterialRequestManager {
+    constructor() {
+        this.states = MATERIAL_REQUEST_STATES;
+        this.urgencies = MATERIAL_REQUEST_URGENCIES;
+        this.listeners = new Set();
+        this.isSubscribed = false;
+    }
+
+    // Open requests are everything not yet confirmed by the line
+    getOpenStatuses() {
+        return Object.keys(this.states).filter(status => status !== 'confirmed');
+    }
+
+    getStateLabel(status) {
+        return this.states[status]?.label || status;
+    }
+
+    getStateBadge(status) {
+        return this.states[status]?.badge || 'status-info';
+    }
+
+    getNextStatus(status) {
+        return this.states[status]?.next || null;
+    }
+
+    canTransition(request, nextStatus) {
+        if (!request || !this.states[nextStatus]) return false;
+        return this.getNextStatus(request.status) === nextStatus;
+    }
+
+    async createRequest(profile, items, options = {}) {
+        if (!profile) {
+            throw new Error('User profile not found');
+        }
+
+        const cleanItems = (items || [])
+            .map(item => ({
+                reference: (item.reference || '').trim(),
+                quantity: parseInt(item.quantity, 10)
+            }))
+            .filter(item => item.reference && item.quantity > 0);
+
+        if (cleanItems.length === 0) {
+            throw new Error('Au moins une référence avec une quantité est requise');
+        }
+
+        const urgency = this.urgencies[options.urgency] ? options.urgency : 'normal';
+
+        // Kanban signals are delivered to the card's location, whoever raised them
+        const location = options.kanbanCard || profile;
+
+        return await window.Database.createMaterialRequest({
+            ...(options.id ? { id: options.id } : {}),
+            requested_by: profile.id,
+            requester_name: profile.full_name || null,
+            department: location.department,
+            production_line: location.production_line,
+            line_side: location.line_side || null,
+            items: cleanItems,
+            urgency,
+            comment: options.comment || null,
+            kanban_card_id: options.kanbanCard?.id || null
+        });
+    }
+
+    // `extra` is stored with the transition, e.g. the lots of a delivery
+    async advance(request, nextStatus, actor, extra = {}) {
+        if (!this.canTransition(request, nextStatus)) {
+            throw new Error(`Transition invalide: ${request?.status} → ${nextStatus}`);
+        }
+
+        const state = this.states[nextStatus];
+        const updates = {
+            ...extra,
+            status: nextStatus,
+            [state.timestamp]: new Date().toISOString()
+        };
+
+        if (state.actor && actor) {
+            updates[state.actor] = actor.id;
+        }
+
+        // Conditional, so never queued offline: a replay losing the race
+        // would be dropped without anyone knowing
+        const updated = await window.Database.advanceMaterialRequest(request.id, request.status, updates);
+        if (!updated) {
+            throw new Error('Cette demande a déjà été mise à jour');
+        }
+        return updated;
+    }
+
+    // A handler takes ownership of a request before picking it
+    async claim(request, handler) {
+        if (!request || request.status !== 'requested') {
+            throw new Error('Cette demande n\'est plus disponible');
+        }
+
+        const claimed = await this.tryClaim(request, handler);
+        if (!claimed) {
+            throw new Error('Demande déjà prise en charge');
+        }
+        return claimed;
+    }
+
+    // Null when another handler has the request
+    async tryClaim(request, handler) {
+        if (request.claimed_by) {
+            return request.claimed_by === handler.id ? request : null;
+        }
+
+        return await window.Database.claimMaterialRequest(request.id, {
+            claimed_by: handler.id,
+            claimer_name: handler.full_name || null,
+            claimed_at: new Date().toISOString()
+        });
+    }
+
+    // Gives a claim back, e.g. when the picking list it was taken for
+    // could not be created
+    async release(request) {
+        return await window.Database.updateMaterialRequest(request.id, {
+            claimed_by: null,
+            claimer_name: null,
+            claimed_at: null
+        });
+    }
+
+    // Handler queue order: most urgent first, then line, then oldest first
+    sortQueue(requests) {
+        return [...(requests || [])].sort((a, b) => {
+            const urgencyDiff = (this.urgencies[b.urgency]?.weight || 0) -
+                                (this.urgencies[a.urgency]?.weight || 0);
+            if (urgencyDiff !== 0) return urgencyDiff;
+
+            const lineDiff = (a.production_line || '').localeCompare(b.production_line || '', 'fr', { numeric: true });
+            if (lineDiff !== 0) return lineDiff;
+
+            return new Date(a.requested_at) - new Date(b.requested_at);
+        });
+    }
+
+    async getOpenRequests(filters = {}) {
+        return await window.Database.getMaterialRequests({
+            ...filters,
+            status: this.getOpenStatuses()
+        });
+    }
+
+    async getRequestsForLine(productionLine, filters = {}) {
+        return await window.Database.getMaterialRequests({
+            ...filters,
+            production_line: productionLine
+        });
+    }
+
+    // Oldest request in `status` carrying a component, e.g. the one whose
+    // bin card was just scanned
+    findByComponent(requests, component, status) {
+        return [...(requests || [])]
+            .filter(request => request.status === status)
+            .filter(request => (request.items || []).some(item => item.reference === component))
+            .sort((a, b) => new Date(a.requested_at) - new Date(b.requested_at))[0] || null;
+    }
+
+    // Lead time in milliseconds between two recorded states
+    getLeadTime(request, from = 'requested', to = 'delivered') {
+        const start = request?.[this.states[from]?.timestamp];
+        const end = request?.[this.states[to]?.timestamp];
+
+        if (!start || !end) return null;
+        return new Date(end) - new Date(start);
+    }
+
+    // Average replenishment lead time per production line
+    getLeadTimeStats(requests) {
+        const stats = {};
+
+        (requests || []).forEach(request => {
+            const leadTime = this.getLeadTime(request);
+            if (leadTime === null) return;
+
+            const line = request.production_line || 'N/A';
+            if (!stats[line]) {
+                stats[line] = { count: 0, total: 0, min: Infinity, max: 0 };
+            }
+
+            const lineStats = stats[line];
+            lineStats.count++;
+            lineStats.total += leadTime;
+            lineStats.min = Math.min(lineStats.min, leadTime);
+            lineStats.max = Math.max(lineStats.max, leadTime);
+        });
+
+        Object.values(stats).forEach(lineStats => {
+            lineStats.average = lineStats.total / lineStats.count;
+        });
+
+        return stats;
+    }
+
+    formatDuration(milliseconds) {
+        if (milliseconds === null || milliseconds === undefined) return '-';
+
+        const totalMinutes = Math.round(milliseconds / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        return hours > 0 ? `${hours}h ${minutes.toString().padStart(2, '0')}m` : `${minutes} min`;
+    }
+
+    formatItems(request) {
+        return (request.items || [])
+            .map(item => `${window.escapeHtml(item.reference)} × ${item.quantity}`)
+            .join(', ');
+    }
+
+    // Realtime feed shared by every page that watches material requests
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.isSubscribed) {
+            window.Realtime.subscribe('material_requests', '*', (payload) => {
+                this.listeners.forEach(listener => {
+                    try {
+                        listener(payload);
+                    } catch (error) {
+                        console.error('Material request listener error:', error);
+                    }
+                });
+            });
+            this.isSubscribed = true;
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.isSubscribed) {
+            window.Realtime.unsubscribe('material_requests', '*');
+            this.isSubscribed = false;
+        }
+    }
+}
+
+// Initialize material request manager
+window.MATERIAL_REQUEST_STATES = MATERIAL_REQUEST_STATES;
+window.MATERIAL_REQUEST_URGENCIES = MATERIAL_REQUEST_URGENCIES;
+window.materialRequests = new MaterialRequestManager();
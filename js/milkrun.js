@@ -0,0 +1,313 @@
+// Milk-run Routes
+// Logistics serves the lines on fixed tugger loops rather than request by
+// request. A route is an ordered list of line stops taken from the plant
+// registry, with a cycle time and the planned minute of each stop after the
+// departure; loops leave every cycle from the route's first departure. When
+// a handler starts the next loop, every open request on the route's lines,
+// kanban signals included, is batched onto it and goes in transit. At each
+// stop the handler ticks what was dropped: the rest is a missed delivery and
+// stays on the handler's truck for the next loop.
+const MILK_RUN_ON_TIME_TOLERANCE = 5; // minutes after the planned stop time
+
+const MILK_RUN_STOP_STATUSES = {
+    pending: { label: 'À venir', badge: 'status-info' },
+    done: { label: 'Servi', badge: 'status-success' },
+    skipped: { label: 'Non servi', badge: 'status-danger' }
+};
+
+class MilkRunPlanner {
+    getStopLabel(status) {
+        return MILK_RUN_STOP_STATUSES[status]?.label || status;
+    }
+
+    getStopBadge(status) {
+        return MILK_RUN_STOP_STATUSES[status]?.badge || 'status-info';
+    }
+
+    // Routes
+    async getRoutes({ includeInactive = false } = {}) {
+        const routes = await window.Database.getMilkRoutes();
+        return routes.filter(route => includeInactive || route.active);
+    }
+
+    // Routes through at least one of the departments a handler serves
+    getHandlerRoutes(routes, profile) {
+        const served = profile?.served_departments?.length ? profile.served_departments : null;
+        if (!served) return routes;
+
+        return routes.filter(route => route.stops.some(stop => served.includes(stop.department)));
+    }
+
+    // Stops without a planned minute are spread evenly over the loop
+    async saveRoute({ id = null, name, first_departure = '06:00', cycle_minutes, stops = [], active = true }) {
+        if (!name?.trim()) {
+            throw new Error('Nom de la tournée requis');
+        }
+        if (!Number.isInteger(cycle_minutes) || cycle_minutes < 5) {
+            throw new Error('Temps de cycle invalide (5 minutes minimum)');
+        }
+        if (!/^\d{2}:\d{2}$/.test(first_departure)) {
+            throw new Error('Heure du premier départ invalide');
+        }
+        if (stops.length === 0) {
+            throw new Error('Au moins un arrêt est requis');
+        }
+
+        const registry = window.plantRegistry;
+        let previous = 0;
+        const routeStops = stops.map((stop, index) => {
+            const line = registry.getLine(stop.production_line);
+            if (!line) {
+                throw new Error(`Ligne inconnue: ${stop.production_line}`);
+            }
+
+            const offset = stop.offset_minutes > 0
+                ? stop.offset_minutes
+                : Math.round((cycle_minutes * (index + 1)) / (stops.length + 1));
+            if (offset <= previous || offset >= cycle_minutes) {
+                throw new Error(`Arrêt ${stop.production_line} : minute ${offset} hors de la boucle ou avant l'arrêt précédent`);
+            }
+            previous = offset;
+
+            return { production_line: line.name, department: line.department, offset_minutes: offset };
+        });
+
+        return await window.Database.saveMilkRoute({
+            ...(id ? { id } : {}),
+            name: name.trim(),
+            first_departure,
+            cycle_minutes,
+            stops: routeStops,
+            active
+        });
+    }
+
+    async setRouteActive(route, active) {
+        return await this.saveRoute({ ...route, active });
+    }
+
+    // Departures every cycle from the first departure of the day
+    getNextDeparture(route, at = new Date()) {
+        const calendar = window.shiftCalendar;
+        const cycleMs = route.cycle_minutes * 60000;
+        let first = calendar.atTime(calendar.toDateKey(at), route.first_departure);
+        if (first > at) {
+            first = calendar.atTime(calendar.addDays(calendar.toDateKey(at), -1), route.first_departure);
+        }
+
+        return new Date(first.getTime() + Math.ceil((at - first) / cycleMs) * cycleMs);
+    }
+
+    // Batching
+    // Open requests of the route's lines the handler can take: unclaimed or
+    // their own, and not already on a loop in progress
+    getBatch(route, requests, profile, activeRuns = []) {
+        const onBoard = new Set(activeRuns.flatMap(run => run.stops.flatMap(stop => stop.request_ids)));
+        const candidates = window.materialRequests.sortQueue(requests).filter(request =>
+            !onBoard.has(request.id) &&
+            (request.status === 'requested'
+                ? !request.claimed_by || request.claimed_by === profile.id
+                : ['picked', 'in_transit'].includes(request.status) && request.claimed_by === profile.id));
+
+        return route.stops.map(stop => ({
+            ...stop,
+            requests: candidates.filter(request => request.production_line === stop.production_line)
+        }));
+    }
+
+    async getActiveRun(profile) {
+        const [run] = await window.Database.getMilkRuns({ handler_id: profile.id, status: 'in_progress' });
+        return run || null;
+    }
+
+    // The loop leaves now: batched requests are claimed and go in transit
+    async startRun(profile, route, requests, at = new Date()) {
+        if (await this.getActiveRun(profile)) {
+            throw new Error('Terminez la tournée en cours avant d\'en démarrer une autre');
+        }
+
+        const activeRuns = await window.Database.getMilkRuns({ status: 'in_progress' });
+        const manager = window.materialRequests;
+
+        // Requests another handler took in the meantime are left out; the
+        // claims taken here are given back if the run cannot be created
+        const batch = [];
+        const taken = [];
+        let run;
+        try {
+            for (const stop of this.getBatch(route, requests, profile, activeRuns)) {
+                const owned = [];
+                for (const request of stop.requests) {
+                    const current = request.status === 'requested' ? await manager.tryClaim(request, profile) : request;
+                    if (!current) continue;
+
+                    owned.push(current);
+                    if (!request.claimed_by) taken.push(current);
+                }
+                batch.push({ ...stop, requests: owned });
+            }
+
+            run = await window.Database.createMilkRun({
+                route_id: route.id,
+                route_name: route.name,
+                handler_id: profile.id,
+                handler_name: profile.full_name || null,
+                date: window.shiftCalendar.toDateKey(at),
+                started_at: at.toISOString(),
+                planned_end_at: new Date(at.getTime() + route.cycle_minutes * 60000).toISOString(),
+                ended_at: null,
+                status: 'in_progress',
+                stops: batch.map(stop => ({
+                    production_line: stop.production_line,
+                    department: stop.department,
+                    planned_at: new Date(at.getTime() + stop.offset_minutes * 60000).toISOString(),
+                    arrived_at: null,
+                    status: 'pending',
+                    request_ids: stop.requests.map(request => request.id),
+                    delivered_ids: [],
+                    missed_ids: []
+                }))
+            });
+        } catch (error) {
+            await Promise.all(taken.map(request => manager.release(request)))
+                .catch(releaseError => console.warn('Claim release failed:', releaseError));
+            throw error;
+        }
+
+        for (const stop of batch) {
+            for (const request of stop.requests) {
+                let current = request;
+                if (current.status === 'requested') {
+                    current = await manager.advance(current, 'picked', profile);
+                }
+                if (current.status === 'picked') {
+                    await manager.advance(current, 'in_transit', profile);
+                }
+            }
+        }
+
+        return run;
+    }
+
+    // Checklist
+    // Warehouse lot checks of the requests ticked at a stop. There is no
+    // supervisor on the tugger: a refused lot stops the whole stop, so no
+    // request of it is delivered half-way
+    async checkStop(run, index, deliveredIds = [], lots = {}, at = new Date()) {
+        const stop = run.stops[index];
+        const delivered = (stop?.request_ids || []).filter(id => deliveredIds.includes(id));
+        if (delivered.length === 0 || !window.lotControl) return [];
+
+        const requests = await window.Database.getMaterialRequests({ id: delivered });
+        const results = [];
+        for (const request of requests.filter(candidate => candidate.status === 'in_transit')) {
+            results.push({ request, checks: await window.lotControl.checkDelivery(request, lots[request.id], at) });
+        }
+        return results;
+    }
+
+    // `deliveredIds` are the requests dropped at the stop, `lots` the lots of
+    // their components by request id; the loop ends with its last stop
+    async completeStop(profile, run, index, deliveredIds = [], lots = {}, at = new Date()) {
+        const stop = run.stops[index];
+        if (!stop || stop.status !== 'pending') {
+            throw new Error('Arrêt déjà traité');
+        }
+
+        const checked = await this.checkStop(run, index, deliveredIds, lots, at);
+        const refused = checked.find(result => window.lotControl.isBlocked(result.checks));
+        if (refused) {
+            throw new Error(`${refused.request.production_line} : lot refusé (${window.lotControl.getIssues(refused.checks)
+                .filter(issue => issue.blocking).map(issue => issue.message).join(' · ')}). ` +
+                'Décochez la demande et livrez-la depuis la file avec l\'accord d\'un superviseur');
+        }
+
+        const delivered = stop.request_ids.filter(id => deliveredIds.includes(id));
+        if (delivered.length > 0) {
+            const requests = await window.Database.getMaterialRequests({ id: delivered });
+            for (const request of requests) {
+                if (request.status === 'in_transit') {
+                    await window.lotTraceability.deliver(request, lots[request.id], profile, { at });
+                }
+            }
+        }
+
+        const stops = run.stops.map((candidate, position) => position !== index ? candidate : {
+            ...candidate,
+            arrived_at: at.toISOString(),
+            status: 'done',
+            delivered_ids: delivered,
+            missed_ids: stop.request_ids.filter(id => !delivered.includes(id))
+        });
+
+        return await this.saveProgress(run, stops, at);
+    }
+
+    // Stops not served when the loop is closed early are missed entirely
+    async finishRun(profile, run, at = new Date()) {
+        const stops = run.stops.map(stop => stop.status !== 'pending' ? stop : {
+            ...stop,
+            status: 'skipped',
+            missed_ids: stop.request_ids
+        });
+
+        return await this.saveProgress(run, stops, at);
+    }
+
+    async saveProgress(run, stops, at) {
+        const finished = stops.every(stop => stop.status !== 'pending');
+
+        return await window.Database.updateMilkRun(run.id, {
+            stops,
+            ...(finished ? { status: 'completed', ended_at: at.toISOString() } : {})
+        });
+    }
+
+    // Performance
+    isOnTime(stop) {
+        return !!stop.arrived_at &&
+            new Date(stop.arrived_at) - new Date(stop.planned_at) <= MILK_RUN_ON_TIME_TOLERANCE * 60000;
+    }
+
+    // Per route: completed loops, mean duration against the cycle, share of
+    // stops served on time and deliveries missed
+    getStats(runs, routes = []) {
+        const stats = new Map();
+
+        runs.filter(run => run.status === 'completed').forEach(run => {
+            const route = routes.find(candidate => candidate.id === run.route_id);
+            const entry = stats.get(run.route_id) || {
+                route_id: run.route_id,
+                route_name: run.route_name,
+                cycle_minutes: route?.cycle_minutes || null,
+                runs: 0,
+                total_ms: 0,
+                stops: 0,
+                on_time: 0,
+                delivered: 0,
+                missed: 0
+            };
+
+            entry.runs++;
+            entry.total_ms += new Date(run.ended_at) - new Date(run.started_at);
+            run.stops.forEach(stop => {
+                entry.stops++;
+                if (this.isOnTime(stop)) entry.on_time++;
+                entry.delivered += stop.delivered_ids.length;
+                entry.missed += stop.missed_ids.length;
+            });
+
+            stats.set(run.route_id, entry);
+        });
+
+        return [...stats.values()].map(entry => ({
+            ...entry,
+            average_ms: entry.total_ms / entry.runs,
+            on_time_rate: entry.stops ? Math.round((entry.on_time / entry.stops) * 100) : null
+        }));
+    }
+}
+
+// Initialize milk-run planner
+window.MILK_RUN_STOP_STATUSES = MILK_RUN_STOP_STATUSES;
+window.milkRuns = new MilkRunPlanner();
@@ -0,0 +1,1252 @@
+// Mock Backend
+// In-browser replacement for the Supabase project: a query builder over
+// tables kept in localStorage, realtime change events (shared between tabs
+// through BroadcastChannel), password auth against seeded users, RPCs,
+// storage and every edge function the pages call.
+const MOCK_DB_KEY = 'draexlmaier_mock_db';
+const MOCK_SESSION_KEY = 'draexlmaier_mock_session';
+const MOCK_CHANNEL_NAME = 'draexlmaier_mock_changes';
+
+// Upsert conflict targets for tables without a natural `id` match
+const MOCK_CONFLICT_KEYS = {
+    attendance: ['user_id', 'date'],
+    departments: ['code'],
+    shifts: ['code'],
+    plant_holidays: ['date'],
+    part_references: ['code'],
+    kanban_cards: ['production_line', 'line_side', 'component', 'card_number'],
+    team_assignments: ['chef_id', 'agent_id'],
+    production_plans: ['production_line', 'starts_at'],
+    plan_gaps: ['production_line', 'starts_at']
+};
+
+function mockError(message, code) {
+    return { message, code: code || null };
+}
+
+function mockClone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class MockQueryBuilder {
+    constructor(backend, table) {
+        this.backend = backend;
+        this.table = table;
+        this.operation = 'select';
+        this.values = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.rangeBounds = null;
+        this.resultMode = 'many';
+        this.columns = '*';
+        this.returning = false;
+    }
+
+    // Operations
+    select(columns = '*') {
+        if (this.operation === 'select') {
+            this.columns = columns;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.operation = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    update(values) {
+        this.operation = 'update';
+        this.values = values;
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.operation = 'upsert';
+        this.values = values;
+        this.options = options;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    // Filters
+    addFilter(column, test) {
+        this.filters.push(row => test(row[column]));
+        return this;
+    }
+
+    eq(column, value) {
+        return this.addFilter(column, cell => String(cell) === String(value));
+    }
+
+    neq(column, value) {
+        return this.addFilter(column, cell => String(cell) !== String(value));
+    }
+
+    gt(column, value) {
+        return this.addFilter(column, cell => cell > value);
+    }
+
+    gte(column, value) {
+        return this.addFilter(column, cell => cell >= value);
+    }
+
+    lt(column, value) {
+        return this.addFilter(column, cell => cell < value);
+    }
+
+    lte(column, value) {
+        return this.addFilter(column, cell => cell <= value);
+    }
+
+    in(column, values) {
+        const allowed = (values || []).map(String);
+        return this.addFilter(column, cell => allowed.includes(String(cell)));
+    }
+
+    is(column, value) {
+        return this.addFilter(column, cell => (cell === undefined ? null : cell) === value);
+    }
+
+    like(column, pattern) {
+        return this.ilike(column, pattern, true);
+    }
+
+    ilike(column, pattern, caseSensitive = false) {
+        const source = '^' + pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*') + '$';
+        const regex = new RegExp(source, caseSensitive ? '' : 'i');
+        return this.addFilter(column, cell => regex.test(String(cell ?? '')));
+    }
+
+    contains(column, values) {
+        const expected = Array.isArray(values) ? values : [values];
+        return this.addFilter(column, cell => Array.isArray(cell) && expected.every(value => cell.includes(value)));
+    }
+
+    match(criteria) {
+        Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeBounds = [from, to];
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        let result;
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: mockError(error.message) };
+        }
+        return Promise.resolve(result).then(onFulfilled, onRejected);
+    }
+
+    // Execution
+    matches(row) {
+        return this.filters.every(filter => filter(row));
+    }
+
+    execute() {
+        let rows;
+
+        switch (this.operation) {
+            case 'insert':
+                rows = this.backend.insertRows(this.table, this.values);
+                break;
+            case 'update':
+                rows = this.backend.updateRows(this.table, row => this.matches(row), this.values);
+                break;
+            case 'upsert':
+                rows = this.backend.upsertRows(this.table, this.values, this.options);
+                break;
+            case 'delete':
+                rows = this.backend.deleteRows(this.table, row => this.matches(row));
+                break;
+            default:
+                rows = this.backend.getRows(this.table).filter(row => this.matches(row));
+                rows = this.backend.expandRelations(rows, this.columns);
+        }
+
+        if (rows.error) {
+            return { data: null, error: rows.error };
+        }
+
+        if (this.operation !== 'select' && !this.returning) {
+            return { data: null, error: null };
+        }
+
+        rows = this.sortRows(rows);
+
+        if (this.rangeBounds) {
+            rows = rows.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+        }
+        if (this.limitCount !== null) {
+            rows = rows.slice(0, this.limitCount);
+        }
+
+        if (this.resultMode === 'single' || this.resultMode === 'maybeSingle') {
+            if (rows.length === 0) {
+                return this.resultMode === 'single'
+                    ? { data: null, error: mockError('JSON object requested, multiple (or no) rows returned', 'PGRST116') }
+                    : { data: null, error: null };
+            }
+            return { data: mockClone(rows[0]), error: null };
+        }
+
+        return { data: mockClone(rows), error: null };
+    }
+
+    sortRows(rows) {
+        if (this.orders.length === 0) return rows;
+
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending } of this.orders) {
+                if (a[column] === b[column]) continue;
+                if (a[column] === undefined || a[column] === null) return 1;
+                if (b[column] === undefined || b[column] === null) return -1;
+                const comparison = a[column] < b[column] ? -1 : 1;
+                return ascending ? comparison : -comparison;
+            }
+            return 0;
+        });
+    }
+}
+
+class MockChannel {
+    constructor(backend, name) {
+        this.backend = backend;
+        this.name = name;
+        this.bindings = [];
+    }
+
+    on(type, config, callback) {
+        if (type === 'postgres_changes') {
+            this.bindings.push({ config, callback });
+        }
+        return this;
+    }
+
+    subscribe(callback) {
+        this.backend.channels.add(this);
+        if (callback) setTimeout(() => callback('SUBSCRIBED'), 0);
+        return this;
+    }
+
+    unsubscribe() {
+        this.backend.channels.delete(this);
+        return Promise.resolve('ok');
+    }
+
+    // Supports the `column=eq.value` filter syntax used with Realtime.subscribe
+    matchesFilter(filter, row) {
+        if (!filter) return true;
+        if (!row) return false;
+
+        const [column, expression] = filter.split('=');
+        const [operator, ...rest] = (expression || '').split('.');
+        const value = rest.join('.');
+
+        switch (operator) {
+            case 'eq':
+                return String(row[column]) === value;
+            case 'neq':
+                return String(row[column]) !== value;
+            case 'in':
+                return value.replace(/[()]/g, '').split(',').includes(String(row[column]));
+            default:
+                return true;
+        }
+    }
+
+    emit(payload) {
+        this.bindings.forEach(({ config, callback }) => {
+            if (config.table && config.table !== payload.table) return;
+            if (config.event && config.event !== '*' && config.event !== payload.eventType) return;
+            if (!this.matchesFilter(config.filter, payload.new || payload.old)) return;
+
+            try {
+                callback(mockClone(payload));
+            } catch (error) {
+                console.error(`Mock realtime listener error on ${this.name}:`, error);
+            }
+        });
+    }
+}
+
+class MockAuth {
+    constructor(backend) {
+        this.backend = backend;
+        this.listeners = new Set();
+    }
+
+    getStoredSession() {
+        try {
+            return JSON.parse(localStorage.getItem(MOCK_SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    createSession(user) {
+        const session = {
+            access_token: `mock-token-${user.id}`,
+            token_type: 'bearer',
+            expires_at: Math.floor(Date.now() / 1000) + 3600,
+            user: { id: user.id, email: user.email }
+        };
+        localStorage.setItem(MOCK_SESSION_KEY, JSON.stringify(session));
+        return session;
+    }
+
+    emit(event, session) {
+        setTimeout(() => {
+            this.listeners.forEach(callback => {
+                try {
+                    callback(event, session);
+                } catch (error) {
+                    console.error('Mock auth listener error:', error);
+                }
+            });
+        }, 0);
+    }
+
+    async getSession() {
+        return { data: { session: this.getStoredSession() }, error: null };
+    }
+
+    async getUser() {
+        return { data: { user: this.getStoredSession()?.user || null }, error: null };
+    }
+
+    onAuthStateChange(callback) {
+        this.listeners.add(callback);
+        return {
+            data: {
+                subscription: { unsubscribe: () => this.listeners.delete(callback) }
+            }
+        };
+    }
+
+    async signInWithPassword({ email, password }) {
+        const user = this.backend.getRows('auth_users')
+            .find(candidate => candidate.email.toLowerCase() === (email || '').toLowerCase());
+
+        if (!user || user.password !== password) {
+            return { data: { user: null, session: null }, error: mockError('Invalid login credentials') };
+        }
+
+        const session = this.createSession(user);
+        this.emit('SIGNED_IN', session);
+        return { data: { user: session.user, session }, error: null };
+    }
+
+    async signUp({ email, password, options = {} }) {
+        const exists = this.backend.getRows('auth_users')
+            .some(candidate => candidate.email.toLowerCase() === email.toLowerCase());
+
+        if (exists) {
+            return { data: { user: null }, error: mockError('User already registered') };
+        }
+
+        const [user] = this.backend.insertRows('auth_users', {
+            email,
+            password,
+            user_metadata: options.data || {}
+        });
+
+        return { data: { user: { id: user.id, email: user.email } }, error: null };
+    }
+
+    async signOut() {
+        localStorage.removeItem(MOCK_SESSION_KEY);
+        this.emit('SIGNED_OUT', null);
+        return { error: null };
+    }
+
+    async updateUser(attributes) {
+        const session = this.getStoredSession();
+        if (!session) {
+            return { data: { user: null }, error: mockError('Auth session missing') };
+        }
+
+        if (attributes.password) {
+            this.backend.updateRows('auth_users', row => row.id === session.user.id, {
+                password: attributes.password
+            });
+        }
+
+        this.emit('USER_UPDATED', session);
+        return { data: { user: session.user }, error: null };
+    }
+
+    async refreshSession() {
+        const stored = this.getStoredSession();
+        if (!stored) {
+            return { data: { session: null }, error: mockError('Auth session missing') };
+        }
+
+        const session = this.createSession(stored.user);
+        return { data: { session }, error: null };
+    }
+
+    async resetPasswordForEmail() {
+        return { data: {}, error: null };
+    }
+}
+
+class MockStorageBucket {
+    constructor(backend, bucket) {
+        this.backend = backend;
+        this.bucket = bucket;
+    }
+
+    readAsDataUrl(file) {
+        if (typeof file === 'string') return Promise.resolve(file);
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async upload(path, file, options = {}) {
+        const existing = this.backend.getRows('storage_objects')
+            .find(object => object.bucket === this.bucket && object.path === path);
+
+        if (existing && !options.upsert) {
+            return { data: null, error: mockError('The resource already exists', '409') };
+        }
+
+        const url = await this.readAsDataUrl(file);
+        const record = {
+            bucket: this.bucket,
+            path,
+            url,
+            content_type: file?.type || options.contentType || null,
+            created_at: new Date().toISOString()
+        };
+
+        if (existing) {
+            this.backend.updateRows('storage_objects', row => row.id === existing.id, record);
+        } else {
+            this.backend.insertRows('storage_objects', record);
+        }
+
+        return { data: { path }, error: null };
+    }
+
+    getPublicUrl(path) {
+        const object = this.backend.getRows('storage_objects')
+            .find(candidate => candidate.bucket === this.bucket && candidate.path === path);
+
+        return { data: { publicUrl: object?.url || '' } };
+    }
+
+    async remove(paths) {
+        this.backend.deleteRows('storage_objects', row =>
+            row.bucket === this.bucket && paths.includes(row.path)
+        );
+        return { data: paths, error: null };
+    }
+}
+
+class MockBackendStore {
+    constructor() {
+        this.state = null;
+        this.channels = new Set();
+        this.auth = new MockAuth(this);
+        this.broadcast = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(MOCK_CHANNEL_NAME)
+            : null;
+
+        this.load();
+
+        if (this.broadcast) {
+            this.broadcast.onmessage = (event) => this.handleRemoteChange(event.data);
+        }
+    }
+
+    // Persistence
+    load() {
+        try {
+            this.state = JSON.parse(localStorage.getItem(MOCK_DB_KEY));
+        } catch (error) {
+            this.state = null;
+        }
+
+        // Data entered in the mock survives across days; only a new seed
+        // version starts over
+        if (!this.state || this.state.version !== window.MOCK_SEED_VERSION) {
+            this.reset();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(MOCK_DB_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Mock backend could not persist data:', error);
+        }
+    }
+
+    reset() {
+        this.state = window.buildMockSeed(new Date());
+        this.save();
+    }
+
+    // Table access
+    getRows(table) {
+        if (!this.state.tables[table]) {
+            this.state.tables[table] = [];
+        }
+        return this.state.tables[table];
+    }
+
+    generateId(table) {
+        const random = window.crypto?.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+        return `${table}-${random}`;
+    }
+
+    hasDuplicateKey(table, row) {
+        if (!row.idempotency_key) return false;
+        return this.getRows(table).some(existing => existing.idempotency_key === row.idempotency_key);
+    }
+
+    insertRows(table, values) {
+        const rows = this.getRows(table);
+        const incoming = (Array.isArray(values) ? values : [values]).map(value => ({
+            id: this.generateId(table),
+            ...mockClone(value)
+        }));
+
+        if (incoming.some(row => this.hasDuplicateKey(table, row))) {
+            return { error: mockError('duplicate key value violates unique constraint', '23505') };
+        }
+
+        rows.push(...incoming);
+        this.commit(table, incoming.map(row => ({ eventType: 'INSERT', new: row, old: null })));
+        return incoming;
+    }
+
+    updateRows(table, predicate, values) {
+        const changes = [];
+
+        this.getRows(table).forEach((row, index, rows) => {
+            if (!predicate(row)) return;
+
+            const old = mockClone(row);
+            rows[index] = { ...row, ...mockClone(values) };
+            changes.push({ eventType: 'UPDATE', new: rows[index], old });
+        });
+
+        this.commit(table, changes);
+        return changes.map(change => change.new);
+    }
+
+    upsertRows(table, values, options = {}) {
+        const conflictKeys = options.onConflict
+            ? options.onConflict.split(',').map(key => key.trim())
+            : (MOCK_CONFLICT_KEYS[table] || ['id']);
+
+        const results = [];
+        (Array.isArray(values) ? values : [values]).forEach(value => {
+            const existing = this.getRows(table).find(row =>
+                conflictKeys.every(key => value[key] !== undefined && String(row[key]) === String(value[key]))
+            );
+
+            if (existing) {
+                if (options.ignoreDuplicates) return;
+                results.push(...this.updateRows(table, row => row === existing, value));
+            } else {
+                const inserted = this.insertRows(table, value);
+                if (inserted.error) return;
+                results.push(...inserted);
+            }
+        });
+
+        return results;
+    }
+
+    deleteRows(table, predicate) {
+        const rows = this.getRows(table);
+        const removed = rows.filter(predicate);
+        this.state.tables[table] = rows.filter(row => !predicate(row));
+
+        this.commit(table, removed.map(row => ({ eventType: 'DELETE', new: null, old: row })));
+        return removed;
+    }
+
+    // Embedded relations such as `agent:profiles(*)` join on `<alias>_id`
+    expandRelations(rows, columns) {
+        const relations = [...String(columns).matchAll(/(\w+):(\w+)\(\*\)/g)];
+        if (relations.length === 0) return rows;
+
+        return rows.map(row => {
+            const expanded = { ...row };
+            relations.forEach(([, alias, table]) => {
+                const foreignId = row[`${alias}_id`];
+                expanded[alias] = this.getRows(table).find(candidate => candidate.id === foreignId) || null;
+            });
+            return expanded;
+        });
+    }
+
+    // Realtime
+    commit(table, changes) {
+        if (changes.length === 0) return;
+
+        this.save();
+
+        changes.forEach(change => {
+            const payload = {
+                schema: 'public',
+                table,
+                eventType: change.eventType,
+                new: change.new || {},
+                old: change.old || {},
+                commit_timestamp: new Date().toISOString()
+            };
+
+            this.emitLocal(payload);
+            this.broadcast?.postMessage(payload);
+        });
+    }
+
+    emitLocal(payload) {
+        setTimeout(() => {
+            this.channels.forEach(channel => channel.emit(payload));
+        }, 0);
+    }
+
+    // Another tab changed the data: reload and replay its events locally
+    handleRemoteChange(payload) {
+        try {
+            this.state = JSON.parse(localStorage.getItem(MOCK_DB_KEY)) || this.state;
+        } catch (error) {
+            console.warn('Mock backend could not reload data:', error);
+        }
+        this.emitLocal(payload);
+    }
+
+    getCurrentUserId() {
+        return this.auth.getStoredSession()?.user?.id || null;
+    }
+
+    getProfile(userId) {
+        return this.getRows('profiles').find(profile => profile.id === userId) || null;
+    }
+}
+
+// Supabase-compatible client exposed by the mock adapter
+class MockSupabaseClient {
+    constructor(store) {
+        this.store = store;
+        this.auth = store.auth;
+        this.storage = {
+            from: (bucket) => new MockStorageBucket(store, bucket)
+        };
+    }
+
+    from(table) {
+        return new MockQueryBuilder(this.store, table);
+    }
+
+    channel(name) {
+        return new MockChannel(this.store, name);
+    }
+
+    removeChannel(channel) {
+        this.store.channels.delete(channel);
+        return Promise.resolve('ok');
+    }
+
+    async rpc(name, params = {}) {
+        const handler = MOCK_RPC[name];
+        if (!handler) {
+            return { data: null, error: mockError(`Function ${name} not found`, 'PGRST202') };
+        }
+
+        try {
+            return { data: mockClone(handler(this.store, params)), error: null };
+        } catch (error) {
+            return { data: null, error: mockError(error.message) };
+        }
+    }
+}
+
+// Shared computations for RPCs and edge functions
+const MockStats = {
+    todayKey() {
+        return window.mockDateKey(new Date());
+    },
+
+    periodStart(period) {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+
+        if (period === 'week') start.setDate(start.getDate() - 6);
+        if (period === 'month') start.setDate(start.getDate() - 29);
+
+        return window.mockDateKey(start);
+    },
+
+    // Same rule as qualityManager.summarize: defects are taken out of the
+    // completed pieces, they do not add to them
+    productionSummary(records) {
+        const completed = records.filter(r => r.status === 'completed').reduce((sum, r) => sum + (r.quantity || 0), 0);
+        const defects = records.filter(r => r.status === 'defect').reduce((sum, r) => sum + (r.quantity || 0), 0);
+        const good = Math.max(0, completed - defects);
+        const total = completed;
+
+        return {
+            good,
+            defects,
+            total,
+            quality_rate: total > 0 ? Math.round((good / total) * 1000) / 10 : 100
+        };
+    },
+
+    hourlySeries(records) {
+        const hours = {};
+        records.filter(r => r.status !== 'defect').forEach(record => {
+            const hour = new Date(record.created_at).getHours();
+            hours[hour] = (hours[hour] || 0) + (record.quantity || 0);
+        });
+
+        const labels = Object.keys(hours).sort((a, b) => a - b);
+        return {
+            labels: labels.map(hour => `${String(hour).padStart(2, '0')}:00`),
+            values: labels.map(hour => hours[hour])
+        };
+    },
+
+    openAttendance(store, userId) {
+        return store.getRows('attendance')
+            .filter(a => a.user_id === userId && a.clock_in && !a.clock_out)
+            .sort((a, b) => (a.clock_in < b.clock_in ? 1 : -1))[0] || null;
+    },
+
+    notificationsFor(store, profile) {
+        return store.getRows('notifications')
+            .filter(n => n.target_user_id === profile.id || n.target_role === profile.role)
+            .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+            .map(n => ({
+                ...n,
+                time: new Date(n.created_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })
+            }));
+    },
+
+    // Stats over a preset period or an explicit { from, to } date range
+    departmentStats(store, department, period = 'today', range = null) {
+        const from = range?.from || this.periodStart(period);
+        const to = range?.to || this.todayKey();
+        const inRange = (date) => date >= from && date <= to;
+        const inDepartment = (row) => !department || row.department === department;
+
+        const records = store.getRows('production_data')
+            .filter(r => inDepartment(r) && inRange(r.date));
+        const summary = this.productionSummary(records);
+        const agents = store.getRows('profiles')
+            .filter(p => p.role === 'Agent' && inDepartment(p));
+        const present = store.getRows('attendance')
+            .filter(a => inRange(a.date) && agents.some(agent => agent.id === a.user_id));
+        const scheduled = this.scheduledDays(store, agents, from, to);
+        const issues = store.getRows('issues')
+            .filter(i => inDepartment(i) && inRange(window.mockDateKey(new Date(i.created_at))));
+        const shortageMs = store.getRows('material_requests')
+            .filter(r => r.urgency === 'critical' && inDepartment(r) && inRange(window.mockDateKey(new Date(r.requested_at))))
+            .reduce((total, r) => total + ((r.delivered_at ? new Date(r.delivered_at) : new Date()) - new Date(r.requested_at)), 0);
+
+        const byKey = (rows, key) => rows.reduce((groups, row) => {
+            (groups[row[key]] = groups[row[key]] || []).push(row);
+            return groups;
+        }, {});
+
+        return {
+            department: department || 'ALL',
+            period: range ? 'custom' : period,
+            from,
+            to,
+            production: summary.good,
+            defects: summary.defects,
+            quality_rate: summary.quality_rate,
+            agents: agents.length,
+            present: present.length,
+            scheduled,
+            attendance_rate: scheduled ? Math.min(100, Math.round((present.length / scheduled) * 1000) / 10) : 0,
+            open_issues: store.getRows('issues')
+                .filter(i => i.status === 'open' && inDepartment(i)).length,
+            issues: issues.length,
+            issues_by_type: Object.entries(byKey(issues, 'type'))
+                .map(([type, rows]) => ({ type, count: rows.length }))
+                .sort((a, b) => b.count - a.count),
+            shortage_hours: Math.round((shortageMs / 3600000) * 10) / 10,
+            daily: Object.entries(byKey(records, 'date'))
+                .map(([date, rows]) => ({ date, ...this.productionSummary(rows) }))
+                .sort((a, b) => (a.date < b.date ? -1 : 1)),
+            lines: Object.entries(byKey(records, 'production_line'))
+                .map(([line, rows]) => ({ production_line: line, ...this.productionSummary(rows) }))
+                .sort((a, b) => a.production_line.localeCompare(b.production_line, 'fr', { numeric: true }))
+        };
+    },
+
+    // Agent working days expected in the range: no Sundays or plant holidays,
+    // and today only once the agent's shift has started
+    scheduledDays(store, agents, from, to) {
+        const holidays = store.getRows('plant_holidays').map(h => h.date);
+        const shifts = store.getRows('shifts');
+        const now = new Date();
+        const today = this.todayKey();
+        const last = to < today ? to : today;
+        const day = new Date(`${from}T12:00:00`);
+        let count = 0;
+
+        while (window.mockDateKey(day) <= last) {
+            const date = window.mockDateKey(day);
+            if (day.getDay() !== 0 && !holidays.includes(date)) {
+                count += agents.filter(agent => {
+                    if (date !== today) return true;
+                    const shift = shifts.find(s => s.code === agent.shift);
+                    return !shift || parseInt(shift.start_time, 10) <= now.getHours();
+                }).length;
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return count;
+    },
+
+    // Response shaped for both agent.html and DashboardManager
+    dashboardFor(store, profile, records) {
+        const summary = this.productionSummary(records);
+
+        // Productive time and OEE are computed client-side by js/oee.js, the
+        // target and the hourly chart by the line plan in js/plan.js
+        return {
+            stats: {
+                today_production: summary.good,
+                quality_rate: `${summary.quality_rate}%`,
+                production: { today: summary.good },
+                quality: { rate: summary.quality_rate, trend: 0 }
+            },
+            notifications: this.notificationsFor(store, profile),
+            tasks: [],
+            messages: []
+        };
+    }
+};
+
+const MOCK_RPC = {
+    get_department_stats(store, { p_department, p_period, p_from, p_to }) {
+        return MockStats.departmentStats(store, p_department, p_period, p_from ? { from: p_from, to: p_to } : null);
+    },
+
+    get_production_stats(store, params = {}) {
+        const since = MockStats.periodStart(params.p_period || params.period || 'today');
+        const records = store.getRows('production_data').filter(record =>
+            record.date >= since &&
+            (!params.p_agent_id || record.agent_id === params.p_agent_id) &&
+            (!params.p_production_line || record.production_line === params.p_production_line) &&
+            (!params.p_department || record.department === params.p_department)
+        );
+
+        return {
+            ...MockStats.productionSummary(records),
+            hourly: MockStats.hourlySeries(records)
+        };
+    },
+
+    // Kiosk screens have no user session: the device token is the only
+    // credential and the board is limited to the device's lines
+    get_display_board(store, { p_token }) {
+        const device = store.getRows('display_devices').find(d => d.token === p_token && d.active);
+        if (!device) {
+            throw new Error('Écran non autorisé ou désactivé');
+        }
+
+        store.updateRows('display_devices', d => d.id === device.id, { last_seen_at: new Date().toISOString() });
+
+        const scope = device.production_lines || [];
+        const lines = store.getRows('production_lines').filter(line =>
+            line.active &&
+            line.department === device.department &&
+            (scope.length === 0 || scope.includes(line.name))
+        );
+        const names = lines.map(line => line.name);
+        const today = MockStats.todayKey();
+
+        return {
+            device: {
+                id: device.id,
+                name: device.name,
+                department: device.department,
+                production_lines: scope,
+                rotate_seconds: device.rotate_seconds
+            },
+            lines: lines.map(line => ({
+                name: line.name,
+                department: line.department,
+                hourly_target: line.hourly_target,
+                operators: store.getRows('profiles').filter(p =>
+                    p.role === 'Agent' && p.production_line === line.name && MockStats.openAttendance(store, p.id)
+                ).length
+            })),
+            production: store.getRows('production_data').filter(r => r.date === today && names.includes(r.production_line)),
+            andon_calls: store.getRows('andon_calls').filter(c =>
+                names.includes(c.production_line) && ['open', 'acknowledged'].includes(c.status)),
+            material_requests: store.getRows('material_requests').filter(r =>
+                names.includes(r.production_line) && ['requested', 'picked', 'in_transit'].includes(r.status))
+        };
+    }
+};
+
+// Edge functions keyed by the names the pages call
+const MOCK_EDGE_FUNCTIONS = {
+    'get-agent-dashboard'(store, data, profile) {
+        const agentId = data.agent_id || profile.id;
+        const agent = store.getProfile(agentId) || profile;
+        const records = store.getRows('production_data')
+            .filter(r => r.agent_id === agentId && r.date === (data.date || MockStats.todayKey()));
+        const lineAgents = store.getRows('profiles')
+            .filter(p => p.role === 'Agent' && p.department === agent.department);
+
+        const ranking = lineAgents
+            .map(p => ({
+                id: p.id,
+                total: MockStats.productionSummary(store.getRows('production_data')
+                    .filter(r => r.agent_id === p.id && r.date === MockStats.todayKey())).good
+            }))
+            .sort((a, b) => b.total - a.total);
+
+        const dashboard = MockStats.dashboardFor(store, agent, records);
+        const position = ranking.findIndex(entry => entry.id === agentId) + 1;
+        dashboard.stats.ranking = position;
+        dashboard.stats.total_agents = ranking.length;
+        dashboard.stats.ranking_info = { position, total: ranking.length };
+        return dashboard;
+    },
+
+    'get-handler-dashboard'(store, data, profile) {
+        const requests = store.getRows('material_requests');
+        return {
+            stats: {
+                open_requests: requests.filter(r => ['requested', 'picked', 'in_transit'].includes(r.status)).length,
+                delivered_today: requests.filter(r =>
+                    r.delivered_by === (data.handler_id || profile.id) &&
+                    (r.delivered_at || '').startsWith(MockStats.todayKey())
+                ).length
+            },
+            notifications: MockStats.notificationsFor(store, profile)
+        };
+    },
+
+    'get-chef-dashboard'(store, data, profile) {
+        const chefId = data.chef_id || profile.id;
+        const agentIds = store.getRows('team_assignments')
+            .filter(a => a.chef_id === chefId && a.active)
+            .map(a => a.agent_id);
+        const records = store.getRows('production_data')
+            .filter(r => agentIds.includes(r.agent_id) && r.date === MockStats.todayKey());
+        return MockStats.dashboardFor(store, profile, records);
+    },
+
+    'get-supervisor-dashboard'(store, data, profile) {
+        const departments = profile.supervised_departments || [];
+        const records = store.getRows('production_data')
+            .filter(r => departments.includes(r.department) && r.date === MockStats.todayKey());
+        return {
+            ...MockStats.dashboardFor(store, profile, records),
+            departments: departments.map(department => MockStats.departmentStats(store, department))
+        };
+    },
+
+    'get-director-dashboard'(store, data, profile) {
+        const records = store.getRows('production_data').filter(r => r.date === MockStats.todayKey());
+        return {
+            ...MockStats.dashboardFor(store, profile, records),
+            departments: store.getRows('departments')
+                .filter(department => department.active)
+                .map(department => MockStats.departmentStats(store, department.code))
+        };
+    },
+
+    'get-dashboard-data'(store, data, profile) {
+        const records = store.getRows('production_data')
+            .filter(r => r.agent_id === profile.id && r.date === MockStats.todayKey());
+        return MockStats.dashboardFor(store, profile, records);
+    },
+
+    'get-clock-status'(store, data, profile) {
+        const attendance = MockStats.openAttendance(store, data.user_id || profile.id) ||
+            store.getRows('attendance')
+                .find(a => a.user_id === (data.user_id || profile.id) && a.date === MockStats.todayKey());
+        return {
+            is_clocked_in: !!(attendance && attendance.clock_in && !attendance.clock_out),
+            attendance: attendance || null
+        };
+    },
+
+    'clock-in-out'(store, data, profile) {
+        const userId = data.user_id || data.agent_id || profile.id;
+        const timestamp = data.client_timestamp || data.timestamp || new Date().toISOString();
+        const shift = data.shift || profile.shift;
+
+        if (data.action === 'clock_out') {
+            const open = MockStats.openAttendance(store, userId);
+            const [attendance] = open
+                ? store.updateRows('attendance', a => a.id === open.id, { clock_out: timestamp, updated_at: timestamp })
+                : [];
+            return { attendance: attendance || null };
+        }
+
+        // Night shifts belong to the day they started
+        const date = window.shiftCalendar && shift
+            ? window.shiftCalendar.getAttendanceDate(shift, new Date(timestamp))
+            : window.mockDateKey(new Date(timestamp));
+
+        const [attendance] = store.upsertRows('attendance', {
+            user_id: userId,
+            date,
+            clock_in: timestamp,
+            clock_out: null,
+            shift,
+            department: data.department || profile.department
+        });
+        return { attendance };
+    },
+
+    'clock-in'(store, data, profile) {
+        return MOCK_EDGE_FUNCTIONS['clock-in-out'](store, { ...data, action: 'clock_in' }, profile);
+    },
+
+    'report-issue'(store, data, profile) {
+        const [issue] = store.insertRows('issues', {
+            ...data,
+            user_id: data.user_id || profile.id,
+            status: 'open',
+            created_at: data.client_timestamp || new Date().toISOString()
+        });
+        return { issue };
+    },
+
+    'start-production'(store, data, profile) {
+        const productionLine = data.production_line || profile.production_line;
+        const reference = store.getRows('part_references').find(row => row.code === data.reference && row.active);
+        if (!reference || !(reference.production_lines || []).includes(productionLine)) {
+            throw new Error(`Référence ${data.reference} non autorisée sur ${productionLine}`);
+        }
+
+        const timestamp = data.client_timestamp || new Date().toISOString();
+        const [record] = store.insertRows('production_data', {
+            ...(data.record_id ? { id: data.record_id } : {}),
+            agent_id: data.user_id || profile.id,
+            date: window.mockDateKey(new Date(timestamp)),
+            shift: window.shiftCalendar?.getEffectiveShiftCode(profile, new Date(timestamp)) || profile.shift || null,
+            department: profile.department,
+            production_line: productionLine,
+            reference: data.reference,
+            quantity: 0,
+            planned_quantity: data.quantity,
+            status: 'in_progress',
+            created_at: timestamp
+        });
+        return { record };
+    },
+
+    'report-production'(store, data, profile) {
+        const [record] = store.insertRows('production_data', {
+            agent_id: data.agent_id || profile.id,
+            date: window.mockDateKey(new Date(data.client_timestamp || Date.now())),
+            department: profile.department,
+            production_line: profile.production_line,
+            status: 'completed',
+            ...data,
+            created_at: data.client_timestamp || new Date().toISOString()
+        });
+        return { record };
+    },
+
+    'get-production-data'(store, data, profile) {
+        const records = store.getRows('production_data')
+            .filter(r => r.agent_id === (data.user_id || profile.id) && r.date >= MockStats.periodStart(data.period))
+            .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+        return {
+            history: records.slice(0, 20).map(record => ({
+                id: record.id,
+                time: new Date(record.created_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' }),
+                reference: record.reference,
+                quantity: record.quantity,
+                cycle_time: `${record.cycle_time || 0}s`,
+                target_cycle: record.target_cycle || null,
+                cycle_status: record.cycle_status || null,
+                planned_quantity: record.planned_quantity || null,
+                produced_quantity: record.produced_quantity ?? null,
+                status: record.status
+            })),
+            chart: MockStats.hourlySeries(records)
+        };
+    },
+
+    'get-quality-data'(store, data, profile) {
+        const records = store.getRows('production_data')
+            .filter(r => r.agent_id === (data.user_id || profile.id) && r.date === MockStats.todayKey());
+        return {
+            checks: records.filter(r => r.status === 'defect'),
+            summary: MockStats.productionSummary(records),
+            chart: MockStats.hourlySeries(records)
+        };
+    },
+
+    'get-tasks'() {
+        return { tasks: [] };
+    },
+
+    'get-reports'() {
+        return { reports: [] };
+    },
+
+    'get-team-data'(store, data, profile) {
+        const chefId = data.chef_id || profile.id;
+        return {
+            team: store.getRows('team_assignments')
+                .filter(a => a.chef_id === chefId && a.active)
+                .map(a => ({ ...a, agent: store.getProfile(a.agent_id) }))
+        };
+    },
+
+    'get-supervisor-data'(store, data, profile) {
+        return MOCK_EDGE_FUNCTIONS['get-supervisor-dashboard'](store, data, profile);
+    },
+
+    'get-director-data'(store, data, profile) {
+        return MOCK_EDGE_FUNCTIONS['get-director-dashboard'](store, data, profile);
+    },
+
+    'create-user'(store, data) {
+        const [authUser] = store.insertRows('auth_users', {
+            email: data.email,
+            password: data.password || window.MOCK_PASSWORD || 'drax123'
+        });
+        const [profile] = store.insertRows('profiles', {
+            id: authUser.id,
+            email: data.email,
+            full_name: data.full_name || data.email.split('@')[0],
+            role: data.role || 'Agent',
+            needs_setup: true,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+        return { user: profile };
+    },
+
+    'update-user'(store, data) {
+        const { user_id: userId, ...updates } = data;
+        const [profile] = store.updateRows('profiles', p => p.id === userId, {
+            ...updates,
+            updated_at: new Date().toISOString()
+        });
+        return { user: profile || null };
+    },
+
+    'assign-lines'(store, data) {
+        const [profile] = store.updateRows('profiles', p => p.id === data.user_id, {
+            managed_lines: data.lines || [],
+            updated_at: new Date().toISOString()
+        });
+        return { user: profile || null };
+    }
+};
+
+// Edge function names map from the camelCase keys of EDGE_FUNCTIONS as well
+function resolveMockFunctionName(functionName) {
+    const configured = window.EDGE_FUNCTIONS?.[functionName];
+    if (configured) {
+        return configured.split('/').pop();
+    }
+    return functionName;
+}
+
+const MockBackend = {
+    name: 'mock',
+    store: null,
+    client: null,
+    functions: MOCK_EDGE_FUNCTIONS,
+    rpc: MOCK_RPC,
+
+    createClient() {
+        if (!this.client) {
+            this.store = new MockBackendStore();
+            this.client = new MockSupabaseClient(this.store);
+        }
+        return this.client;
+    },
+
+    async invoke(functionName, data = {}) {
+        const name = resolveMockFunctionName(functionName);
+        const handler = this.functions[name];
+
+        if (!handler) {
+            throw new Error(`Edge function ${name} is not available in the mock backend`);
+        }
+
+        const userId = this.store.getCurrentUserId();
+        const profile = this.store.getProfile(userId) || { id: userId };
+
+        return {
+            success: true,
+            data: mockClone(handler(this.store, data || {}, profile))
+        };
+    },
+
+    // Register additional edge functions or RPCs from feature modules
+    registerFunction(name, handler) {
+        this.functions[name] = handler;
+    },
+
+    registerRpc(name, handler) {
+        this.rpc[name] = handler;
+    },
+
+    reset() {
+        this.store?.reset();
+    }
+};
+
+window.MockBackend = MockBackend;
+window.MockStats = MockStats;
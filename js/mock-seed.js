@@ -0,0 +1,1262 @@
+// Mock Backend Seed Data
+// Realistic plant data for the in-browser mock backend. Records are generated
+// relative to the current day so dashboards always have a shift in progress.
+const MOCK_SEED_VERSION = 20;
+const MOCK_PASSWORD = 'drax123';
+
+// Deterministic pseudo-random generator so reseeding gives the same plant
+function createSeededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const MOCK_DEPARTMENT_LINES = {
+    'INR': ['INR Line 1', 'INR Line 2', 'INR Line 3', 'INR Line 4', 'INR Line 5'],
+    'THS': ['THS Line 6', 'THS Line 7', 'THS Line 8'],
+    'COCPIT': ['COCPIT Line 9', 'COCPIT Line 10'],
+    'BASIS': ['BASIS Line 11', 'BASIS Line 12'],
+    'MM': ['MM Line 13', 'MM Line 14', 'MM Line 15']
+};
+
+const MOCK_SHIFTS = [
+    {
+        code: 'Shift A', name: 'Matin', start_time: '06:00', end_time: '14:00',
+        breaks: [
+            { label: 'Pause café', start: '08:30', end: '08:45', paid: true },
+            { label: 'Pause repas', start: '10:30', end: '11:00', paid: false }
+        ]
+    },
+    {
+        code: 'Shift B', name: 'Après-midi', start_time: '14:00', end_time: '22:00',
+        breaks: [
+            { label: 'Pause café', start: '16:30', end: '16:45', paid: true },
+            { label: 'Pause repas', start: '18:30', end: '19:00', paid: false }
+        ]
+    },
+    {
+        code: 'Shift C', name: 'Nuit', start_time: '22:00', end_time: '06:00',
+        breaks: [
+            { label: 'Pause repas', start: '01:30', end: '02:00', paid: false },
+            { label: 'Pause café', start: '04:00', end: '04:15', paid: true }
+        ]
+    }
+];
+
+// Weekly rotations, anchored on a Monday
+const MOCK_ROTATIONS = [
+    {
+        code: 'ROT-2x8', name: 'Rotation 2x8', pattern: ['Shift A', 'Shift B'],
+        anchor_date: '2025-01-06', work_days: [1, 2, 3, 4, 5, 6]
+    },
+    {
+        code: 'ROT-3x8', name: 'Rotation 3x8', pattern: ['Shift A', 'Shift B', 'Shift C'],
+        anchor_date: '2025-01-06', work_days: [1, 2, 3, 4, 5]
+    }
+];
+
+// Fixed-date public holidays observed by the plant
+const MOCK_HOLIDAYS = [
+    { month_day: '01-01', label: 'Jour de l\'an' },
+    { month_day: '03-20', label: 'Fête de l\'indépendance' },
+    { month_day: '04-09', label: 'Journée des martyrs' },
+    { month_day: '05-01', label: 'Fête du travail' },
+    { month_day: '07-25', label: 'Fête de la République' },
+    { month_day: '08-13', label: 'Fête de la femme' },
+    { month_day: '10-15', label: 'Fête de l\'évacuation' },
+    { month_day: '12-17', label: 'Fête de la révolution' }
+];
+
+const MOCK_STATIONS_PER_LINE = 6;
+const MOCK_HISTORY_DAYS = 62; // two months: a month compares with the previous one
+
+const MOCK_MILK_ROUTES = [
+    { name: 'Tournée INR', cycle_minutes: 30, lines: MOCK_DEPARTMENT_LINES.INR },
+    { name: 'Tournée THS / COCPIT', cycle_minutes: 40, lines: [...MOCK_DEPARTMENT_LINES.THS, ...MOCK_DEPARTMENT_LINES.COCPIT] },
+    { name: 'Tournée BASIS / MM', cycle_minutes: 40, lines: [...MOCK_DEPARTMENT_LINES.BASIS, ...MOCK_DEPARTMENT_LINES.MM] }
+];
+
+// Components consumed by the references below, with the quantity held by
+// one line-side bin, their warehouse location and the shelf life in days of
+// those that age
+const MOCK_COMPONENTS = {
+    'FIL-035-RD': { description: 'Fil 0,35 mm² rouge', unit: 'm', bin_quantity: 500, location: 'Magasin A1' },
+    'FIL-050-BK': { description: 'Fil 0,50 mm² noir', unit: 'm', bin_quantity: 500, location: 'Magasin A2' },
+    'FIL-150-BU': { description: 'Fil 1,50 mm² bleu', unit: 'm', bin_quantity: 250, location: 'Magasin A3' },
+    'CON-12P-GR': { description: 'Connecteur 12 voies gris', unit: 'pcs', bin_quantity: 50, location: 'Magasin B1' },
+    'CON-04P-WP': { description: 'Connecteur étanche 4 voies', unit: 'pcs', bin_quantity: 100, location: 'Magasin B2', shelf_life_days: 365 },
+    'CON-40P-BK': { description: 'Connecteur 40 voies noir', unit: 'pcs', bin_quantity: 20, location: 'Magasin B3' },
+    'TRM-064-SN': { description: 'Contact femelle 0,64 étamé', unit: 'pcs', bin_quantity: 1000, location: 'Magasin C1' },
+    'TRM-280-SN': { description: 'Contact femelle 2,8 étamé', unit: 'pcs', bin_quantity: 500, location: 'Magasin C2' },
+    'JNT-04P-SI': { description: 'Joint silicone 4 voies', unit: 'pcs', bin_quantity: 200, location: 'Magasin D1', shelf_life_days: 365 },
+    'RUB-19-PVC': { description: 'Ruban adhésif PVC 19 mm', unit: 'm', bin_quantity: 330, location: 'Magasin D2', shelf_life_days: 180 },
+    'GAI-10-ANN': { description: 'Gaine annelée 10 mm', unit: 'm', bin_quantity: 100, location: 'Magasin E1' },
+    'CLP-08-FIX': { description: 'Clip de fixation 8 mm', unit: 'pcs', bin_quantity: 500, location: 'Magasin E2' }
+};
+
+// Line assignment is done when the plant is seeded: each line runs one main
+// reference and can switch to the next one in the list
+const MOCK_REFERENCES = [
+    {
+        code: 'HRN-4471-A', description: 'Faisceau porte avant gauche', cycle_time: 42, pack_quantity: 24,
+        bom: { 'FIL-035-RD': 6.5, 'FIL-050-BK': 4.2, 'CON-12P-GR': 2, 'TRM-064-SN': 24, 'RUB-19-PVC': 1.8, 'CLP-08-FIX': 4 }
+    },
+    {
+        code: 'HRN-4471-B', description: 'Faisceau porte avant droite', cycle_time: 42, pack_quantity: 24,
+        bom: { 'FIL-035-RD': 6.5, 'FIL-050-BK': 4.2, 'CON-12P-GR': 2, 'TRM-064-SN': 24, 'RUB-19-PVC': 1.8, 'CLP-08-FIX': 4 }
+    },
+    {
+        code: 'HRN-5120-C', description: 'Faisceau tableau de bord', cycle_time: 95, pack_quantity: 10,
+        bom: { 'FIL-035-RD': 18, 'FIL-050-BK': 12.5, 'FIL-150-BU': 3, 'CON-40P-BK': 2, 'CON-12P-GR': 3, 'TRM-064-SN': 96, 'RUB-19-PVC': 6, 'GAI-10-ANN': 2.5 }
+    },
+    {
+        code: 'HRN-6033-T', description: 'Faisceau hayon', cycle_time: 38, pack_quantity: 30,
+        bom: { 'FIL-050-BK': 3.8, 'FIL-150-BU': 1.2, 'CON-04P-WP': 2, 'JNT-04P-SI': 2, 'TRM-280-SN': 8, 'GAI-10-ANN': 1.5, 'CLP-08-FIX': 3 }
+    }
+];
+
+// Defect catalog; codes without a department apply plant-wide
+const MOCK_DEFECT_CODES = [
+    { code: 'DEF-01', label: 'Sertissage non conforme', category: 'Sertissage', severity: 'major', department: null },
+    { code: 'DEF-02', label: 'Fil endommagé ou dénudé', category: 'Câblage', severity: 'major', department: null },
+    { code: 'DEF-03', label: 'Connecteur mal verrouillé', category: 'Connectique', severity: 'critical', department: null },
+    { code: 'DEF-04', label: 'Erreur de routage', category: 'Câblage', severity: 'major', department: null },
+    { code: 'DEF-05', label: 'Étiquette manquante ou illisible', category: 'Marquage', severity: 'minor', department: null },
+    { code: 'DEF-06', label: 'Ruban ou gaine mal posé', category: 'Finition', severity: 'minor', department: null },
+    { code: 'INR-01', label: 'Clip de fixation manquant', category: 'Connectique', severity: 'major', department: 'INR' },
+    { code: 'THS-01', label: 'Test électrique KO', category: 'Test', severity: 'critical', department: 'THS' },
+    { code: 'THS-02', label: 'Joint d\'étanchéité absent', category: 'Finition', severity: 'major', department: 'THS' },
+    { code: 'COC-01', label: 'Longueur de dérivation hors tolérance', category: 'Câblage', severity: 'major', department: 'COCPIT' },
+    { code: 'BAS-01', label: 'Soudure ultrason défectueuse', category: 'Sertissage', severity: 'critical', department: 'BASIS' },
+    { code: 'MM-01', label: 'Mauvaise référence de fil', category: 'Câblage', severity: 'critical', department: 'MM' }
+];
+
+// Shop floor screens; fixed tokens so the kiosk URLs survive a reseed
+const MOCK_DISPLAY_DEVICES = [
+    { name: 'Écran atelier INR', token: 'tv-inr-7f3a9c2e', department: 'INR', production_lines: [] },
+    { name: 'Écran atelier THS', token: 'tv-ths-b81d4e60', department: 'THS', production_lines: [] },
+    { name: 'Écran THS Line 6', token: 'tv-ths6-2c95af17', department: 'THS', production_lines: ['THS Line 6'] }
+];
+
+const MOCK_USERS = [
+    {
+        id: 'u-agent-01', email: 'agent@draexlmaier.tn', full_name: 'Ahmed Ben Salah',
+        role: 'Agent', shift: 'Shift A', department: 'INR', production_line: 'INR Line 1',
+        line_side: 'Gauche', matricule: 'DT1001'
+    },
+    {
+        id: 'u-agent-02', email: 'amira.jlassi@draexlmaier.tn', full_name: 'Amira Jlassi',
+        role: 'Agent', shift: 'Shift A', department: 'INR', production_line: 'INR Line 1',
+        line_side: 'Droite', matricule: 'DT1002'
+    },
+    {
+        id: 'u-agent-03', email: 'mohamed.gharbi@draexlmaier.tn', full_name: 'Mohamed Gharbi',
+        role: 'Agent', shift: 'Shift A', department: 'INR', production_line: 'INR Line 2',
+        line_side: 'Gauche', matricule: 'DT1003'
+    },
+    {
+        id: 'u-agent-04', email: 'salma.haddad@draexlmaier.tn', full_name: 'Salma Haddad',
+        role: 'Agent', shift: 'Shift A', department: 'INR', production_line: 'INR Line 2',
+        line_side: 'Droite', matricule: 'DT1004'
+    },
+    {
+        id: 'u-agent-05', email: 'youssef.mansouri@draexlmaier.tn', full_name: 'Youssef Mansouri',
+        role: 'Agent', shift: 'Shift B', department: 'INR', production_line: 'INR Line 1',
+        line_side: 'Gauche', matricule: 'DT1005'
+    },
+    {
+        id: 'u-agent-06', email: 'ines.bouazizi@draexlmaier.tn', full_name: 'Ines Bouazizi',
+        role: 'Agent', shift: 'Shift A', department: 'THS', production_line: 'THS Line 6',
+        line_side: 'Complet', matricule: 'DT1006'
+    },
+    {
+        id: 'u-agent-07', email: 'walid.khelifi@draexlmaier.tn', full_name: 'Walid Khelifi',
+        role: 'Agent', shift: 'Shift A', department: 'THS', production_line: 'THS Line 7',
+        line_side: 'Gauche', matricule: 'DT1007'
+    },
+    {
+        id: 'u-agent-08', email: 'hana.mejri@draexlmaier.tn', full_name: 'Hana Mejri',
+        role: 'Agent', shift: 'Shift C', rotation_code: 'ROT-3x8', department: 'THS',
+        production_line: 'THS Line 6', line_side: 'Complet', matricule: 'DT1008'
+    },
+    {
+        id: 'u-handler-01', email: 'manutention@draexlmaier.tn', full_name: 'Karim Trabelsi',
+        role: 'Manutentionnaire', shift: 'Shift A', department: 'INR',
+        served_departments: ['INR', 'THS'], equipment: 'Tracteur (tugger)', matricule: 'DT2001'
+    },
+    {
+        id: 'u-chef-01', email: 'chef@draexlmaier.tn', full_name: 'Nizar Hamdi',
+        role: 'Chef d\'équipe', shift: 'Shift A', department: 'INR',
+        managed_departments: ['INR'], managed_lines: ['INR Line 1', 'INR Line 2'],
+        max_agents: 20, matricule: 'DT3001'
+    },
+    {
+        id: 'u-chef-02', email: 'chef.ths@draexlmaier.tn', full_name: 'Rania Sassi',
+        role: 'Chef d\'équipe', shift: 'Shift A', department: 'THS',
+        managed_departments: ['THS'], managed_lines: ['THS Line 6', 'THS Line 7'],
+        max_agents: 20, matricule: 'DT3002'
+    },
+    {
+        id: 'u-sup-01', email: 'superviseur@draexlmaier.tn', full_name: 'Hichem Zouari',
+        role: 'Superviseur', work_type: 'administratif', department: 'INR',
+        supervised_departments: ['INR', 'THS'], office_location: 'Bureau ZSB 1',
+        supervisor_level: 'Niveau 2', matricule: 'DT4001'
+    },
+    {
+        id: 'u-sousdir-01', email: 'sousdir@draexlmaier.tn', full_name: 'Leila Ferchichi',
+        role: 'Sous-directeur', work_type: 'administratif', office_location: 'Bureau Direction 1',
+        access_level: 'Niveau 2', reporting_frequency: 'hebdomadaire', matricule: 'DT5001'
+    },
+    {
+        id: 'u-dir-01', email: 'directeur@draexlmaier.tn', full_name: 'Sami Ayari',
+        role: 'Directeur', work_type: 'administratif', office_location: 'Bureau Directeur',
+        access_level: 'Niveau 3', reporting_frequency: 'quotidien', matricule: 'DT6001'
+    }
+];
+
+// Local plant date, matching ShiftCalendar.toDateKey
+function mockDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+function mockAt(baseDate, hours, minutes = 0) {
+    const date = new Date(baseDate);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+function buildMockSeed(now = new Date()) {
+    const random = createSeededRandom(20250101 + now.getDate());
+    const today = mockDateKey(now);
+    const createdAt = mockAt(now, 0).toISOString();
+    let sequence = 0;
+    const nextId = (prefix) => `${prefix}-${String(++sequence).padStart(5, '0')}`;
+
+    const tables = {
+        departments: [],
+        production_lines: [],
+        shifts: [],
+        shift_rotations: [],
+        plant_holidays: [],
+        auth_users: [],
+        profiles: [],
+        team_assignments: [],
+        attendance: [],
+        attendance_punches: [],
+        attendance_corrections: [],
+        breaks: [],
+        defect_codes: [],
+        defects: [],
+        part_references: [],
+        kanban_cards: [],
+        milk_routes: [],
+        milk_runs: [],
+        line_stock_counts: [],
+        line_lots: [],
+        warehouse_lots: [],
+        delivery_overrides: [],
+        pick_lists: [],
+        display_devices: [],
+        production_data: [],
+        issues: [],
+        material_requests: [],
+        andon_calls: [],
+        production_plans: [],
+        plan_gaps: [],
+        notifications: []
+    };
+
+    // Plant structure
+    const lineReferences = {};
+    Object.entries(MOCK_DEPARTMENT_LINES).forEach(([code, lines], departmentIndex) => {
+        tables.departments.push({
+            id: nextId('dept'),
+            code,
+            name: code,
+            active: true,
+            sort_order: departmentIndex + 1,
+            created_at: createdAt
+        });
+
+        lines.forEach((name, lineIndex) => {
+            // Each line runs one reference; its hourly target per operator
+            // allows for 15% losses on the standard cycle time
+            const reference = MOCK_REFERENCES[tables.production_lines.length % MOCK_REFERENCES.length];
+            lineReferences[name] = reference;
+
+            tables.production_lines.push({
+                id: nextId('line'),
+                name,
+                department: code,
+                hourly_target: Math.round((3600 / reference.cycle_time) * 0.85),
+                line_sides: ['Gauche', 'Droite', 'Complet'],
+                stations: Array.from({ length: MOCK_STATIONS_PER_LINE }, (_, index) => ({
+                    code: `P${String(index + 1).padStart(2, '0')}`,
+                    name: `Poste ${index + 1}`
+                })),
+                active: true,
+                sort_order: lineIndex + 1,
+                created_at: createdAt
+            });
+        });
+    });
+
+    MOCK_SHIFTS.forEach((shift, index) => {
+        tables.shifts.push({
+            id: nextId('shift'),
+            ...shift,
+            active: true,
+            sort_order: index + 1
+        });
+    });
+
+    // Target cycle times are the standard the OEE performance is measured against
+    MOCK_REFERENCES.forEach((reference, index) => {
+        const alternate = MOCK_REFERENCES[(index + MOCK_REFERENCES.length - 1) % MOCK_REFERENCES.length];
+
+        tables.part_references.push({
+            id: nextId('ref'),
+            code: reference.code,
+            description: reference.description,
+            target_cycle: reference.cycle_time,
+            pack_quantity: reference.pack_quantity,
+            production_lines: tables.production_lines
+                .map(line => line.name)
+                .filter(name => lineReferences[name] === reference || lineReferences[name] === alternate),
+            bom: Object.entries(reference.bom).map(([component, quantity]) => ({
+                component,
+                description: MOCK_COMPONENTS[component].description,
+                quantity,
+                unit: MOCK_COMPONENTS[component].unit
+            })),
+            active: true,
+            created_at: createdAt
+        });
+    });
+
+    MOCK_DEFECT_CODES.forEach(defect => {
+        tables.defect_codes.push({ id: nextId('dc'), ...defect, active: true });
+    });
+
+    MOCK_DISPLAY_DEVICES.forEach(device => {
+        tables.display_devices.push({
+            id: nextId('tv'),
+            ...device,
+            rotate_seconds: 20,
+            active: true,
+            last_seen_at: null,
+            created_at: createdAt
+        });
+    });
+
+    MOCK_ROTATIONS.forEach(rotation => {
+        tables.shift_rotations.push({ id: nextId('rot'), ...rotation, active: true });
+    });
+
+    [now.getFullYear(), now.getFullYear() + 1].forEach(year => {
+        MOCK_HOLIDAYS.forEach(holiday => {
+            tables.plant_holidays.push({
+                id: nextId('hol'),
+                date: `${year}-${holiday.month_day}`,
+                label: holiday.label
+            });
+        });
+    });
+
+    MOCK_USERS.forEach(user => {
+        tables.auth_users.push({ id: user.id, email: user.email, password: MOCK_PASSWORD });
+        tables.profiles.push({
+            work_type: 'shift',
+            supervisor_id: user.role === 'Agent' ? 'u-sup-01' : null,
+            hire_date: '2021-09-01',
+            phone: null,
+            ...user,
+            needs_setup: false,
+            created_at: createdAt,
+            updated_at: createdAt
+        });
+    });
+
+    // Chefs manage every agent working on their lines
+    const agents = tables.profiles.filter(profile => profile.role === 'Agent');
+    const chefs = tables.profiles.filter(profile => profile.role === 'Chef d\'équipe');
+
+    agents.forEach(agent => {
+        const chef = chefs.find(candidate => candidate.managed_lines.includes(agent.production_line));
+        if (!chef) return;
+
+        agent.chef_id = chef.id;
+        tables.team_assignments.push({
+            id: nextId('ta'),
+            chef_id: chef.id,
+            agent_id: agent.id,
+            assignment_data: {
+                production_line: agent.production_line,
+                line_side: agent.line_side
+            },
+            assigned_at: createdAt,
+            active: true
+        });
+    });
+
+    // Attendance and production for agents whose shift has already started
+    agents.forEach((agent, index) => {
+        const definition = MOCK_SHIFTS.find(shift => shift.code === agent.shift) || MOCK_SHIFTS[0];
+        const shiftStart = mockAt(now, parseInt(definition.start_time, 10));
+        if (shiftStart > now) return;
+
+        // u-agent-04 arrives late so the Chef has an anomaly to review
+        const earlyMinutes = agent.id === 'u-agent-04' ? -20 : Math.round(random() * 10);
+        const clockIn = new Date(shiftStart.getTime() - earlyMinutes * 60000);
+        tables.attendance.push({
+            id: nextId('att'),
+            user_id: agent.id,
+            date: today,
+            clock_in: clockIn.toISOString(),
+            clock_out: null,
+            shift: agent.shift,
+            department: agent.department
+        });
+        tables.attendance_punches.push({
+            id: nextId('punch'),
+            user_id: agent.id,
+            date: today,
+            shift: agent.shift,
+            department: agent.department,
+            production_line: agent.production_line,
+            type: 'clock_in',
+            source: 'badge',
+            punched_at: clockIn.toISOString(),
+            created_at: clockIn.toISOString()
+        });
+
+        // A completed mid-morning break for every third agent, and a pending
+        // request on INR Line 1 for the Chef to approve
+        const breakBase = {
+            user_id: agent.id,
+            agent_name: agent.full_name,
+            department: agent.department,
+            production_line: agent.production_line,
+            line_side: agent.line_side,
+            chef_id: agent.chef_id || null,
+            shift: agent.shift,
+            date: today,
+            coverage_conflict: false,
+            comment: null
+        };
+
+        const breakStart = new Date(shiftStart.getTime() + 2 * 3600000);
+        if (index % 3 === 0 && now - breakStart > 15 * 60000) {
+            const breakEnd = new Date(breakStart.getTime() + 11 * 60000);
+            tables.breaks.push({
+                id: nextId('brk'),
+                ...breakBase,
+                type: 'pause',
+                planned_minutes: 10,
+                status: 'completed',
+                requested_at: new Date(breakStart.getTime() - 5 * 60000).toISOString(),
+                approved_at: new Date(breakStart.getTime() - 3 * 60000).toISOString(),
+                approved_by: agent.chef_id || null,
+                approver_name: chefs.find(chef => chef.id === agent.chef_id)?.full_name || null,
+                started_at: breakStart.toISOString(),
+                ended_at: breakEnd.toISOString(),
+                duration_minutes: 11,
+                created_at: new Date(breakStart.getTime() - 5 * 60000).toISOString()
+            });
+            ['break_start', 'break_end'].forEach((type, punchIndex) => {
+                const punchedAt = (punchIndex === 0 ? breakStart : breakEnd).toISOString();
+                tables.attendance_punches.push({
+                    id: nextId('punch'),
+                    user_id: agent.id,
+                    date: today,
+                    shift: agent.shift,
+                    department: agent.department,
+                    production_line: agent.production_line,
+                    type,
+                    source: 'web',
+                    punched_at: punchedAt,
+                    created_at: punchedAt
+                });
+            });
+        } else if (agent.id === 'u-agent-02') {
+            const requestedAt = new Date(now.getTime() - 4 * 60000).toISOString();
+            tables.breaks.push({
+                id: nextId('brk'),
+                ...breakBase,
+                type: 'besoin',
+                planned_minutes: 5,
+                status: 'requested',
+                requested_at: requestedAt,
+                created_at: requestedAt
+            });
+        }
+
+        const reference = lineReferences[agent.production_line] || MOCK_REFERENCES[index % MOCK_REFERENCES.length];
+        const elapsedHours = Math.min(8, Math.floor((now - shiftStart) / 3600000));
+
+        for (let hour = 0; hour < elapsedHours; hour++) {
+            const at = new Date(shiftStart.getTime() + (hour + 1) * 3600000 - 60000);
+            const quantity = Math.round((3600 / reference.cycle_time) * (0.75 + random() * 0.2));
+            const defects = random() < 0.3 ? 1 + Math.floor(random() * 2) : 0;
+
+            tables.production_data.push({
+                id: nextId('prod'),
+                agent_id: agent.id,
+                date: today,
+                department: agent.department,
+                production_line: agent.production_line,
+                reference: reference.code,
+                quantity,
+                cycle_time: Math.round(reference.cycle_time * (0.95 + random() * 0.25)),
+                status: 'completed',
+                created_at: at.toISOString()
+            });
+
+            if (defects > 0) {
+                const codes = MOCK_DEFECT_CODES.filter(defect => !defect.department || defect.department === agent.department);
+                const defect = codes[Math.floor(random() * codes.length)];
+                const station = `P${String(1 + Math.floor(random() * MOCK_STATIONS_PER_LINE)).padStart(2, '0')}`;
+
+                tables.defects.push({
+                    id: nextId('def'),
+                    reported_by: agent.id,
+                    reporter_name: agent.full_name,
+                    date: today,
+                    shift: agent.shift,
+                    department: agent.department,
+                    production_line: agent.production_line,
+                    station,
+                    reference: reference.code,
+                    defect_code: defect.code,
+                    category: defect.category,
+                    severity: defect.severity,
+                    quantity: defects,
+                    comment: null,
+                    photo_url: null,
+                    created_at: at.toISOString()
+                });
+                tables.production_data.push({
+                    id: nextId('prod'),
+                    agent_id: agent.id,
+                    date: today,
+                    department: agent.department,
+                    production_line: agent.production_line,
+                    reference: reference.code,
+                    quantity: defects,
+                    cycle_time: reference.cycle_time,
+                    defect_code: defect.code,
+                    station,
+                    status: 'defect',
+                    created_at: at.toISOString()
+                });
+            }
+        }
+    });
+
+    // Today's hourly plan for every line and shift already started: the line
+    // target per operator times the operators, less the planned breaks. Missed
+    // hours get a reason except the last two, still waiting for the chef
+    const planGroups = {};
+    agents.forEach(agent => {
+        const definition = MOCK_SHIFTS.find(shift => shift.code === agent.shift) || MOCK_SHIFTS[0];
+        if (mockAt(now, parseInt(definition.start_time, 10)) > now) return;
+
+        const key = `${agent.production_line}|${definition.code}`;
+        planGroups[key] = planGroups[key] || { line: agent.production_line, department: agent.department, definition, operators: 0 };
+        planGroups[key].operators++;
+    });
+
+    const gapReasons = ['material', 'breakdown', 'quality', 'absence', 'changeover'];
+    Object.values(planGroups).forEach(({ line, department, definition, operators }) => {
+        const hourlyTarget = tables.production_lines.find(candidate => candidate.name === line).hourly_target;
+        const shiftStart = mockAt(now, parseInt(definition.start_time, 10));
+        const chef = chefs.find(candidate => candidate.managed_lines.includes(line));
+
+        for (let hour = 0; hour < 8; hour++) {
+            const slotStart = new Date(shiftStart.getTime() + hour * 3600000);
+            const slotEnd = new Date(slotStart.getTime() + 3600000);
+            const breakMinutes = definition.breaks.reduce((sum, shiftBreak) => {
+                const start = mockAt(slotStart, ...shiftBreak.start.split(':').map(Number));
+                const end = mockAt(slotStart, ...shiftBreak.end.split(':').map(Number));
+                return sum + Math.max(0, Math.min(end, slotEnd) - Math.max(start, slotStart)) / 60000;
+            }, 0);
+            const planned = Math.round(hourlyTarget * operators * (60 - breakMinutes) / 60);
+
+            tables.production_plans.push({
+                id: nextId('plan'),
+                production_line: line,
+                department,
+                date: today,
+                shift: definition.code,
+                starts_at: slotStart.toISOString(),
+                planned_quantity: planned,
+                source: 'manual',
+                planned_by: chef?.id || null,
+                planner_name: chef?.full_name || null,
+                created_at: createdAt
+            });
+
+            const actual = tables.production_data
+                .filter(record => record.production_line === line && record.status !== 'defect' &&
+                    new Date(record.created_at) >= slotStart && new Date(record.created_at) < slotEnd)
+                .reduce((sum, record) => sum + record.quantity, 0);
+
+            if (actual < planned && now - slotEnd > 2 * 3600000) {
+                tables.plan_gaps.push({
+                    id: nextId('gap'),
+                    production_line: line,
+                    department,
+                    date: today,
+                    shift: definition.code,
+                    starts_at: slotStart.toISOString(),
+                    reason_code: gapReasons[Math.floor(random() * gapReasons.length)],
+                    comment: null,
+                    planned,
+                    actual,
+                    recorded_by: chef?.id || null,
+                    recorder_name: chef?.full_name || null,
+                    created_at: slotEnd.toISOString()
+                });
+            }
+        }
+    });
+
+    // Yesterday's Shift B left open: missing clock-out for the Chef to correct
+    const yesterday = new Date(now.getTime() - 24 * 3600000);
+    const forgottenClockIn = mockAt(yesterday, 13, 55).toISOString();
+    tables.attendance.push({
+        id: nextId('att'),
+        user_id: 'u-agent-05',
+        date: mockDateKey(yesterday),
+        clock_in: forgottenClockIn,
+        clock_out: null,
+        shift: 'Shift B',
+        department: 'INR'
+    });
+    tables.attendance_punches.push({
+        id: nextId('punch'),
+        user_id: 'u-agent-05',
+        date: mockDateKey(yesterday),
+        shift: 'Shift B',
+        department: 'INR',
+        production_line: 'INR Line 1',
+        type: 'clock_in',
+        source: 'badge',
+        punched_at: forgottenClockIn,
+        created_at: forgottenClockIn
+    });
+
+    const minutesAgo =(minutes) => new Date(now.getTime() - minutes * 60000).toISOString();
+
+    // Andon call raised by an agent; acknowledged and resolved by `responder`
+    // when those times are given
+    const andonCall = (agent, type, startedAt, { acknowledgedAt = null, resolvedAt = null, responder = null, ...extra } = {}) => ({
+        id: nextId('andon'),
+        production_line: agent.production_line,
+        department: agent.department,
+        line_side: agent.line_side || null,
+        type,
+        stops_line: type !== 'quality',
+        comment: null,
+        raised_by: agent.id,
+        raiser_name: agent.full_name,
+        status: resolvedAt ? 'resolved' : (acknowledgedAt ? 'acknowledged' : 'open'),
+        responder_role: type === 'material' ? 'Manutentionnaire' : 'Chef d\'équipe',
+        escalation_level: 0,
+        date: mockDateKey(new Date(startedAt)),
+        started_at: startedAt,
+        acknowledged_at: acknowledgedAt,
+        acknowledged_by: acknowledgedAt ? responder?.id : null,
+        acknowledger_name: acknowledgedAt ? responder?.full_name : null,
+        resolved_at: resolvedAt,
+        resolved_by: resolvedAt ? responder?.id : null,
+        resolver_name: resolvedAt ? responder?.full_name : null,
+        duration_minutes: resolvedAt ? Math.round((new Date(resolvedAt) - new Date(startedAt)) / 60000) : null,
+        created_at: startedAt,
+        ...extra
+    });
+    const profileById = (id) => tables.profiles.find(profile => profile.id === id);
+
+    tables.issues.push(
+        {
+            id: nextId('iss'),
+            user_id: 'u-agent-03',
+            type: 'Technique',
+            description: 'Pince de sertissage poste 4 bloquée par intermittence',
+            department: 'INR',
+            production_line: 'INR Line 2',
+            status: 'open',
+            created_at: minutesAgo(95)
+        },
+        {
+            id: nextId('iss'),
+            user_id: 'u-agent-06',
+            type: 'Qualité',
+            description: 'Connecteurs 12 voies livrés avec verrous cassés',
+            department: 'THS',
+            production_line: 'THS Line 6',
+            status: 'open',
+            created_at: minutesAgo(40)
+        }
+    );
+
+    tables.material_requests.push(
+        {
+            id: nextId('mr'),
+            requested_by: 'u-agent-02',
+            requester_name: 'Amira Jlassi',
+            department: 'INR',
+            production_line: 'INR Line 1',
+            line_side: 'Droite',
+            items: [{ reference: 'CON-12V-BLK', quantity: 200 }],
+            urgency: 'high',
+            status: 'requested',
+            requested_at: minutesAgo(12),
+            created_at: minutesAgo(12)
+        },
+        {
+            id: nextId('mr'),
+            requested_by: 'u-agent-07',
+            requester_name: 'Walid Khelifi',
+            department: 'THS',
+            production_line: 'THS Line 7',
+            line_side: 'Gauche',
+            items: [{ reference: 'TAPE-19-PVC', quantity: 20 }, { reference: 'TERM-0.5-SN', quantity: 1000 }],
+            urgency: 'normal',
+            status: 'picked',
+            claimed_by: 'u-handler-01',
+            claimer_name: 'Karim Trabelsi',
+            claimed_at: minutesAgo(20),
+            picked_by: 'u-handler-01',
+            requested_at: minutesAgo(25),
+            picked_at: minutesAgo(15),
+            created_at: minutesAgo(25)
+        },
+        {
+            id: nextId('mr'),
+            requested_by: 'u-agent-01',
+            requester_name: 'Ahmed Ben Salah',
+            department: 'INR',
+            production_line: 'INR Line 1',
+            line_side: 'Gauche',
+            items: [{ reference: 'WIRE-0.35-RD', quantity: 5 }],
+            urgency: 'normal',
+            status: 'confirmed',
+            claimed_by: 'u-handler-01',
+            claimer_name: 'Karim Trabelsi',
+            requested_at: minutesAgo(150),
+            claimed_at: minutesAgo(146),
+            picked_at: minutesAgo(140),
+            in_transit_at: minutesAgo(135),
+            delivered_at: minutesAgo(128),
+            delivered_by: 'u-handler-01',
+            confirmed_at: minutesAgo(126),
+            confirmed_by: 'u-agent-01',
+            created_at: minutesAgo(150)
+        },
+        {
+            id: nextId('mr'),
+            requested_by: 'u-agent-06',
+            requester_name: 'Ines Bouazizi',
+            department: 'THS',
+            production_line: 'THS Line 6',
+            line_side: 'Complet',
+            items: [{ reference: 'CON-12V-BLK', quantity: 300 }],
+            urgency: 'critical',
+            status: 'confirmed',
+            claimed_by: 'u-handler-01',
+            claimer_name: 'Karim Trabelsi',
+            requested_at: minutesAgo(110),
+            claimed_at: minutesAgo(108),
+            picked_at: minutesAgo(102),
+            in_transit_at: minutesAgo(97),
+            delivered_at: minutesAgo(92),
+            delivered_by: 'u-handler-01',
+            confirmed_at: minutesAgo(91),
+            confirmed_by: 'u-agent-06',
+            created_at: minutesAgo(110)
+        }
+    );
+
+    // Two-bin kanban loops for the components of each line's main reference
+    tables.production_lines.forEach(line => {
+        Object.keys(lineReferences[line.name].bom).forEach((component, index) => {
+            const bin = MOCK_COMPONENTS[component].bin_quantity;
+
+            [1, 2].forEach(cardNumber => {
+                tables.kanban_cards.push({
+                    id: nextId('kb'),
+                    production_line: line.name,
+                    department: line.department,
+                    line_side: 'Complet',
+                    location: `Rack ${String.fromCharCode(65 + Math.floor(index / 4))}${(index % 4) + 1}`,
+                    component,
+                    description: MOCK_COMPONENTS[component].description,
+                    card_number: cardNumber,
+                    card_count: 2,
+                    pack_quantity: bin,
+                    min_quantity: Math.round(bin / 2),
+                    max_quantity: bin * 2,
+                    active: true,
+                    request_id: null,
+                    signalled_at: null,
+                    signalled_by: null,
+                    created_at: createdAt
+                });
+            });
+        });
+    });
+
+    // On INR Line 1 one bin was just signalled empty and another is on its way
+    const kanbanSignal = (component, cardNumber, requestedAt, progress = {}) => {
+        const card = tables.kanban_cards.find(candidate => candidate.production_line === 'INR Line 1' &&
+            candidate.component === component && candidate.card_number === cardNumber);
+        const request = {
+            id: nextId('mr'),
+            requested_by: 'u-agent-01',
+            requester_name: 'Ahmed Ben Salah',
+            department: card.department,
+            production_line: card.production_line,
+            line_side: card.line_side,
+            items: [{ reference: component, quantity: card.pack_quantity }],
+            urgency: 'normal',
+            comment: `Kanban ${component} carte ${cardNumber}/${card.card_count} · ${card.location}`,
+            kanban_card_id: card.id,
+            status: 'requested',
+            requested_at: requestedAt,
+            created_at: requestedAt,
+            ...progress
+        };
+
+        tables.material_requests.push(request);
+        Object.assign(card, { request_id: request.id, signalled_at: requestedAt, signalled_by: 'u-agent-01' });
+    };
+
+    kanbanSignal('TRM-064-SN', 1, minutesAgo(6));
+    kanbanSignal('CON-12P-GR', 2, minutesAgo(22), {
+        status: 'in_transit',
+        claimed_by: 'u-handler-01',
+        claimer_name: 'Karim Trabelsi',
+        claimed_at: minutesAgo(8),
+        picked_by: 'u-handler-01',
+        picked_at: minutesAgo(8),
+        in_transit_at: minutesAgo(8),
+        transported_by: 'u-handler-01'
+    });
+
+    // Line-side counts taken by the handlers right after the last hourly
+    // production record, sized for about three hours at the current rate;
+    // INR Line 1 is about to run out of 12-way connectors
+    tables.production_lines.forEach(line => {
+        const records = tables.production_data.filter(record => record.production_line === line.name);
+        if (records.length === 0) return;
+
+        const countedAt = new Date(Math.max(...records.map(record => new Date(record.created_at).getTime())) + 60000);
+        const reference = lineReferences[line.name];
+        const lastHour = records
+            .filter(record => now - new Date(record.created_at) < 3600000)
+            .reduce((sum, record) => sum + record.quantity, 0);
+
+        Object.entries(reference.bom).forEach(([component, perPiece]) => {
+            const minutes = line.name === 'INR Line 1' && component === 'CON-12P-GR' ? 40 : 180;
+            tables.line_stock_counts.push({
+                id: nextId('lsc'),
+                production_line: line.name,
+                department: line.department,
+                component,
+                description: MOCK_COMPONENTS[component].description,
+                unit: MOCK_COMPONENTS[component].unit,
+                quantity: lastHour > 0
+                    ? Math.round(lastHour * perPiece * minutes / 60)
+                    : MOCK_COMPONENTS[component].bin_quantity * 2,
+                counted_at: countedAt.toISOString(),
+                counted_by: 'u-handler-01',
+                counter_name: 'Karim Trabelsi',
+                alert_level: null,
+                created_at: countedAt.toISOString()
+            });
+        });
+    });
+
+    // Component lots: the morning lot, used up by today's records, and the
+    // one delivered with the count, still untouched
+    let lotSequence = 400;
+    const lotNumber = () => `L${today.replace(/-/g, '').slice(2)}-${String(++lotSequence).padStart(4, '0')}`;
+    const lineLot = (line, component, quantity, deliveredAt, depletedAt = null) => {
+        const lot = {
+            id: nextId('lot'),
+            lot: lotNumber(),
+            component,
+            quantity,
+            remaining: depletedAt ? 0 : quantity,
+            production_line: line.name,
+            department: line.department,
+            line_side: 'Complet',
+            request_id: null,
+            delivered_at: deliveredAt.toISOString(),
+            delivered_by: 'u-handler-01',
+            depleted_at: depletedAt ? depletedAt.toISOString() : null,
+            created_at: deliveredAt.toISOString()
+        };
+        tables.line_lots.push(lot);
+        return lot;
+    };
+
+    tables.production_lines.forEach(line => {
+        const records = tables.production_data
+            .filter(record => record.production_line === line.name)
+            .sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+        if (records.length === 0) return;
+
+        const reference = lineReferences[line.name];
+        const firstAt = new Date(new Date(records[0].created_at).getTime() - 30 * 60000);
+        const lastAt = new Date(records[records.length - 1].created_at);
+        const pieces = records.reduce((sum, record) => sum + record.quantity, 0);
+
+        Object.entries(reference.bom).forEach(([component, perPiece]) => {
+            const morning = lineLot(line, component, Math.round(pieces * perPiece * 100) / 100, firstAt, lastAt);
+            const count = tables.line_stock_counts.find(candidate =>
+                candidate.production_line === line.name && candidate.component === component);
+            lineLot(line, component, count.quantity, new Date(count.counted_at));
+
+            records.forEach(record => {
+                record.lots = [...(record.lots || []), {
+                    component,
+                    lot: morning.lot,
+                    quantity: Math.round(record.quantity * perPiece * 100) / 100
+                }];
+            });
+        });
+    });
+
+    // Warehouse lots received over the last weeks, the oldest partly issued.
+    // An expired tape lot was never scrapped and the oldest silicone seals
+    // expire in three days
+    const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+    const warehouseLot = (component, receivedAt, quantity, remaining) => {
+        const item = MOCK_COMPONENTS[component];
+        const expiresAt = item.shelf_life_days
+            ? new Date(receivedAt.getTime() + item.shelf_life_days * 86400000)
+            : null;
+        tables.warehouse_lots.push({
+            id: nextId('wl'),
+            lot: `W${mockDateKey(receivedAt).replace(/-/g, '').slice(2)}-${String(++lotSequence).padStart(4, '0')}`,
+            component,
+            location: item.location,
+            quantity,
+            remaining,
+            received_at: receivedAt.toISOString(),
+            expires_at: expiresAt ? expiresAt.toISOString() : null,
+            status: remaining > 0 ? 'available' : 'consumed',
+            last_issued_at: null,
+            created_at: receivedAt.toISOString()
+        });
+    };
+
+    Object.entries(MOCK_COMPONENTS).forEach(([component, item]) => {
+        const quantity = item.bin_quantity * 6;
+        if (component === 'RUB-19-PVC') {
+            warehouseLot(component, daysAgo(200), quantity, item.bin_quantity * 3);
+        }
+        warehouseLot(component, daysAgo(component === 'JNT-04P-SI' ? 362 : 24), quantity, item.bin_quantity * 2);
+        warehouseLot(component, daysAgo(12), quantity, quantity);
+        warehouseLot(component, daysAgo(3), quantity, quantity);
+    });
+
+    // Picking lists already worked through today, one per request picked
+    tables.material_requests
+        .filter(request => request.picked_at && request.claimed_by === 'u-handler-01' &&
+            mockDateKey(new Date(request.picked_at)) === today)
+        .forEach(request => {
+            const pickedAt = new Date(request.picked_at);
+            const startedAt = new Date(pickedAt.getTime() - (4 + 2 * request.items.length) * 60000);
+            const lines = request.items.map(item => ({
+                component: item.reference,
+                quantity: item.quantity,
+                location: tables.warehouse_lots.find(lot => lot.component === item.reference)?.location || 'Non localisé',
+                lots: [],
+                allocations: [{
+                    request_id: request.id,
+                    production_line: request.production_line,
+                    requested_by: request.requested_by,
+                    requester_name: request.requester_name,
+                    urgency: request.urgency,
+                    kanban: Boolean(request.kanban_card_id),
+                    quantity: item.quantity,
+                    picked_quantity: item.quantity
+                }],
+                status: 'picked',
+                picked_quantity: item.quantity,
+                picked_at: pickedAt.toISOString()
+            }));
+
+            tables.pick_lists.push({
+                id: nextId('pick'),
+                handler_id: 'u-handler-01',
+                handler_name: 'Karim Trabelsi',
+                date: today,
+                status: 'completed',
+                started_at: startedAt.toISOString(),
+                completed_at: pickedAt.toISOString(),
+                request_ids: [request.id],
+                lines: lines.map((line, index) => ({ sequence: index + 1, ...line })),
+                created_at: startedAt.toISOString()
+            });
+        });
+
+    // Tugger loops: stops every few minutes after the departure from the warehouse
+    MOCK_MILK_ROUTES.forEach(route => {
+        tables.milk_routes.push({
+            id: nextId('route'),
+            name: route.name,
+            first_departure: '06:00',
+            cycle_minutes: route.cycle_minutes,
+            stops: route.lines.map((name, index) => ({
+                production_line: name,
+                department: tables.production_lines.find(line => line.name === name).department,
+                offset_minutes: Math.round((route.cycle_minutes * (index + 1)) / (route.lines.length + 1))
+            })),
+            active: true,
+            created_at: createdAt
+        });
+    });
+
+    // Karim's previous INR loop (INR Line 4 served late) and the one he is
+    // driving now with the CON-12P-GR bin on board
+    const milkRun = (route, startedAgo, progress) => {
+        const startedAt = new Date(now.getTime() - startedAgo * 60000);
+        return {
+            id: nextId('run'),
+            route_id: route.id,
+            route_name: route.name,
+            handler_id: 'u-handler-01',
+            handler_name: 'Karim Trabelsi',
+            date: today,
+            started_at: startedAt.toISOString(),
+            planned_end_at: new Date(startedAt.getTime() + route.cycle_minutes * 60000).toISOString(),
+            ended_at: progress.endedAgo ? minutesAgo(progress.endedAgo) : null,
+            status: progress.endedAgo ? 'completed' : 'in_progress',
+            stops: route.stops.map((stop, index) => {
+                const plannedAt = new Date(startedAt.getTime() + stop.offset_minutes * 60000);
+                const arrived = progress.served > index;
+                const requestIds = progress.requests?.[stop.production_line] || [];
+                return {
+                    production_line: stop.production_line,
+                    department: stop.department,
+                    planned_at: plannedAt.toISOString(),
+                    arrived_at: arrived
+                        ? new Date(plannedAt.getTime() + (progress.late?.[stop.production_line] || 1) * 60000).toISOString()
+                        : null,
+                    status: arrived ? 'done' : 'pending',
+                    request_ids: requestIds,
+                    delivered_ids: arrived ? requestIds : [],
+                    missed_ids: []
+                };
+            }),
+            created_at: startedAt.toISOString()
+        };
+    };
+
+    const inrRoute = tables.milk_routes[0];
+    const onBoard = tables.material_requests.find(request => request.kanban_card_id && request.status === 'in_transit');
+    tables.milk_runs.push(
+        milkRun(inrRoute, 75, { served: inrRoute.stops.length, endedAgo: 40, late: { 'INR Line 4': 9 } }),
+        milkRun(inrRoute, 8, { served: 0, requests: { 'INR Line 1': [onBoard.id] } })
+    );
+
+    // The THS Line 6 stop above as it was called on the Andon, and a quality
+    // alert on INR Line 2 still waiting for the chef
+    tables.andon_calls.push(
+        andonCall(profileById('u-agent-06'), 'material', minutesAgo(110), {
+            acknowledgedAt: minutesAgo(108),
+            resolvedAt: minutesAgo(92),
+            responder: profileById('u-handler-01'),
+            comment: 'Connecteurs CON-12V-BLK épuisés'
+        }),
+        andonCall(profileById('u-agent-03'), 'quality', minutesAgo(3), {
+            comment: 'Sertissage hors tolérance poste 4'
+        })
+    );
+
+    tables.notifications.push(
+        {
+            id: nextId('notif'),
+            target_role: 'Chef d\'équipe',
+            department: 'INR',
+            production_line: 'INR Line 2',
+            andon_call_id: tables.andon_calls[tables.andon_calls.length - 1].id,
+            type: 'warning',
+            title: 'Andon INR Line 2 · Qualité',
+            message: 'Mohamed Gharbi : Sertissage hors tolérance poste 4',
+            read: false,
+            created_at: minutesAgo(3)
+        },
+        {
+            id: nextId('notif'),
+            target_user_id: 'u-agent-01',
+            type: 'info',
+            title: 'Changement de référence',
+            message: 'Passage sur HRN-4471-B prévu à 11:00',
+            read: false,
+            created_at: minutesAgo(30)
+        },
+        {
+            id: nextId('notif'),
+            target_role: 'Agent',
+            type: 'warning',
+            title: 'Consigne sécurité',
+            message: 'Port des lunettes obligatoire zone sertissage',
+            read: false,
+            created_at: minutesAgo(180)
+        }
+    );
+
+    // Previous working days, one daily total per agent, so direction trends
+    // and period comparisons have history
+    const holidays = tables.plant_holidays.map(holiday => holiday.date);
+    const issueTypes = ['Technique', 'Qualité', 'Matériel', 'Technique', 'Sécurité'];
+    const andonTypes = ['maintenance', 'maintenance', 'quality', 'maintenance', 'safety'];
+    const handler = profileById('u-handler-01');
+
+    for (let offset = 1; offset <= MOCK_HISTORY_DAYS; offset++) {
+        const day = new Date(now.getTime() - offset * 24 * 3600000);
+        const date = mockDateKey(day);
+        if (day.getDay() === 0 || holidays.includes(date)) continue;
+
+        agents.forEach(agent => {
+            // Yesterday's open Shift B is seeded above
+            if (agent.id === 'u-agent-05' && offset === 1) return;
+            if (random() > 0.93) return;
+
+            const definition = MOCK_SHIFTS.find(shift => shift.code === agent.shift) || MOCK_SHIFTS[0];
+            const shiftStart = mockAt(day, parseInt(definition.start_time, 10));
+            const clockIn = new Date(shiftStart.getTime() - Math.round(random() * 10) * 60000).toISOString();
+            const clockOut = new Date(shiftStart.getTime() + 8 * 3600000 + Math.round(random() * 5) * 60000).toISOString();
+            const base = {
+                user_id: agent.id,
+                date,
+                shift: agent.shift,
+                department: agent.department
+            };
+
+            tables.attendance.push({ id: nextId('att'), ...base, clock_in: clockIn, clock_out: clockOut });
+            [['clock_in', clockIn], ['clock_out', clockOut]].forEach(([type, punchedAt]) => {
+                tables.attendance_punches.push({
+                    id: nextId('punch'),
+                    ...base,
+                    production_line: agent.production_line,
+                    type,
+                    source: 'badge',
+                    punched_at: punchedAt,
+                    created_at: punchedAt
+                });
+            });
+
+            const reference = lineReferences[agent.production_line] || MOCK_REFERENCES[0];
+            const record = {
+                agent_id: agent.id,
+                date,
+                department: agent.department,
+                production_line: agent.production_line,
+                reference: reference.code,
+                cycle_time: reference.cycle_time,
+                created_at: clockOut
+            };
+            tables.production_data.push({
+                id: nextId('prod'),
+                ...record,
+                quantity: Math.round(7.5 * (3600 / reference.cycle_time) * (0.75 + random() * 0.2)),
+                status: 'completed'
+            });
+
+            const defects = Math.floor(random() * 7);
+            if (defects > 0) {
+                const codes = MOCK_DEFECT_CODES.filter(defect => !defect.department || defect.department === agent.department);
+                tables.production_data.push({
+                    id: nextId('prod'),
+                    ...record,
+                    quantity: defects,
+                    defect_code: codes[Math.floor(random() * codes.length)].code,
+                    status: 'defect'
+                });
+            }
+
+            if (random() < 0.06) {
+                const openedAt = new Date(shiftStart.getTime() + Math.round(random() * 7 * 60) * 60000);
+                tables.issues.push({
+                    id: nextId('iss'),
+                    user_id: agent.id,
+                    type: issueTypes[Math.floor(random() * issueTypes.length)],
+                    description: 'Incident clôturé',
+                    department: agent.department,
+                    production_line: agent.production_line,
+                    status: 'resolved',
+                    created_at: openedAt.toISOString(),
+                    resolved_at: new Date(openedAt.getTime() + (15 + Math.round(random() * 90)) * 60000).toISOString()
+                });
+            }
+
+            // Occasional line stop waiting for material
+            if (random() < 0.04) {
+                const requestedAt = new Date(shiftStart.getTime() + Math.round(random() * 7 * 60) * 60000);
+                const deliveredAt = new Date(requestedAt.getTime() + (10 + Math.round(random() * 50)) * 60000);
+                tables.material_requests.push({
+                    id: nextId('mr'),
+                    requested_by: agent.id,
+                    requester_name: agent.full_name,
+                    department: agent.department,
+                    production_line: agent.production_line,
+                    line_side: agent.line_side,
+                    items: [{ reference: 'CON-12V-BLK', quantity: 200 }],
+                    urgency: 'critical',
+                    status: 'confirmed',
+                    claimed_by: 'u-handler-01',
+                    claimer_name: 'Karim Trabelsi',
+                    requested_at: requestedAt.toISOString(),
+                    delivered_at: deliveredAt.toISOString(),
+                    delivered_by: 'u-handler-01',
+                    confirmed_at: deliveredAt.toISOString(),
+                    created_at: requestedAt.toISOString()
+                });
+                tables.andon_calls.push(andonCall(agent, 'material', requestedAt.toISOString(), {
+                    acknowledgedAt: new Date(requestedAt.getTime() + 3 * 60000).toISOString(),
+                    resolvedAt: deliveredAt.toISOString(),
+                    responder: handler
+                }));
+            }
+
+            // Occasional breakdown, quality alert or safety stop
+            if (random() < 0.04) {
+                const startedAt = new Date(shiftStart.getTime() + Math.round(random() * 7 * 60) * 60000);
+                const chef = profileById(agent.chef_id) || profileById('u-chef-01');
+                tables.andon_calls.push(andonCall(agent, andonTypes[Math.floor(random() * andonTypes.length)], startedAt.toISOString(), {
+                    acknowledgedAt: new Date(startedAt.getTime() + (1 + Math.round(random() * 6)) * 60000).toISOString(),
+                    resolvedAt: new Date(startedAt.getTime() + (8 + Math.round(random() * 40)) * 60000).toISOString(),
+                    responder: chef
+                }));
+            }
+        });
+    }
+
+    return {
+        version: MOCK_SEED_VERSION,
+        seeded_on: today,
+        tables
+    };
+}
+
+window.MOCK_SEED_VERSION = MOCK_SEED_VERSION;
+window.MOCK_PASSWORD = MOCK_PASSWORD;
+window.MOCK_DEPARTMENT_LINES = MOCK_DEPARTMENT_LINES;
+window.MOCK_COMPONENTS = MOCK_COMPONENTS;
+window.MOCK_REFERENCES = MOCK_REFERENCES;
+window.mockDateKey = mockDateKey;
+window.buildMockSeed = buildMockSeed;
@@ -0,0 +1,145 @@
+// Overall Equipment Effectiveness (TRS)
+// One formula for every dashboard:
+//   availability = run time / planned time
+//   performance  = pieces made × target cycle / run time
+//   quality      = good pieces / pieces made
+// Planned time is the agent's worked time (breaks excluded), run time is what
+// is left once line downtime (stop-the-line Andon calls) is taken out. Each
+// agent-day yields these times and piece counts; lines, departments and the
+// plant add them up before the rates are taken, so a department is never an
+// average of averages.
+
+// Badge thresholds (percent)
+const OEE_TARGET = 85;
+const OEE_ALERT = 65;
+
+class OeeCalculator {
+    // Reference target cycles come from the shared catalog (js/references.js)
+    async loadReferences(options = {}) {
+        await window.referenceCatalog.load(options);
+        return this;
+    }
+
+    getTargetCycle(referenceCode, lineName = null) {
+        return window.referenceCatalog.getTargetCycle(referenceCode, lineName);
+    }
+
+    // Downtime: stop-the-line Andon calls started on those days.
+    // `dates` is one date key or a list of them
+    async getDowntimeEvents(lineNames, dates, at = new Date()) {
+        if (lineNames.length === 0) return [];
+
+        const calls = await window.Database.getAndonCalls({
+            production_line: lineNames,
+            date: [].concat(dates),
+            stops_line: true
+        });
+        return window.andonManager.toDowntimeEvents(calls, at);
+    }
+
+    // Measures
+    // Times and counts for one agent-day; `events` are the downtime events of
+    // the agent's line and only count while the agent was working
+    measure(day, records, events = [], at = new Date()) {
+        const intervals = day ? window.attendanceService.getWorkingIntervals(day.punches, at) : [];
+        const plannedMs = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+        const downtimeMs = events.reduce((sum, event) => {
+            const start = new Date(event.started_at).getTime();
+            const end = event.ended_at ? new Date(event.ended_at).getTime() : new Date(at).getTime();
+
+            return sum + intervals.reduce((overlap, interval) =>
+                overlap + Math.max(0, Math.min(end, interval.end) - Math.max(start, interval.start)), 0);
+        }, 0);
+        // Defect records only flag pieces already counted as completed
+        const idealSeconds = records
+            .filter(record => record.status === 'completed')
+            .reduce((sum, record) =>
+                sum + (record.quantity || 0) * this.getTargetCycle(record.reference, record.production_line), 0);
+        const production = window.qualityManager.summarize(records);
+
+        return {
+            planned_minutes: plannedMs / 60000,
+            downtime_minutes: downtimeMs / 60000,
+            run_minutes: Math.max(0, plannedMs - downtimeMs) / 60000,
+            ideal_minutes: idealSeconds / 60,
+            good: production.good,
+            total: production.total
+        };
+    }
+
+    // Sums measures from any number of agent-days or lower levels
+    combine(measures) {
+        return measures.reduce((sum, measure) => ({
+            planned_minutes: sum.planned_minutes + measure.planned_minutes,
+            downtime_minutes: sum.downtime_minutes + measure.downtime_minutes,
+            run_minutes: sum.run_minutes + measure.run_minutes,
+            ideal_minutes: sum.ideal_minutes + measure.ideal_minutes,
+            good: sum.good + measure.good,
+            total: sum.total + measure.total
+        }), { planned_minutes: 0, downtime_minutes: 0, run_minutes: 0, ideal_minutes: 0, good: 0, total: 0 });
+    }
+
+    // Rates in percent (one decimal), null when nothing was planned. Running
+    // faster than the target cycle caps performance at 100%: the target is
+    // off, the line did not gain time
+    rates(measure) {
+        const percent = (value) => Math.round(value * 1000) / 10;
+        if (measure.planned_minutes <= 0) {
+            return { ...measure, availability: null, performance: null, quality: null, oee: null };
+        }
+
+        const availability = measure.run_minutes / measure.planned_minutes;
+        const performance = measure.run_minutes > 0 ? Math.min(1, measure.ideal_minutes / measure.run_minutes) : 0;
+        const quality = measure.total > 0 ? measure.good / measure.total : 1;
+
+        return {
+            ...measure,
+            availability: percent(availability),
+            performance: percent(performance),
+            quality: percent(quality),
+            oee: percent(availability * performance * quality)
+        };
+    }
+
+    aggregate(measures) {
+        return this.rates(this.combine(measures));
+    }
+
+    // Agent level, loading everything it needs
+    async getAgentOee(profile, date = null, at = new Date()) {
+        await this.loadReferences();
+
+        const calendar = window.shiftCalendar;
+        const day = await window.attendanceService.getDay(profile, date, { at });
+        const dates = calendar.getRecordDates(day.date);
+        const [records, events] = await Promise.all([
+            window.Database.getProductionRecords({ agent_id: profile.id, date: dates }),
+            profile.production_line
+                ? this.getDowntimeEvents([profile.production_line], dates, at)
+                : Promise.resolve([])
+        ]);
+
+        const dayRecords = records.filter(record => calendar.getRecordDate(record) === day.date);
+        return this.rates(this.measure(day, dayRecords, events, at));
+    }
+
+    // Display
+    getLevel(oee) {
+        if (oee === null || oee === undefined) return 'info';
+        if (oee >= OEE_TARGET) return 'success';
+        if (oee >= OEE_ALERT) return 'warning';
+        return 'danger';
+    }
+
+    formatRate(rate) {
+        return rate === null || rate === undefined ? '-' : `${rate}%`;
+    }
+
+    formatMinutes(minutes) {
+        const total = Math.max(0, Math.floor(minutes));
+        return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+    }
+}
+
+// Initialize OEE calculator
+window.oeeCalculator = new OeeCalculator();
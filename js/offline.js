@@ -0,0 +1,467 @@
+// Offline Action Queue
+// Mutating calls made while the shop-floor Wi-Fi is down are stored in an
+// IndexedDB outbox and replayed in order once connectivity returns.
+const OFFLINE_DB_NAME = 'draexlmaier_offline';
+const OFFLINE_STORE = 'outbox';
+const OFFLINE_MAX_ATTEMPTS = 5;
+const OFFLINE_RETRY_INTERVAL = 30000;
+
+// Database helpers that write data. `payloadIndex` points at the row (or
+// rows) of an insert: the idempotency key is merged into it, so the unique
+// constraint on `idempotency_key` rejects a second insert of the same action,
+// and inserts get their id on the client, so that later calls can reference
+// a row still waiting in the outbox (upserts keep their natural key).
+// `timestampIndex` points at the updates of the other writes. Both carry the
+// `client_timestamp` the helpers stamp the row with when it is replayed.
+// Conditional writes (claims, request transitions, escalations, kanban
+// signals, stock alerts) are left out: they need the server's answer and
+// fail while offline.
+const OFFLINE_DATABASE_METHODS = {
+    addProductionRecord: { payloadIndex: 0 },
+    updateProductionRecord: { timestampIndex: 1 },
+    clockIn: { payloadIndex: 1, upsert: true },
+    clockOut: { timestampIndex: 1 },
+    addAttendancePunch: { payloadIndex: 0 },
+    addAttendanceCorrection: { payloadIndex: 0 },
+    reportIssue: { payloadIndex: 0 },
+    reportDefect: { payloadIndex: 0 },
+    createMaterialRequest: { payloadIndex: 0 },
+    updateMaterialRequest: { timestampIndex: 1 },
+    createBreak: { payloadIndex: 0 },
+    addLineStockCount: { payloadIndex: 0 },
+    updateBreak: { timestampIndex: 1 },
+    assignAgentToTeam: { timestampIndex: 3 },
+    updateProfile: { timestampIndex: 1 },
+    createAndonCall: { payloadIndex: 0 },
+    updateAndonCall: { timestampIndex: 1 },
+    createNotification: { payloadIndex: 0 },
+    saveKanbanCards: { payloadIndex: 0, upsert: true },
+    createMilkRun: { payloadIndex: 0 },
+    updateMilkRun: { timestampIndex: 1 },
+    addLineLots: { payloadIndex: 0 },
+    createDeliveryOverride: { payloadIndex: 0 },
+    createPickList: { payloadIndex: 0 },
+    updatePickList: { timestampIndex: 1 }
+};
+
+class OfflineQueue {
+    constructor() {
+        this.db = null;
+        this.dbReady = null;
+        this.isReplaying = false;
+        this.pendingCount = 0;
+        this.failedCount = 0;
+        this.listeners = new Set();
+        this.originals = {
+            database: {},
+            callEdgeFunction: null
+        };
+        this.retryInterval = null;
+    }
+
+    async init() {
+        // Wrap first so that calls made while IndexedDB opens are still captured
+        this.wrapDatabase();
+        this.wrapEdgeFunctions();
+
+        window.addEventListener('online', () => this.replay());
+        window.addEventListener('offline', () => this.notify());
+
+        this.retryInterval = setInterval(() => {
+            if (this.pendingCount > 0) this.replay();
+        }, OFFLINE_RETRY_INTERVAL);
+
+        try {
+            this.dbReady = this.openDatabase();
+            this.db = await this.dbReady;
+
+            await this.refreshCount();
+            this.replay();
+
+        } catch (error) {
+            console.error('Offline queue initialization error:', error);
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OFFLINE_STORE)) {
+                    const store = db.createObjectStore(OFFLINE_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('status', 'status');
+                    store.createIndex('idempotency_key', 'idempotency_key', { unique: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // IndexedDB helpers
+    withStore(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(OFFLINE_STORE, mode);
+            const store = transaction.objectStore(OFFLINE_STORE);
+            const request = callback(store);
+
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.withStore('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+
+    generateKey() {
+        return window.generateClientId();
+    }
+
+    // Once something is waiting in the outbox, later calls queue behind it
+    // so the server sees them in the order they were made
+    mustQueue() {
+        return !navigator.onLine || this.pendingCount > 0 || this.isReplaying;
+    }
+
+    // Only a request that never reached the server: the TypeError fetch
+    // throws (worded differently by each browser), also found in the message
+    // of the error supabase-js returns for it. Any other TypeError is a bug
+    // and must not be queued
+    isNetworkError(error) {
+        if (!navigator.onLine) return true;
+
+        const message = (error?.message || String(error || '')).toLowerCase();
+        return message.includes('failed to fetch') ||
+               message.includes('networkerror') ||
+               message.includes('network request failed') ||
+               message.includes('load failed');
+    }
+
+    // Already applied on the server: unique violation or HTTP 409
+    isDuplicateError(error) {
+        return error?.code === '23505' || error?.status === 409 || /HTTP 409/.test(error?.message || '');
+    }
+
+    async enqueue(entry) {
+        if (!this.db) {
+            this.db = await this.dbReady;
+        }
+
+        const queued = {
+            ...entry,
+            status: 'pending',
+            attempts: 0,
+            queued_at: new Date().toISOString()
+        };
+
+        queued.id = await this.put(queued);
+        await this.refreshCount();
+        if (navigator.onLine) this.replay();
+
+        return queued;
+    }
+
+    // Wrap the mutating Database helpers in place
+    wrapDatabase() {
+        Object.entries(OFFLINE_DATABASE_METHODS).forEach(([method, config]) => {
+            const original = window.Database[method];
+            if (typeof original !== 'function') return;
+
+            this.originals.database[method] = original;
+
+            window.Database[method] = async (...args) => {
+                const idempotencyKey = this.generateKey();
+                const clientTimestamp = window.ClientClock.now().toISOString();
+                const callArgs = this.attachKey(args, config, idempotencyKey, clientTimestamp);
+
+                if (!this.mustQueue()) {
+                    try {
+                        return await original.apply(window.Database, callArgs);
+                    } catch (error) {
+                        if (!this.isNetworkError(error)) throw error;
+                    }
+                }
+
+                await this.enqueue({
+                    kind: 'database',
+                    method,
+                    args: callArgs,
+                    idempotency_key: idempotencyKey,
+                    client_timestamp: clientTimestamp
+                });
+
+                // The queued row, client id included, stands in for the saved one
+                const payload = callArgs[config.payloadIndex ?? config.timestampIndex] || {};
+                return Array.isArray(payload)
+                    ? payload.map(row => ({ ...row, queued: true }))
+                    : { ...payload, queued: true, idempotency_key: idempotencyKey };
+            };
+        });
+    }
+
+    attachKey(args, config, idempotencyKey, clientTimestamp) {
+        const callArgs = [...args];
+
+        if (config.payloadIndex !== undefined) {
+            const stamp = (row, key) => ({
+                ...(config.upsert || row?.id ? {} : { id: this.generateKey() }),
+                ...(row || {}),
+                idempotency_key: key,
+                client_timestamp: clientTimestamp
+            });
+            const payload = callArgs[config.payloadIndex];
+            callArgs[config.payloadIndex] = Array.isArray(payload)
+                ? payload.map((row, index) => stamp(row, `${idempotencyKey}-${index}`))
+                : stamp(payload, idempotencyKey);
+        } else if (config.timestampIndex !== undefined) {
+            callArgs[config.timestampIndex] = {
+                ...(callArgs[config.timestampIndex] || {}),
+                client_timestamp: clientTimestamp
+            };
+        }
+
+        return callArgs;
+    }
+
+    // Read-only edge functions (get-*) are never queued
+    isMutatingEdgeFunction(functionName) {
+        return !/^get[-A-Z]/.test(functionName);
+    }
+
+    wrapEdgeFunctions() {
+        const original = window.callEdgeFunction;
+        this.originals.callEdgeFunction = original;
+
+        window.callEdgeFunction = async (functionName, data = {}, options = {}) => {
+            if (!this.isMutatingEdgeFunction(functionName)) {
+                return await original(functionName, data, options);
+            }
+
+            const idempotencyKey = this.generateKey();
+            const payload = {
+                ...data,
+                client_timestamp: data.client_timestamp || data.timestamp || new Date().toISOString()
+            };
+            const callOptions = this.withIdempotencyHeader(options, idempotencyKey);
+
+            if (!this.mustQueue()) {
+                try {
+                    return await original(functionName, payload, callOptions);
+                } catch (error) {
+                    if (!this.isNetworkError(error)) throw error;
+                }
+            }
+
+            await this.enqueue({
+                kind: 'edge',
+                method: functionName,
+                args: [payload],
+                idempotency_key: idempotencyKey,
+                client_timestamp: payload.client_timestamp
+            });
+
+            return { success: true, queued: true, idempotency_key: idempotencyKey, data: null };
+        };
+    }
+
+    withIdempotencyHeader(options, idempotencyKey) {
+        const baseOptions = typeof options === 'object' && options !== null ? options : {};
+        return {
+            ...baseOptions,
+            headers: {
+                ...baseOptions.headers,
+                'Idempotency-Key': idempotencyKey
+            }
+        };
+    }
+
+    async execute(entry) {
+        if (entry.kind === 'edge') {
+            const options = this.withIdempotencyHeader({}, entry.idempotency_key);
+            return await this.originals.callEdgeFunction(entry.method, entry.args[0], options);
+        }
+
+        const original = this.originals.database[entry.method];
+        if (!original) {
+            throw new Error(`Unknown queued method: ${entry.method}`);
+        }
+
+        // The queued arguments already carry their `client_timestamp`
+        return await original.apply(window.Database, entry.args);
+    }
+
+    // Replay pending actions strictly in insertion order
+    async replay() {
+        if (!this.db || this.isReplaying || !navigator.onLine) return;
+
+        this.isReplaying = true;
+        this.notify();
+
+        let synced = 0;
+        let drained = true;
+
+        try {
+            const entries = (await this.getAll())
+                .filter(entry => entry.status === 'pending')
+                .sort((a, b) => a.id - b.id);
+
+            for (const entry of entries) {
+                try {
+                    await this.execute(entry);
+                    await this.remove(entry.id);
+                    synced++;
+
+                } catch (error) {
+                    if (this.isDuplicateError(error)) {
+                        await this.remove(entry.id);
+                        continue;
+                    }
+
+                    if (this.isNetworkError(error)) {
+                        // Connection dropped again: keep order, retry later
+                        drained = false;
+                        break;
+                    }
+
+                    entry.attempts++;
+                    entry.last_error = error.message || String(error);
+                    if (entry.attempts >= OFFLINE_MAX_ATTEMPTS) {
+                        entry.status = 'failed';
+                    }
+                    await this.put(entry);
+
+                    console.error(`Offline replay of ${entry.method} failed:`, error);
+                    drained = false;
+                    break;
+                }
+            }
+
+        } catch (error) {
+            drained = false;
+            console.error('Offline replay error:', error);
+        } finally {
+            this.isReplaying = false;
+            await this.refreshCount();
+
+            if (synced > 0) {
+                this.dispatch('synced', { count: synced });
+            }
+
+            // Calls queued while this pass was running
+            if (drained && this.pendingCount > 0) {
+                this.replay();
+            }
+        }
+    }
+
+    async refreshCount() {
+        if (!this.db) return;
+
+        const entries = await this.getAll();
+        this.pendingCount = entries.filter(entry => entry.status === 'pending').length;
+        this.failedCount = entries.filter(entry => entry.status === 'failed').length;
+        this.notify();
+    }
+
+    async getFailed() {
+        return (await this.getAll()).filter(entry => entry.status === 'failed');
+    }
+
+    async retryFailed() {
+        const failed = await this.getFailed();
+        for (const entry of failed) {
+            entry.status = 'pending';
+            entry.attempts = 0;
+            await this.put(entry);
+        }
+        await this.replay();
+    }
+
+    // Event system
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    dispatch(event, data) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data, this.getState());
+            } catch (error) {
+                console.error('Offline queue listener error:', error);
+            }
+        });
+    }
+
+    notify() {
+        this.renderIndicator();
+        this.dispatch('change', null);
+    }
+
+    getState() {
+        return {
+            online: navigator.onLine,
+            replaying: this.isReplaying,
+            pending: this.pendingCount,
+            failed: this.failedCount
+        };
+    }
+
+    // Header indicator, rendered into #syncIndicator when the page has one
+    renderIndicator() {
+        const indicator = document.getElementById('syncIndicator');
+        if (!indicator) return;
+
+        const state = this.getState();
+        let icon = 'fa-check-circle';
+        let text = 'Synchronisé';
+        let stateClass = 'synced';
+
+        if (!state.online) {
+            icon = 'fa-wifi';
+            text = state.pending > 0 ? `Hors ligne · ${state.pending} en attente` : 'Hors ligne';
+            stateClass = 'offline';
+        } else if (state.replaying) {
+            icon = 'fa-sync-alt fa-spin';
+            text = 'Synchronisation...';
+            stateClass = 'syncing';
+        } else if (state.failed > 0) {
+            icon = 'fa-exclamation-triangle';
+            text = `${state.failed} échec(s) de synchro`;
+            stateClass = 'failed';
+        } else if (state.pending > 0) {
+            icon = 'fa-cloud-upload-alt';
+            text = `${state.pending} en attente`;
+            stateClass = 'pending';
+        }
+
+        indicator.className = `sync-indicator ${stateClass}`;
+        indicator.innerHTML = `<i class="fas ${icon}"></i><span>${text}</span>`;
+        indicator.title = state.failed > 0 ? 'Cliquer pour relancer la synchronisation' : '';
+    }
+
+    destroy() {
+        if (this.retryInterval) {
+            clearInterval(this.retryInterval);
+            this.retryInterval = null;
+        }
+    }
+}
+
+// Initialize offline queue
+window.offlineQueue = new OfflineQueue();
+window.retryOfflineSync = () => window.offlineQueue?.retryFailed();
+
+window.offlineQueue.init();
@@ -0,0 +1,380 @@
+// Warehouse Picking Lists
+// Before walking to the lines a handler picks everything at once in the
+// warehouse. A picking list gathers the open requests they can take, kanban
+// signals included, and merges them per component: one line per component
+// at its warehouse location, in walking order of the locations, with the
+// lots to take first in, first out. Each line is confirmed with the quantity
+// actually found; what is missing is a short pick, shared out most urgent
+// request first, and the agents who asked are told. A request moves to
+// picked once all its components are confirmed, carrying what was found;
+// one with nothing found stays open for the next list.
+const PICKING_UNLOCATED = 'Non localisé';
+
+const PICK_LINE_STATUSES = {
+    pending: { label: 'À préparer', badge: 'status-info' },
+    picked: { label: 'Préparée', badge: 'status-success' },
+    short: { label: 'Manquant', badge: 'status-danger' }
+};
+
+class PickingListManager {
+    getLineLabel(status) {
+        return PICK_LINE_STATUSES[status]?.label || status;
+    }
+
+    getLineBadge(status) {
+        return PICK_LINE_STATUSES[status]?.badge || 'status-info';
+    }
+
+    // Candidates
+    // Requests not yet picked the handler can take, unclaimed or their own,
+    // and not already on an open list
+    getCandidates(requests, profile, openLists = []) {
+        const listed = new Set(openLists.flatMap(list => list.request_ids));
+        const served = profile?.served_departments?.length ? profile.served_departments : null;
+
+        return window.materialRequests.sortQueue(requests).filter(request =>
+            request.status === 'requested' &&
+            (!request.claimed_by || request.claimed_by === profile.id) &&
+            (!served || served.includes(request.department)) &&
+            !listed.has(request.id));
+    }
+
+    async getOpenList(profile) {
+        const [list] = await window.Database.getPickLists({ handler_id: profile.id, status: 'open' });
+        return list || null;
+    }
+
+    // Lines
+    // Warehouse lots of a component to take, oldest usable first
+    getPickLots(component, quantity, stock, at = new Date()) {
+        const usable = stock
+            .filter(lot => lot.component === component && lot.remaining > 0 &&
+                (!lot.expires_at || new Date(lot.expires_at) > at))
+            .sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+
+        const lots = [];
+        let needed = quantity;
+        for (const lot of usable) {
+            if (needed <= 0) break;
+            const taken = Math.min(lot.remaining, needed);
+            lots.push({ lot: lot.lot, location: lot.location, quantity: taken });
+            needed -= taken;
+        }
+        return lots;
+    }
+
+    buildLines(requests, stock, at = new Date()) {
+        const lines = new Map();
+
+        window.materialRequests.sortQueue(requests).forEach(request => {
+            (request.items || []).forEach(item => {
+                const line = lines.get(item.reference) || {
+                    component: item.reference,
+                    quantity: 0,
+                    allocations: []
+                };
+                line.quantity += item.quantity;
+                line.allocations.push({
+                    request_id: request.id,
+                    production_line: request.production_line,
+                    requested_by: request.requested_by,
+                    requester_name: request.requester_name || null,
+                    urgency: request.urgency,
+                    kanban: Boolean(request.kanban_card_id),
+                    quantity: item.quantity,
+                    picked_quantity: null
+                });
+                lines.set(item.reference, line);
+            });
+        });
+
+        return [...lines.values()]
+            .map(line => {
+                const lots = this.getPickLots(line.component, line.quantity, stock, at);
+                const location = lots[0]?.location ||
+                    stock.find(lot => lot.component === line.component)?.location ||
+                    PICKING_UNLOCATED;
+
+                return {
+                    ...line,
+                    location,
+                    lots,
+                    status: 'pending',
+                    picked_quantity: null,
+                    picked_at: null
+                };
+            })
+            .sort((a, b) => (a.location === PICKING_UNLOCATED) - (b.location === PICKING_UNLOCATED) ||
+                a.location.localeCompare(b.location, 'fr', { numeric: true }) ||
+                a.component.localeCompare(b.component))
+            .map((line, index) => ({ sequence: index + 1, ...line }));
+    }
+
+    // Lists
+    async createList(profile, requests, at = new Date()) {
+        if (await this.getOpenList(profile)) {
+            throw new Error('Terminez la liste de préparation en cours avant d\'en générer une autre');
+        }
+
+        const openLists = await window.Database.getPickLists({ status: 'open' });
+        const candidates = this.getCandidates(requests, profile, openLists);
+        if (candidates.length === 0) {
+            throw new Error('Aucune demande à préparer');
+        }
+
+        // Requests another handler took in the meantime are left out; the
+        // claims taken here are given back if the list cannot be created
+        const manager = window.materialRequests;
+        const claimed = [];
+        const taken = [];
+        try {
+            for (const request of candidates) {
+                const owned = await manager.tryClaim(request, profile);
+                if (!owned) continue;
+
+                claimed.push(owned);
+                if (!request.claimed_by) taken.push(owned);
+            }
+            if (claimed.length === 0) {
+                throw new Error('Aucune demande à préparer');
+            }
+
+            const stock = await window.Database.getWarehouseLots({
+                component: [...new Set(claimed.flatMap(request => (request.items || []).map(item => item.reference)))]
+            });
+
+            return await window.Database.createPickList({
+                handler_id: profile.id,
+                handler_name: profile.full_name || null,
+                date: window.shiftCalendar.toDateKey(at),
+                status: 'open',
+                version: 1,
+                started_at: at.toISOString(),
+                completed_at: null,
+                request_ids: claimed.map(request => request.id),
+                lines: this.buildLines(claimed, stock, at)
+            });
+        } catch (error) {
+            await Promise.all(taken.map(request => manager.release(request)))
+                .catch(releaseError => console.warn('Claim release failed:', releaseError));
+            throw error;
+        }
+    }
+
+    // Confirmation
+    // Shares the quantity found between the requests, most urgent first
+    allocate(line, pickedQuantity) {
+        let left = pickedQuantity;
+        return line.allocations.map(allocation => {
+            const picked = Math.min(allocation.quantity, left);
+            left -= picked;
+            return { ...allocation, picked_quantity: picked };
+        });
+    }
+
+    // The list as stored, so a line confirmed from another device is not
+    // written over; lines confirmed here but still waiting in the offline
+    // queue are kept
+    async getCurrentList(list) {
+        if (!navigator.onLine) return list;
+
+        const [current] = await window.Database.getPickLists({ id: list.id });
+        if (!current) {
+            throw new Error('Liste de préparation introuvable');
+        }
+
+        return {
+            ...current,
+            lines: current.lines.map((line, position) =>
+                line.status === 'pending' && list.lines[position]?.status !== 'pending' ? list.lines[position] : line)
+        };
+    }
+
+    async confirmLine(profile, localList, index, pickedQuantity, at = new Date()) {
+        const list = await this.getCurrentList(localList);
+        const line = list.lines[index];
+        if (!line || line.status !== 'pending') {
+            throw new Error('Ligne déjà confirmée');
+        }
+
+        const picked = parseFloat(pickedQuantity);
+        if (!Number.isFinite(picked) || picked < 0) {
+            throw new Error('Quantité préparée invalide');
+        }
+        if (picked > line.quantity) {
+            throw new Error(`${line.component} : ${picked} préparé(s) pour ${line.quantity} demandé(s)`);
+        }
+
+        const confirmed = {
+            ...line,
+            allocations: this.allocate(line, picked),
+            picked_quantity: picked,
+            status: picked < line.quantity ? 'short' : 'picked',
+            picked_at: at.toISOString()
+        };
+        const lines = list.lines.map((candidate, position) => position === index ? confirmed : candidate);
+        const finished = lines.every(candidate => candidate.status !== 'pending');
+        const updates = {
+            lines,
+            version: (list.version || 0) + 1,
+            ...(finished ? { status: 'completed', completed_at: at.toISOString() } : {})
+        };
+
+        // The list is written first, and only if nobody saved it since it
+        // was read, so a line confirmed twice notifies and advances once.
+        // Offline the write is queued as is
+        let updated;
+        if (navigator.onLine) {
+            updated = await window.Database.savePickList(list.id, list.version ?? null, updates);
+            if (!updated) {
+                throw new Error('Liste modifiée sur un autre poste : rechargez-la');
+            }
+        } else {
+            updated = await window.Database.updatePickList(list.id, updates);
+        }
+
+        if (confirmed.status === 'short') {
+            await this.notifyShortPick(confirmed).catch(error => console.warn('Short pick notification failed:', error));
+        }
+
+        // Requests whose components are all confirmed leave the warehouse.
+        // Every request of the list is looked at, so one left behind (e.g.
+        // offline) goes on with the next confirmation
+        const ready = list.request_ids.filter(id => lines.every(candidate => candidate.status !== 'pending' ||
+            !candidate.allocations.some(allocation => allocation.request_id === id)));
+        if (ready.length > 0) {
+            try {
+                const requests = await window.Database.getMaterialRequests({ id: ready });
+                for (const request of requests.filter(candidate => candidate.status === 'requested')) {
+                    await this.advanceRequest(profile, request, lines);
+                }
+            } catch (error) {
+                console.warn('Picked requests not advanced:', error);
+            }
+        }
+
+        // A call queued offline only echoes the changes
+        return updated.queued ? { ...list, ...updated } : updated;
+    }
+
+    // The request goes on with what was found; the shortfall is kept on it
+    async advanceRequest(profile, request, lines) {
+        const allocations = lines.flatMap(line => line.allocations
+            .filter(allocation => allocation.request_id === request.id)
+            .map(allocation => ({ ...allocation, component: line.component })));
+        const found = (request.items || []).map(item => {
+            const position = allocations.findIndex(allocation => allocation.component === item.reference);
+            const [allocation] = position >= 0 ? allocations.splice(position, 1) : [];
+            return { ...item, picked: allocation?.picked_quantity ?? item.quantity };
+        });
+        if (found.every(item => item.picked <= 0)) return null;
+
+        const shortItems = found
+            .filter(item => item.picked < item.quantity)
+            .map(item => ({ reference: item.reference, requested: item.quantity, picked: item.picked }));
+
+        return await window.materialRequests.advance(request, 'picked', profile, {
+            items: found
+                .filter(item => item.picked > 0)
+                .map(item => ({ reference: item.reference, quantity: item.picked })),
+            ...(shortItems.length ? { short_items: shortItems } : {})
+        });
+    }
+
+    async notifyShortPick(line) {
+        for (const allocation of line.allocations.filter(candidate => candidate.picked_quantity < candidate.quantity)) {
+            if (!allocation.requested_by) continue;
+
+            await window.Database.createNotification({
+                target_user_id: allocation.requested_by,
+                production_line: allocation.production_line,
+                type: 'warning',
+                title: `Préparation incomplète · ${line.component}`,
+                message: `${allocation.picked_quantity} sur ${allocation.quantity} trouvé(s) en magasin ` +
+                    `(${line.location}). ${allocation.picked_quantity > 0 ? 'Livraison partielle, le reste manque en magasin.' : 'La demande reste ouverte.'}`,
+                read: false
+            });
+        }
+    }
+
+    // Productivity
+    // Completed lists per handler: lines per hour of picking and short rate
+    getStats(lists) {
+        const stats = new Map();
+
+        lists.filter(list => list.status === 'completed').forEach(list => {
+            const entry = stats.get(list.handler_id) || {
+                handler_id: list.handler_id,
+                handler_name: list.handler_name,
+                lists: 0,
+                lines: 0,
+                short: 0,
+                requests: 0,
+                total_ms: 0
+            };
+
+            entry.lists++;
+            entry.lines += list.lines.length;
+            entry.short += list.lines.filter(line => line.status === 'short').length;
+            entry.requests += list.request_ids.length;
+            entry.total_ms += new Date(list.completed_at) - new Date(list.started_at);
+
+            stats.set(list.handler_id, entry);
+        });
+
+        return [...stats.values()].map(entry => ({
+            ...entry,
+            lines_per_hour: entry.total_ms > 0 ? Math.round((entry.lines / (entry.total_ms / 3600000)) * 10) / 10 : null,
+            average_line_ms: entry.lines ? entry.total_ms / entry.lines : null,
+            short_rate: entry.lines ? Math.round((entry.short / entry.lines) * 100) : null
+        })).sort((a, b) => (b.lines_per_hour || 0) - (a.lines_per_hour || 0));
+    }
+
+    // Rendering
+    formatLots(line) {
+        return line.lots.map(lot => `${lot.lot} × ${lot.quantity}`).join(', ') || '-';
+    }
+
+    formatAllocations(line) {
+        return line.allocations.map(allocation =>
+            `${allocation.production_line} × ${allocation.quantity}${allocation.kanban ? ' (kanban)' : ''}`).join(', ');
+    }
+
+    // Paper version carried in the warehouse, with boxes to tick
+    renderPrint(list) {
+        return `
+            <h2>Liste de préparation · ${window.escapeHtml(list.handler_name || '')}</h2>
+            <p>${new Date(list.started_at).toLocaleString('fr-FR')} · ${list.request_ids.length} demande(s) · ${list.lines.length} ligne(s)</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Emplacement</th>
+                        <th>Composant</th>
+                        <th>Quantité</th>
+                        <th>Lots à prélever</th>
+                        <th>Pour</th>
+                        <th>Préparé</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.lines.map(line => `
+                        <tr>
+                            <td>${line.sequence}</td>
+                            <td>${window.escapeHtml(line.location)}</td>
+                            <td>${window.escapeHtml(line.component)}</td>
+                            <td>${line.quantity}</td>
+                            <td>${window.escapeHtml(this.formatLots(line))}</td>
+                            <td>${window.escapeHtml(this.formatAllocations(line))}</td>
+                            <td>${line.status === 'pending' ? '☐ ______' : `☑ ${line.picked_quantity}`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+// Initialize picking list manager
+window.PICK_LINE_STATUSES = PICK_LINE_STATUSES;
+window.pickingLists = new PickingListManager();
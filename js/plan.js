@@ -0,0 +1,265 @@
+// Hourly Production Plan
+// The chef plans each line hour by hour for a shift, by hand or from a CSV
+// import. Every planned hour is compared with the good pieces the line
+// completed in that hour, and the cumulative gap shows how far the shift is
+// behind. An hour that ended below plan needs a reason code, so missed hours
+// can be analysed by cause. The agent's progress bar and production chart
+// read the same comparison for the agent's line.
+const PLAN_GAP_REASONS = {
+    material: 'Manque matériel',
+    breakdown: 'Panne machine',
+    quality: 'Problème qualité',
+    absence: 'Absentéisme',
+    changeover: 'Changement de référence',
+    training: 'Formation / nouvel opérateur',
+    other: 'Autre'
+};
+
+const PLAN_SLOT_MS = 60 * 60 * 1000;
+
+// Cumulative gap against the plan to date (percent)
+const PLAN_ALERT_GAP = -10;
+
+class ProductionPlanner {
+    getReasonLabel(code) {
+        return PLAN_GAP_REASONS[code] || code;
+    }
+
+    // Hour slots of a shift window
+    getSlots(shiftWindow) {
+        const slots = [];
+        for (let start = shiftWindow.start.getTime(); start < shiftWindow.end.getTime(); start += PLAN_SLOT_MS) {
+            slots.push(new Date(start));
+        }
+        return slots;
+    }
+
+    formatSlot(slot) {
+        const start = new Date(slot);
+        const end = new Date(start.getTime() + PLAN_SLOT_MS);
+        const format = (date) => `${String(date.getHours()).padStart(2, '0')}h`;
+        return `${format(start)}-${format(end)}`;
+    }
+
+    // Loading
+    async getPlan(lineName, shiftWindow) {
+        return await window.Database.getProductionPlans({
+            production_line: lineName,
+            date: shiftWindow.date,
+            shift: shiftWindow.shift.code
+        });
+    }
+
+    // Good and defect records of the line inside the window; a night shift
+    // spans two calendar days
+    async getActuals(lineName, shiftWindow) {
+        const calendar = window.shiftCalendar;
+        const records = await window.Database.getProductionRecords({
+            production_line: lineName,
+            date: [shiftWindow.date, calendar.addDays(shiftWindow.date, 1)]
+        });
+
+        return records.filter(record => {
+            const at = new Date(record.created_at);
+            return at >= shiftWindow.start && at < shiftWindow.end;
+        });
+    }
+
+    async getBoard(lineName, shiftWindow, at = new Date()) {
+        const [plan, records, gaps] = await Promise.all([
+            this.getPlan(lineName, shiftWindow),
+            this.getActuals(lineName, shiftWindow),
+            window.Database.getPlanGaps({
+                production_line: lineName,
+                date: shiftWindow.date,
+                shift: shiftWindow.shift.code
+            })
+        ]);
+
+        return this.compare(this.getSlots(shiftWindow), plan, records, gaps, at);
+    }
+
+    // Plan vs actual
+    // Hours still running count their plan pro rata in the "to date" totals
+    compare(slots, plan, records, gaps = [], at = new Date()) {
+        let cumulativePlanned = 0;
+        let cumulativeActual = 0;
+        let plannedToDate = 0;
+
+        const rows = slots.map(slot => {
+            const start = slot.getTime();
+            const end = start + PLAN_SLOT_MS;
+            const startsAt = slot.toISOString();
+            const planned = plan.find(row => new Date(row.starts_at).getTime() === start)?.planned_quantity || 0;
+            const actual = window.qualityManager.summarize(records.filter(record => {
+                const time = new Date(record.created_at).getTime();
+                return time >= start && time < end;
+            })).good;
+            const status = at >= end ? 'done' : (at >= start ? 'current' : 'future');
+
+            cumulativePlanned += planned;
+            cumulativeActual += actual;
+            if (status === 'done') plannedToDate += planned;
+            if (status === 'current') plannedToDate += Math.round(planned * (at - start) / PLAN_SLOT_MS);
+
+            return {
+                starts_at: startsAt,
+                label: this.formatSlot(slot),
+                planned,
+                actual,
+                gap: actual - planned,
+                cumulative_planned: cumulativePlanned,
+                cumulative_actual: cumulativeActual,
+                cumulative_gap: cumulativeActual - cumulativePlanned,
+                status,
+                missed: status === 'done' && actual < planned,
+                reason: gaps.find(gap => new Date(gap.starts_at).getTime() === start) || null
+            };
+        });
+
+        const actualToDate = rows
+            .filter(row => row.status !== 'future')
+            .reduce((sum, row) => sum + row.actual, 0);
+
+        return {
+            rows,
+            planned_total: cumulativePlanned,
+            planned_to_date: plannedToDate,
+            actual: actualToDate,
+            gap_to_date: actualToDate - plannedToDate,
+            missing_reasons: rows.filter(row => row.missed && !row.reason).length,
+            has_plan: plan.length > 0
+        };
+    }
+
+    getLevel(board) {
+        if (!board.has_plan || board.planned_to_date <= 0) return 'info';
+
+        const gap = (board.gap_to_date / board.planned_to_date) * 100;
+        if (gap >= 0) return 'success';
+        if (gap >= PLAN_ALERT_GAP) return 'warning';
+        return 'danger';
+    }
+
+    // Planning
+    // Line target per operator times the operators, less the planned breaks
+    getDefaultPlan(lineName, shiftWindow, operators) {
+        const hourlyTarget = window.plantRegistry.getHourlyTarget(lineName) * operators;
+
+        return this.getSlots(shiftWindow).reduce((plan, slot) => {
+            const end = slot.getTime() + PLAN_SLOT_MS;
+            const breakMs = shiftWindow.breaks.reduce((sum, shiftBreak) =>
+                sum + Math.max(0, Math.min(end, shiftBreak.end) - Math.max(slot.getTime(), shiftBreak.start)), 0);
+
+            plan[slot.toISOString()] = Math.round(hourlyTarget * (PLAN_SLOT_MS - breakMs) / PLAN_SLOT_MS);
+            return plan;
+        }, {});
+    }
+
+    // `quantities` maps each slot start (ISO) to its planned pieces
+    async savePlan(profile, lineName, shiftWindow, quantities, source = 'manual') {
+        if (!window.authManager?.canManageLine(lineName)) {
+            throw new Error(`Vous ne gérez pas la ligne ${lineName}`);
+        }
+
+        const rows = this.getSlots(shiftWindow).map(slot => {
+            const quantity = Number(quantities[slot.toISOString()] || 0);
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                throw new Error(`Quantité invalide pour ${this.formatSlot(slot)}`);
+            }
+
+            return {
+                production_line: lineName,
+                department: window.plantRegistry.getLine(lineName)?.department || null,
+                date: shiftWindow.date,
+                shift: shiftWindow.shift.code,
+                starts_at: slot.toISOString(),
+                planned_quantity: quantity,
+                source,
+                planned_by: profile.id,
+                planner_name: profile.full_name || null
+            };
+        });
+
+        return await window.Database.saveProductionPlan(rows);
+    }
+
+    // CSV with one "ligne;heure;quantité" row per planned hour (`,` also
+    // accepted, header optional). Hours outside the window are reported
+    parseImport(text, shiftWindow) {
+        const slots = this.getSlots(shiftWindow);
+        const plans = {};
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line) return;
+
+            const [lineName, hour, quantity] = line.split(/[;,]/).map(cell => cell.trim());
+            if (index === 0 && isNaN(parseInt(quantity, 10))) return; // header
+
+            const slot = slots.find(candidate => candidate.getHours() === parseInt(hour, 10));
+            if (!window.plantRegistry.getLine(lineName)) {
+                errors.push(`Ligne ${index + 1} : ligne "${lineName}" inconnue`);
+            } else if (!slot) {
+                errors.push(`Ligne ${index + 1} : ${hour} hors du ${shiftWindow.shift.code}`);
+            } else if (isNaN(parseInt(quantity, 10))) {
+                errors.push(`Ligne ${index + 1} : quantité "${quantity}" invalide`);
+            } else {
+                plans[lineName] = plans[lineName] || {};
+                plans[lineName][slot.toISOString()] = parseInt(quantity, 10);
+            }
+        });
+
+        return { plans, errors };
+    }
+
+    // Missed hours
+    async recordReason(profile, lineName, shiftWindow, row, reasonCode, comment = null) {
+        if (!PLAN_GAP_REASONS[reasonCode]) {
+            throw new Error('Motif d\'écart requis');
+        }
+        if (reasonCode === 'other' && !comment) {
+            throw new Error('Précisez le motif "Autre" en commentaire');
+        }
+
+        return await window.Database.savePlanGap({
+            production_line: lineName,
+            department: window.plantRegistry.getLine(lineName)?.department || null,
+            date: shiftWindow.date,
+            shift: shiftWindow.shift.code,
+            starts_at: row.starts_at,
+            reason_code: reasonCode,
+            comment: comment || null,
+            planned: row.planned,
+            actual: row.actual,
+            recorded_by: profile.id,
+            recorder_name: profile.full_name || null
+        });
+    }
+
+    // Daily totals for the week / month chart; plans are dated by shift, so
+    // the records are counted on their shift's date too
+    async getDailySeries(lineName, from, to) {
+        const calendar = window.shiftCalendar;
+        const dates = [];
+        for (let date = from; date <= to; date = calendar.addDays(date, 1)) {
+            dates.push(date);
+        }
+
+        const [plans, records] = await Promise.all([
+            window.Database.getProductionPlans({ production_line: lineName, from, to }),
+            window.Database.getProductionRecords({ production_line: lineName, date: calendar.getRecordDates(dates) })
+        ]);
+
+        return dates.map(date => ({
+            date,
+            planned: plans.filter(row => row.date === date).reduce((sum, row) => sum + row.planned_quantity, 0),
+            actual: window.qualityManager.summarize(records.filter(record => calendar.getRecordDate(record) === date)).good
+        }));
+    }
+}
+
+// Initialize production planner
+window.PLAN_GAP_REASONS = PLAN_GAP_REASONS;
+window.productionPlanner = new ProductionPlanner();
@@ -0,0 +1,327 @@
+// Plant Structure Registry
+// Departments, production lines (with their sides and stations) and shifts
+// are loaded from the database once, cached in localStorage and kept fresh
+// through realtime updates. Setup, dashboards and permissions read the plant
+// layout from here instead of hard-coded lists.
+const PLANT_CACHE_KEY = 'plant_registry';
+const PLANT_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const PLANT_DEFAULT_HOURLY_TARGET = 60; // pieces per operator per hour
+
+const PLANT_LINE_SIDES = {
+    'Gauche': 'Côté gauche',
+    'Droite': 'Côté droit',
+    'Complet': 'Ligne complète'
+};
+
+class PlantRegistry {
+    constructor() {
+        this.departments = [];
+        this.lines = [];
+        this.shifts = [];
+        this.loadedAt = null;
+        this.loading = null;
+        this.listeners = new Set();
+        this.isSubscribed = false;
+
+        this.readCache();
+    }
+
+    // Loading & cache
+    async load({ force = false } = {}) {
+        // A page served from the cache still hears about registry changes
+        this.subscribeToChanges();
+
+        if (!force && this.isFresh()) {
+            return this;
+        }
+
+        if (!this.loading) {
+            this.loading = this.fetch().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        await this.loading;
+        return this;
+    }
+
+    async fetch() {
+        try {
+            const structure = await window.Database.getPlantStructure();
+
+            this.departments = structure.departments || [];
+            this.lines = structure.lines || [];
+            this.shifts = structure.shifts || [];
+            this.loadedAt = Date.now();
+
+            this.writeCache();
+            this.notify();
+
+        } catch (error) {
+            // Keep serving the cached structure when the database is unreachable
+            if (!this.loadedAt) throw error;
+            console.warn('Plant structure refresh failed, using cache:', error);
+        }
+    }
+
+    isFresh() {
+        return !!this.loadedAt && Date.now() - this.loadedAt < PLANT_CACHE_TTL;
+    }
+
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(PLANT_CACHE_KEY));
+            if (!cached) return;
+
+            this.departments = cached.departments || [];
+            this.lines = cached.lines || [];
+            this.shifts = cached.shifts || [];
+            this.loadedAt = cached.loaded_at || null;
+        } catch (error) {
+            localStorage.removeItem(PLANT_CACHE_KEY);
+        }
+    }
+
+    writeCache() {
+        localStorage.setItem(PLANT_CACHE_KEY, JSON.stringify({
+            departments: this.departments,
+            lines: this.lines,
+            shifts: this.shifts,
+            loaded_at: this.loadedAt
+        }));
+    }
+
+    invalidate() {
+        this.loadedAt = null;
+        localStorage.removeItem(PLANT_CACHE_KEY);
+    }
+
+    subscribeToChanges() {
+        if (this.isSubscribed || !window.Realtime) return;
+
+        const reload = () => this.load({ force: true });
+        ['departments', 'production_lines', 'shifts'].forEach(table => {
+            window.Realtime.subscribe(table, '*', reload);
+        });
+
+        this.isSubscribed = true;
+    }
+
+    // Departments
+    getDepartments({ includeRetired = false } = {}) {
+        return this.departments
+            .filter(department => includeRetired || department.active)
+            .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+    }
+
+    getDepartment(code) {
+        return this.departments.find(department => department.code === code) || null;
+    }
+
+    getDepartmentName(code) {
+        return this.getDepartment(code)?.name || code || '-';
+    }
+
+    // Lines
+    getLines(department = null, { includeRetired = false } = {}) {
+        return this.lines
+            .filter(line => !department || line.department === department)
+            .filter(line => includeRetired || line.active)
+            .sort((a, b) => this.getDepartmentOrder(a.department) - this.getDepartmentOrder(b.department) ||
+                (a.sort_order || 0) - (b.sort_order || 0) ||
+                a.name.localeCompare(b.name, 'fr', { numeric: true }));
+    }
+
+    getDepartmentOrder(code) {
+        return this.getDepartment(code)?.sort_order || 0;
+    }
+
+    getLine(name) {
+        return this.lines.find(line => line.name === name) || null;
+    }
+
+    getLineDepartment(name) {
+        return this.getLine(name)?.department || null;
+    }
+
+    isActiveLine(name) {
+        return !!this.getLine(name)?.active;
+    }
+
+    getLineSides(name) {
+        const sides = this.getLine(name)?.line_sides;
+        return Array.isArray(sides) && sides.length > 0 ? sides : Object.keys(PLANT_LINE_SIDES);
+    }
+
+    getLineSideLabel(side) {
+        return PLANT_LINE_SIDES[side] || side || PLANT_LINE_SIDES.Complet;
+    }
+
+    getStations(name) {
+        return this.getLine(name)?.stations || [];
+    }
+
+    getHourlyTarget(name) {
+        return this.getLine(name)?.hourly_target || PLANT_DEFAULT_HOURLY_TARGET;
+    }
+
+    // First active line, used when a profile is created without a line
+    getDefaultLine(department = null) {
+        return this.getLines(department)[0] || this.getLines()[0] || null;
+    }
+
+    // Shifts
+    getShifts({ includeRetired = false } = {}) {
+        return this.shifts
+            .filter(shift => includeRetired || shift.active)
+            .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+    }
+
+    getShift(code) {
+        return this.shifts.find(shift => shift.code === code) || null;
+    }
+
+    getShiftLabel(code, { withHours = true } = {}) {
+        const shift = this.getShift(code);
+        if (!shift) return code || '-';
+        return withHours ? `${shift.code} (${shift.start_time} - ${shift.end_time})` : shift.code;
+    }
+
+    // Select helpers
+    fillSelect(select, options, { placeholder = null, selected = null } = {}) {
+        if (!select) return;
+
+        const selectedValues = Array.isArray(selected) ? selected : [selected];
+        select.innerHTML = placeholder ? `<option value="">${placeholder}</option>` : '';
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = selectedValues.includes(value);
+            select.appendChild(option);
+        });
+    }
+
+    fillDepartmentSelect(select, options = {}) {
+        this.fillSelect(select, this.getDepartments().map(department => ({
+            value: department.code,
+            label: department.name && department.name !== department.code
+                ? `${department.code} - ${department.name}`
+                : department.code
+        })), options);
+    }
+
+    fillLineSelect(select, department, options = {}) {
+        const departments = Array.isArray(department) ? department : [department];
+        const lines = departments.filter(Boolean).flatMap(code => this.getLines(code));
+
+        this.fillSelect(select, lines.map(line => ({ value: line.name, label: line.name })), options);
+    }
+
+    fillLineSideSelect(select, lineName, options = {}) {
+        this.fillSelect(select, this.getLineSides(lineName).map(side => ({
+            value: side,
+            label: this.getLineSideLabel(side)
+        })), options);
+    }
+
+    fillShiftSelect(select, { withHours = true, ...options } = {}) {
+        this.fillSelect(select, this.getShifts().map(shift => ({
+            value: shift.code,
+            label: this.getShiftLabel(shift.code, { withHours })
+        })), options);
+    }
+
+    // Administration (Directeur)
+    async addDepartment({ code, name }) {
+        const normalizedCode = (code || '').trim().toUpperCase();
+        if (!normalizedCode) {
+            throw new Error('Code département requis');
+        }
+        if (this.getDepartment(normalizedCode)) {
+            throw new Error(`Le département ${normalizedCode} existe déjà`);
+        }
+
+        const department = await window.Database.saveDepartment({
+            code: normalizedCode,
+            name: (name || '').trim() || normalizedCode,
+            active: true,
+            sort_order: this.departments.length + 1
+        });
+
+        await this.load({ force: true });
+        return department;
+    }
+
+    async addLine({ name, department, line_sides = [], stations = [], hourly_target = null }) {
+        const lineName = (name || '').trim();
+        if (!lineName || !department) {
+            throw new Error('Nom de ligne et département requis');
+        }
+        if (!this.getDepartment(department)) {
+            throw new Error(`Département inconnu: ${department}`);
+        }
+        if (this.getLine(lineName)) {
+            throw new Error(`La ligne ${lineName} existe déjà`);
+        }
+
+        const line = await window.Database.saveProductionLine({
+            name: lineName,
+            department,
+            line_sides: line_sides.length > 0 ? line_sides : Object.keys(PLANT_LINE_SIDES),
+            stations,
+            hourly_target: hourly_target > 0 ? hourly_target : PLANT_DEFAULT_HOURLY_TARGET,
+            active: true,
+            sort_order: this.getLines(department, { includeRetired: true }).length + 1
+        });
+
+        await this.load({ force: true });
+        return line;
+    }
+
+    // Retired lines disappear from pickers but stay in history and reports
+    async setLineActive(name, active) {
+        const line = this.getLine(name);
+        if (!line) {
+            throw new Error(`Ligne inconnue: ${name}`);
+        }
+
+        const updated = await window.Database.saveProductionLine({
+            ...line,
+            active,
+            retired_at: active ? null : window.ClientClock.now().toISOString()
+        });
+
+        await this.load({ force: true });
+        return updated;
+    }
+
+    retireLine(name) {
+        return this.setLineActive(name, false);
+    }
+
+    restoreLine(name) {
+        return this.setLineActive(name, true);
+    }
+
+    // Event system
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Plant registry listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize plant registry
+window.PLANT_LINE_SIDES = PLANT_LINE_SIDES;
+window.plantRegistry = new PlantRegistry();
@@ -0,0 +1,236 @@
+// Production Session
+// An agent works one reference at a time. Starting a reference opens a
+// session on the `in_progress` record created by start-production; the
+// stopwatch times the current cycle from the session start or the last
+// completion, paused time excluded, and each completion logs its pieces with
+// the cycle time per piece. Cycles outside the tolerance around the
+// reference's target cycle are flagged. The session is kept in localStorage
+// so a page reload keeps the stopwatch running.
+const PRODUCTION_SESSION_KEY = 'production_session';
+
+// Deviation from the target cycle (percent)
+const PRODUCTION_CYCLE_TOLERANCE = 15;
+const PRODUCTION_CYCLE_ALERT = 50;
+
+const PRODUCTION_CYCLE_STATUSES = {
+    on_target: { label: 'Dans la cible', badge: 'status-success' },
+    fast: { label: 'Rapide', badge: 'status-info' },
+    slow: { label: 'Lent', badge: 'status-warning' },
+    very_slow: { label: 'Très lent', badge: 'status-danger' }
+};
+
+class ProductionSession {
+    constructor() {
+        this.session = null;
+        this.listeners = new Set();
+    }
+
+    getStorageKey(profile) {
+        return `${PRODUCTION_SESSION_KEY}_${profile.id}`;
+    }
+
+    restore(profile) {
+        try {
+            this.session = JSON.parse(localStorage.getItem(this.getStorageKey(profile))) || null;
+        } catch (error) {
+            this.session = null;
+        }
+        return this.session;
+    }
+
+    save(profile) {
+        if (this.session) {
+            localStorage.setItem(this.getStorageKey(profile), JSON.stringify(this.session));
+        } else {
+            localStorage.removeItem(this.getStorageKey(profile));
+        }
+        this.notify();
+    }
+
+    isActive() {
+        return !!this.session;
+    }
+
+    isPaused() {
+        return !!this.session?.paused_at;
+    }
+
+    getRemaining() {
+        return this.session ? Math.max(0, this.session.planned_quantity - this.session.produced) : 0;
+    }
+
+    // Lifecycle
+    async start(profile, referenceCode, quantity, at = new Date()) {
+        const reference = window.referenceCatalog.requireLineReference(referenceCode, profile.production_line);
+        const planned = parseInt(quantity, 10);
+        if (!planned || planned < 1) {
+            throw new Error('Quantité invalide');
+        }
+
+        // Switching reference closes the running session first
+        if (this.session) {
+            await this.finish(profile, at);
+        }
+
+        // The record id is chosen here so a start queued offline can still
+        // be closed by finish()
+        const recordId = window.generateClientId();
+        const response = await window.callEdgeFunction('start-production', {
+            record_id: recordId,
+            user_id: profile.id,
+            reference: reference.code,
+            quantity: planned,
+            production_line: profile.production_line
+        });
+
+        this.session = {
+            record_id: response.data?.record?.id || recordId,
+            reference: reference.code,
+            description: reference.description,
+            target_cycle: reference.target_cycle,
+            production_line: profile.production_line,
+            planned_quantity: planned,
+            produced: 0,
+            started_at: at.toISOString(),
+            cycle_started_at: at.toISOString(),
+            paused_ms: 0,
+            paused_at: null
+        };
+        this.save(profile);
+        return this.session;
+    }
+
+    // Breaks stop the stopwatch; `at` lets a break already running when the
+    // page loads count from its real start
+    pause(profile, at = new Date()) {
+        if (!this.session || this.session.paused_at) return;
+
+        this.session.paused_at = new Date(Math.max(at, new Date(this.session.cycle_started_at))).toISOString();
+        this.save(profile);
+    }
+
+    resume(profile, at = new Date()) {
+        if (!this.session?.paused_at) return;
+
+        this.session.paused_ms += Math.max(0, at - new Date(this.session.paused_at));
+        this.session.paused_at = null;
+        this.save(profile);
+    }
+
+    // Stopwatch
+    getCycleElapsed(at = new Date()) {
+        if (!this.session) return 0;
+
+        const running = at - new Date(this.session.cycle_started_at);
+        const paused = this.session.paused_ms + (this.session.paused_at ? at - new Date(this.session.paused_at) : 0);
+        return Math.max(0, running - paused);
+    }
+
+    getCycleStatus(cycleSeconds, targetCycle) {
+        if (!(targetCycle > 0)) return null;
+
+        const deviation = ((cycleSeconds - targetCycle) / targetCycle) * 100;
+        if (deviation > PRODUCTION_CYCLE_ALERT) return 'very_slow';
+        if (deviation > PRODUCTION_CYCLE_TOLERANCE) return 'slow';
+        if (deviation < -PRODUCTION_CYCLE_TOLERANCE) return 'fast';
+        return 'on_target';
+    }
+
+    getCycleLabel(status) {
+        return PRODUCTION_CYCLE_STATUSES[status]?.label || '-';
+    }
+
+    getCycleBadge(status) {
+        return PRODUCTION_CYCLE_STATUSES[status]?.badge || 'status-info';
+    }
+
+    // Logs the pieces finished since the last completion; the session ends
+    // once the planned quantity is reached
+    async complete(profile, quantity, at = new Date()) {
+        if (!this.session) {
+            throw new Error('Aucune production démarrée');
+        }
+        if (this.session.paused_at) {
+            throw new Error('Production en pause: reprenez le travail avant de valider');
+        }
+
+        const pieces = parseInt(quantity, 10);
+        if (!pieces || pieces < 1) {
+            throw new Error('Quantité invalide');
+        }
+
+        const cycleTime = Math.round((this.getCycleElapsed(at) / 1000 / pieces) * 10) / 10;
+        const cycleStatus = this.getCycleStatus(cycleTime, this.session.target_cycle);
+
+        // Lots on the line the pieces were made from; offline the record goes without
+        const lots = await window.lotTraceability?.consume(this.session.production_line, this.session.reference, pieces, at)
+            .catch(error => {
+                console.warn('Lot consumption failed:', error);
+                return [];
+            });
+
+        const record = await window.Database.addProductionRecord({
+            agent_id: profile.id,
+            date: window.qualityManager.getDateKey(at),
+            shift: window.shiftCalendar?.getEffectiveShiftCode(profile, at) || profile.shift,
+            department: profile.department,
+            production_line: this.session.production_line,
+            reference: this.session.reference,
+            quantity: pieces,
+            cycle_time: cycleTime,
+            target_cycle: this.session.target_cycle,
+            cycle_status: cycleStatus,
+            session_id: this.session.record_id,
+            lots: lots || [],
+            status: 'completed'
+        });
+
+        this.session.produced += pieces;
+        this.session.cycle_started_at = at.toISOString();
+        this.session.paused_ms = 0;
+        this.save(profile);
+
+        const finished = this.session.produced >= this.session.planned_quantity;
+        if (finished) {
+            await this.finish(profile, at);
+        }
+
+        return { record, cycle_time: cycleTime, cycle_status: cycleStatus, finished };
+    }
+
+    // Closes the start record with the quantity actually produced
+    async finish(profile, at = new Date()) {
+        if (!this.session) return;
+
+        if (this.session.record_id) {
+            await window.Database.updateProductionRecord(this.session.record_id, {
+                status: 'completed',
+                produced_quantity: this.session.produced,
+                ended_at: at.toISOString()
+            });
+        }
+
+        this.session = null;
+        this.save(profile);
+    }
+
+    // Page listeners, told about every change of the session
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.session);
+            } catch (error) {
+                console.error('Production session listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize production session
+window.PRODUCTION_CYCLE_STATUSES = PRODUCTION_CYCLE_STATUSES;
+window.productionSession = new ProductionSession();
@@ -0,0 +1,255 @@
+// Defect Reporting
+// Defects are declared against the reference being produced, using the
+// department's defect code catalog. Each declaration is stored in `defects`
+// (with an optional photo in Storage) and as a `defect` production record so
+// the quality rate picks it up like any other production figure.
+const DEFECT_CACHE_KEY = 'defect_catalog';
+const DEFECT_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const DEFECT_PHOTO_MAX_SIZE = 1280; // px, longest side
+
+const DEFECT_SEVERITIES = {
+    minor: { label: 'Mineur', badge: 'status-info' },
+    major: { label: 'Majeur', badge: 'status-warning' },
+    critical: { label: 'Critique', badge: 'status-danger' }
+};
+
+// Quality rate thresholds for badges (percent)
+const QUALITY_RATE_TARGET = 98;
+const QUALITY_RATE_ALERT = 95;
+
+class QualityManager {
+    constructor() {
+        this.catalog = [];
+        this.loadedAt = null;
+        this.loading = null;
+
+        this.readCache();
+    }
+
+    // Catalog loading & cache
+    async loadCatalog({ force = false } = {}) {
+        if (!force && this.loadedAt && Date.now() - this.loadedAt < DEFECT_CACHE_TTL) {
+            return this;
+        }
+
+        if (!this.loading) {
+            this.loading = this.fetchCatalog().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        await this.loading;
+        return this;
+    }
+
+    async fetchCatalog() {
+        try {
+            this.catalog = await window.Database.getDefectCodes();
+            this.loadedAt = Date.now();
+
+            localStorage.setItem(DEFECT_CACHE_KEY, JSON.stringify({
+                catalog: this.catalog,
+                loaded_at: this.loadedAt
+            }));
+        } catch (error) {
+            // Keep serving the cached catalog when the database is unreachable
+            if (!this.loadedAt) throw error;
+            console.warn('Defect catalog refresh failed, using cache:', error);
+        }
+    }
+
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(DEFECT_CACHE_KEY));
+            if (!cached) return;
+
+            this.catalog = cached.catalog || [];
+            this.loadedAt = cached.loaded_at || null;
+        } catch (error) {
+            localStorage.removeItem(DEFECT_CACHE_KEY);
+        }
+    }
+
+    // Codes without a department apply plant-wide
+    getDefectCodes(department = null) {
+        return this.catalog
+            .filter(defect => defect.active !== false)
+            .filter(defect => !defect.department || !department || defect.department === department)
+            .sort((a, b) => (a.category || '').localeCompare(b.category || '', 'fr') ||
+                a.code.localeCompare(b.code, 'fr', { numeric: true }));
+    }
+
+    getDefectCode(code) {
+        return this.catalog.find(defect => defect.code === code) || null;
+    }
+
+    getDefectLabel(code) {
+        const defect = this.getDefectCode(code);
+        return defect ? `${defect.code} - ${defect.label}` : code || '-';
+    }
+
+    getSeverityLabel(severity) {
+        return DEFECT_SEVERITIES[severity]?.label || severity;
+    }
+
+    getSeverityBadge(severity) {
+        return DEFECT_SEVERITIES[severity]?.badge || 'status-info';
+    }
+
+    fillDefectSelect(select, department, options = {}) {
+        window.plantRegistry.fillSelect(select, this.getDefectCodes(department).map(defect => ({
+            value: defect.code,
+            label: `${defect.category ? `[${defect.category}] ` : ''}${defect.code} - ${defect.label}`
+        })), options);
+    }
+
+    // Reference currently produced: the latest good record of the day
+    async getCurrentReference(profile) {
+        const records = await window.Database.getProductionData(profile.id, this.getDateKey());
+        return records.find(record => record.status !== 'defect' && record.reference)?.reference || null;
+    }
+
+    getDateKey(at = new Date()) {
+        return window.shiftCalendar ? window.shiftCalendar.toDateKey(at) : at.toISOString().split('T')[0];
+    }
+
+    // Photos
+    // Shop-floor phone photos are downscaled to JPEG before upload
+    compressPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(file);
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+
+                const scale = Math.min(1, DEFECT_PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Compression photo impossible')), 'image/jpeg', 0.8);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Format de photo non supporté'));
+            };
+            image.src = url;
+        });
+    }
+
+    async uploadPhoto(profile, file) {
+        const photo = await this.compressPhoto(file);
+        const path = `${profile.department || 'NA'}/${this.getDateKey()}/${profile.id}-${Date.now()}.jpg`;
+
+        return await window.Database.uploadDefectPhoto(path, photo);
+    }
+
+    // Reporting
+    async reportDefect(profile, { reference, defect_code, quantity, station = null, comment = null, photo = null }) {
+        if (!profile) {
+            throw new Error('User profile not found');
+        }
+
+        const defect = this.getDefectCode(defect_code);
+        const affected = parseInt(quantity, 10);
+
+        if (!reference || !reference.trim()) {
+            throw new Error('Référence requise');
+        }
+        if (!defect) {
+            throw new Error('Code défaut requis');
+        }
+        if (!affected || affected < 1) {
+            throw new Error('Quantité affectée invalide');
+        }
+
+        // A report is never lost because the photo could not be sent offline
+        let photoUrl = null;
+        let photoSkipped = false;
+        if (photo) {
+            try {
+                photoUrl = await this.uploadPhoto(profile, photo);
+            } catch (error) {
+                if (navigator.onLine) throw error;
+                console.warn('Defect photo skipped while offline:', error);
+                photoSkipped = true;
+            }
+        }
+
+        const date = this.getDateKey();
+        const shift = window.shiftCalendar?.getEffectiveShiftCode(profile) || profile.shift;
+        const record = await window.Database.reportDefect({
+            reported_by: profile.id,
+            reporter_name: profile.full_name || null,
+            date,
+            shift,
+            department: profile.department,
+            production_line: profile.production_line || null,
+            station: station || null,
+            reference: reference.trim(),
+            defect_code: defect.code,
+            category: defect.category || null,
+            severity: defect.severity || 'minor',
+            quantity: affected,
+            comment: comment || null,
+            photo_url: photoUrl
+        });
+
+        await window.Database.addProductionRecord({
+            agent_id: profile.id,
+            date,
+            shift,
+            department: profile.department,
+            production_line: profile.production_line || null,
+            reference: reference.trim(),
+            quantity: affected,
+            status: 'defect',
+            defect_code: defect.code,
+            station: station || null
+        });
+
+        return { ...record, photo_skipped: photoSkipped };
+    }
+
+    async getDefects(filters = {}) {
+        return await window.Database.getDefects(filters);
+    }
+
+    // Quality rate of an agent's day from its production records
+    async getQualityStats(profile, date = null) {
+        const records = await window.Database.getProductionData(profile.id, date || this.getDateKey());
+        return this.summarize(records);
+    }
+
+    // Defective pieces were made as part of the completed quantity: a
+    // defect record takes them out of the good pieces, it does not add to
+    // what was made
+    summarize(records) {
+        const completed = (records || []).filter(record => record.status === 'completed')
+            .reduce((sum, record) => sum + (record.quantity || 0), 0);
+        const defects = (records || []).filter(record => record.status === 'defect')
+            .reduce((sum, record) => sum + (record.quantity || 0), 0);
+        const good = Math.max(0, completed - defects);
+        const total = completed;
+
+        return {
+            good,
+            defects,
+            total,
+            quality_rate: total > 0 ? Math.round((good / total) * 1000) / 10 : 100
+        };
+    }
+
+    // Badge class for a quality rate: success / warning / danger
+    getRateLevel(rate) {
+        if (rate >= QUALITY_RATE_TARGET) return 'success';
+        if (rate >= QUALITY_RATE_ALERT) return 'warning';
+        return 'danger';
+    }
+}
+
+// Initialize quality manager
+window.DEFECT_SEVERITIES = DEFECT_SEVERITIES;
+window.qualityManager = new QualityManager();
@@ -0,0 +1,194 @@
+// Reference Catalog
+// Part numbers built on each line, with their description, target cycle
+// (seconds per piece), standard pack quantity and bill of materials.
+// Production can only start on a reference of the agent's line, the target
+// cycle is the standard the OEE performance is measured against, and the bill
+// of materials turns pieces produced into component consumption for line
+// replenishment.
+const REFERENCE_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+const REFERENCE_UNITS = {
+    pcs: 'pièce(s)',
+    m: 'm',
+    kg: 'kg'
+};
+
+class ReferenceCatalog {
+    constructor() {
+        this.references = [];
+        this.loadedAt = null;
+        this.loading = null;
+    }
+
+    async load({ force = false } = {}) {
+        if (!force && this.loadedAt && Date.now() - this.loadedAt < REFERENCE_CACHE_TTL) {
+            return this;
+        }
+
+        if (!this.loading) {
+            this.loading = window.Database.getPartReferences()
+                .then(references => {
+                    this.references = references;
+                    this.loadedAt = Date.now();
+                })
+                .catch(error => {
+                    // Callers fall back on line hourly targets rather than failing
+                    console.warn('Part references unavailable:', error);
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        await this.loading;
+        return this;
+    }
+
+    // Lookups
+    getReferences(lineName = null, { includeInactive = false } = {}) {
+        return this.references
+            .filter(reference => includeInactive || reference.active)
+            .filter(reference => !lineName || (reference.production_lines || []).includes(lineName));
+    }
+
+    getReference(code) {
+        return this.references.find(reference => reference.code === code) || null;
+    }
+
+    // Seconds per piece; references missing from the catalog use the line
+    // hourly target per operator instead
+    getTargetCycle(code, lineName = null) {
+        const reference = this.getReference(code);
+        if (reference?.target_cycle > 0) return reference.target_cycle;
+
+        return 3600 / window.plantRegistry.getHourlyTarget(lineName);
+    }
+
+    formatCycle(seconds) {
+        if (!(seconds >= 0)) return '--:--';
+
+        const total = Math.round(seconds);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    getUnitLabel(unit) {
+        return REFERENCE_UNITS[unit] || unit;
+    }
+
+    // The reference an agent may start on their line
+    requireLineReference(code, lineName) {
+        const reference = this.getReference(code);
+        if (!reference || !reference.active) {
+            throw new Error(`Référence inconnue: ${code}`);
+        }
+        if (!(reference.production_lines || []).includes(lineName)) {
+            throw new Error(`La référence ${code} n'est pas produite sur ${lineName}`);
+        }
+        return reference;
+    }
+
+    // Bill of materials
+    // Components of every active reference of the line, without duplicates
+    getLineComponents(lineName) {
+        const components = new Map();
+        this.getReferences(lineName).forEach(reference => {
+            (reference.bom || []).forEach(item => {
+                if (!components.has(item.component)) components.set(item.component, item);
+            });
+        });
+        return [...components.values()].sort((a, b) => a.component.localeCompare(b.component));
+    }
+
+    getConsumption(code, pieces) {
+        return (this.getReference(code)?.bom || []).map(item => ({
+            component: item.component,
+            description: item.description,
+            unit: item.unit,
+            quantity: Math.round(item.quantity * pieces * 100) / 100
+        }));
+    }
+
+    // Components consumed by completed production records, scrap included
+    sumConsumption(records) {
+        const totals = new Map();
+
+        records.filter(record => record.status === 'completed').forEach(record => {
+            this.getConsumption(record.reference, record.quantity || 0).forEach(item => {
+                const total = totals.get(item.component) || { ...item, quantity: 0 };
+                total.quantity = Math.round((total.quantity + item.quantity) * 100) / 100;
+                totals.set(item.component, total);
+            });
+        });
+
+        return [...totals.values()];
+    }
+
+    // Material request items to rebuild `packs` standard packs of a
+    // reference; partial units are rounded up
+    getReplenishmentItems(code, packs = 1) {
+        const reference = this.getReference(code);
+        if (!reference) return [];
+
+        return this.getConsumption(code, (reference.pack_quantity || 1) * packs).map(item => ({
+            reference: item.component,
+            quantity: Math.ceil(item.quantity)
+        }));
+    }
+
+    // Administration
+    async saveReference({ code, description, target_cycle, pack_quantity, production_lines = [], bom = [], active = true }) {
+        const referenceCode = (code || '').trim().toUpperCase();
+        if (!referenceCode || !description?.trim()) {
+            throw new Error('Code et description de la référence requis');
+        }
+        if (!(target_cycle > 0)) {
+            throw new Error('Temps de cycle cible invalide');
+        }
+        if (!Number.isInteger(pack_quantity) || pack_quantity < 1) {
+            throw new Error('Quantité par emballage invalide');
+        }
+
+        const unknownLine = production_lines.find(line => !window.plantRegistry.getLine(line));
+        if (unknownLine) {
+            throw new Error(`Ligne inconnue: ${unknownLine}`);
+        }
+
+        const items = bom
+            .map(item => ({
+                component: (item.component || '').trim().toUpperCase(),
+                description: (item.description || '').trim(),
+                quantity: Number(item.quantity),
+                unit: REFERENCE_UNITS[item.unit] ? item.unit : 'pcs'
+            }))
+            .filter(item => item.component);
+        const invalid = items.find(item => !(item.quantity > 0));
+        if (invalid) {
+            throw new Error(`Quantité invalide pour le composant ${invalid.component}`);
+        }
+
+        const reference = await window.Database.savePartReference({
+            code: referenceCode,
+            description: description.trim(),
+            target_cycle: Number(target_cycle),
+            pack_quantity,
+            production_lines,
+            bom: items,
+            active
+        });
+
+        await this.load({ force: true });
+        return reference;
+    }
+
+    async setReferenceActive(code, active) {
+        const reference = this.getReference(code);
+        if (!reference) {
+            throw new Error(`Référence inconnue: ${code}`);
+        }
+        return await this.saveReference({ ...reference, active });
+    }
+}
+
+// Initialize reference catalog
+window.REFERENCE_UNITS = REFERENCE_UNITS;
+window.referenceCatalog = new ReferenceCatalog();
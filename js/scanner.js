@@ -0,0 +1,159 @@
+// Scanner Input
+// Handheld barcode scanners are keyboard wedges: a scan arrives as a burst of
+// keystrokes far faster than anyone types, ended by Enter (or Tab). The
+// listener watches every keystroke of the page, recognises those bursts,
+// parses the label and hands it to the route the page registered for that
+// label type. Typing by hand is left alone. A burst that lands in a text
+// field is taken back out of it, unless the field asks for scans itself
+// (`data-scan`), in which case it receives the parsed code.
+//
+// Labels use the data identifiers printed on our part and bin labels:
+//   P<reference>            part number          PHRN-4471-A
+//   1T<lot>                 component lot        1TL24102-0415
+//   KB<component>[#<card>]  bin / kanban card    KBFIL-035-RD#03
+//   DT<digits>              employee badge       DT1001
+// A bare reference code is accepted when it is in the catalog.
+const SCANNER_MAX_KEY_INTERVAL = 50; // ms between two keystrokes of a burst
+const SCANNER_MIN_LENGTH = 4;
+const SCANNER_TERMINATORS = ['Enter', 'Tab'];
+
+const SCANNER_LABELS = {
+    lot: { label: 'Lot', pattern: /^1T([A-Z0-9][A-Z0-9./-]*)$/ },
+    bin: { label: 'Bac', pattern: /^KB([A-Z0-9][A-Z0-9-]*)(?:#(\d+))?$/ },
+    badge: { label: 'Badge', pattern: /^(DT\d{3,})$/ },
+    reference: { label: 'Référence', pattern: /^P([A-Z0-9]+(?:-[A-Z0-9]+)+)$/ }
+};
+
+class ScannerInput {
+    constructor() {
+        this.routes = new Map();
+        this.buffer = '';
+        this.lastKeyAt = 0;
+        this.attached = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    attach(target = document) {
+        if (this.attached) return;
+
+        // Capture phase: the burst is seen before the focused element acts on it
+        target.addEventListener('keydown', this.handleKeydown, true);
+        this.attached = true;
+    }
+
+    detach(target = document) {
+        target.removeEventListener('keydown', this.handleKeydown, true);
+        this.attached = false;
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = '';
+        this.lastKeyAt = 0;
+    }
+
+    // Burst detection
+    handleKeydown(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) {
+            this.reset();
+            return;
+        }
+
+        const at = event.timeStamp || Date.now();
+        const inBurst = this.buffer && at - this.lastKeyAt <= SCANNER_MAX_KEY_INTERVAL;
+
+        if (SCANNER_TERMINATORS.includes(event.key)) {
+            const raw = this.buffer;
+            this.reset();
+            if (!inBurst || raw.length < SCANNER_MIN_LENGTH) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            this.receive(raw, event.target);
+            return;
+        }
+
+        // Shift and the other modifiers a scanner sends between characters
+        if (event.key?.length !== 1) return;
+
+        if (!inBurst) this.buffer = '';
+        this.buffer += event.key;
+        this.lastKeyAt = at;
+    }
+
+    receive(raw, target = null) {
+        const scan = this.parse(raw);
+        const field = this.getTextField(target);
+
+        if (field) {
+            // The keystrokes already reached the field
+            if (field.value.endsWith(raw)) {
+                field.value = field.value.slice(0, -raw.length);
+            }
+            if (field.dataset.scan !== undefined) {
+                field.value += scan.value;
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                return scan;
+            }
+        }
+
+        this.dispatch(scan);
+        return scan;
+    }
+
+    getTextField(target) {
+        if (!target || !['INPUT', 'TEXTAREA'].includes(target.tagName)) return null;
+        return typeof target.value === 'string' ? target : null;
+    }
+
+    // Labels
+    parse(raw) {
+        const code = (raw || '').trim().toUpperCase();
+
+        if (window.referenceCatalog?.getReference(code)) {
+            return { type: 'reference', raw: code, value: code };
+        }
+
+        for (const [type, format] of Object.entries(SCANNER_LABELS)) {
+            const match = code.match(format.pattern);
+            if (!match) continue;
+
+            if (type === 'bin') {
+                return { type, raw: code, value: match[1], card: match[2] ? parseInt(match[2], 10) : null };
+            }
+            return { type, raw: code, value: match[1] };
+        }
+
+        return { type: 'unknown', raw: code, value: code };
+    }
+
+    // Plain text with the scanned value as read: show it through textContent
+    // (the page toasts do) or escape it before it goes into HTML
+    describe(scan) {
+        const label = SCANNER_LABELS[scan.type]?.label || 'Code';
+        return scan.card ? `${label} ${scan.value} (carte ${scan.card})` : `${label} ${scan.value}`;
+    }
+
+    // Routing
+    // One handler per label type and page; `unknown` receives the scans no
+    // other route takes
+    route(type, handler) {
+        this.routes.set(type, handler);
+        return () => this.routes.delete(type);
+    }
+
+    async dispatch(scan) {
+        const handler = this.routes.get(scan.type) || this.routes.get('unknown');
+        if (!handler) return;
+
+        try {
+            await handler(scan);
+        } catch (error) {
+            console.error('Scan handler error:', error);
+        }
+    }
+}
+
+// Initialize scanner input
+window.SCANNER_LABELS = SCANNER_LABELS;
+window.scannerInput = new ScannerInput();
@@ -0,0 +1,372 @@
+// Shift Calendar
+// Turns the shift definitions of the plant registry into concrete time
+// windows: shifts may cross midnight, carry breaks, follow a weekly rotation
+// and are suppressed on plant holidays. Attendance dates are attributed to
+// the day a shift starts, so a night shift clocked out at 06:00 stays on the
+// previous day.
+const SHIFT_CALENDAR_CACHE_KEY = 'shift_calendar';
+const SHIFT_CLOCK_IN_TOLERANCE = 2 * 60 * 60 * 1000; // early clock-in / late clock-out
+const SHIFT_LOOKAHEAD_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShiftCalendar {
+    constructor() {
+        this.rotations = [];
+        this.holidays = [];
+        this.loadedAt = null;
+        this.loading = null;
+
+        this.readCache();
+    }
+
+    // Loading & cache
+    async load({ force = false } = {}) {
+        if (!force && this.loadedAt && Date.now() - this.loadedAt < PLANT_CACHE_TTL) {
+            await window.plantRegistry.load();
+            return this;
+        }
+
+        if (!this.loading) {
+            this.loading = Promise.all([
+                window.plantRegistry.load({ force }),
+                window.Database.getShiftCalendar()
+            ]).then(([, calendar]) => {
+                this.rotations = calendar.rotations || [];
+                this.holidays = calendar.holidays || [];
+                this.loadedAt = Date.now();
+                this.writeCache();
+            }).catch(error => {
+                if (!this.loadedAt) throw error;
+                console.warn('Shift calendar refresh failed, using cache:', error);
+            }).finally(() => {
+                this.loading = null;
+            });
+        }
+
+        await this.loading;
+        return this;
+    }
+
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(SHIFT_CALENDAR_CACHE_KEY));
+            if (!cached) return;
+
+            this.rotations = cached.rotations || [];
+            this.holidays = cached.holidays || [];
+            this.loadedAt = cached.loaded_at || null;
+        } catch (error) {
+            localStorage.removeItem(SHIFT_CALENDAR_CACHE_KEY);
+        }
+    }
+
+    writeCache() {
+        localStorage.setItem(SHIFT_CALENDAR_CACHE_KEY, JSON.stringify({
+            rotations: this.rotations,
+            holidays: this.holidays,
+            loaded_at: this.loadedAt
+        }));
+    }
+
+    // Date helpers (local plant time)
+    toDateKey(date) {
+        const value = new Date(date);
+        return [
+            value.getFullYear(),
+            String(value.getMonth() + 1).padStart(2, '0'),
+            String(value.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(dateKey, days) {
+        const date = this.fromDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.toDateKey(date);
+    }
+
+    parseTime(time) {
+        const [hours, minutes] = (time || '00:00').split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    atTime(dateKey, time) {
+        const date = this.fromDateKey(dateKey);
+        const minutes = this.parseTime(time);
+        date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        return date;
+    }
+
+    // ISO weekday: 1 = Monday ... 7 = Sunday
+    getWeekday(dateKey) {
+        return this.fromDateKey(dateKey).getDay() || 7;
+    }
+
+    // Holidays
+    getHoliday(dateKey) {
+        return this.holidays.find(holiday => holiday.date === dateKey) || null;
+    }
+
+    isHoliday(dateKey) {
+        return !!this.getHoliday(dateKey);
+    }
+
+    getUpcomingHolidays(fromDateKey = this.toDateKey(new Date())) {
+        return this.holidays
+            .filter(holiday => holiday.date >= fromDateKey)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Rotations
+    getRotation(code) {
+        return this.rotations.find(rotation => rotation.code === code) || null;
+    }
+
+    getRotations() {
+        return this.rotations.filter(rotation => rotation.active !== false);
+    }
+
+    // Shift code a rotation assigns to the week containing dateKey
+    getRotationShift(rotation, dateKey) {
+        const pattern = rotation.pattern || [];
+        if (pattern.length === 0) return null;
+
+        const anchor = this.fromDateKey(rotation.anchor_date);
+        const weeks = Math.floor((this.fromDateKey(dateKey) - anchor) / (7 * DAY_MS));
+        const index = ((weeks % pattern.length) + pattern.length) % pattern.length;
+
+        return pattern[index];
+    }
+
+    getWorkDays(profile) {
+        const rotation = this.getRotation(profile?.rotation_code);
+        return rotation?.work_days || [1, 2, 3, 4, 5, 6];
+    }
+
+    // Shift a profile works on a given day, or null when off
+    getShiftCodeForDate(profile, dateKey) {
+        if (!profile || this.isHoliday(dateKey)) return null;
+        if (!this.getWorkDays(profile).includes(this.getWeekday(dateKey))) return null;
+
+        const rotation = this.getRotation(profile.rotation_code);
+        return rotation ? this.getRotationShift(rotation, dateKey) : (profile.shift || null);
+    }
+
+    // Windows
+    getShiftWindow(shiftCode, dateKey) {
+        const shift = window.plantRegistry.getShift(shiftCode);
+        if (!shift) return null;
+
+        const start = this.atTime(dateKey, shift.start_time);
+        const end = this.atTime(dateKey, shift.end_time);
+
+        // End before start means the shift finishes the next day
+        if (end <= start) {
+            end.setDate(end.getDate() + 1);
+        }
+
+        return {
+            shift,
+            date: dateKey,
+            start,
+            end,
+            crossesMidnight: this.toDateKey(end) !== dateKey && end.getHours() + end.getMinutes() > 0,
+            breaks: this.getBreakWindows(shift, start)
+        };
+    }
+
+    getBreakWindows(shift, shiftStart) {
+        const startMinutes = this.parseTime(shift.start_time);
+
+        return (shift.breaks || []).map(shiftBreak => {
+            // Breaks are given in clock time; shift them past midnight when needed
+            const offsetStart = (this.parseTime(shiftBreak.start) - startMinutes + 1440) % 1440;
+            const duration = (this.parseTime(shiftBreak.end) - this.parseTime(shiftBreak.start) + 1440) % 1440;
+            const start = new Date(shiftStart.getTime() + offsetStart * 60000);
+
+            return {
+                ...shiftBreak,
+                start,
+                end: new Date(start.getTime() + duration * 60000)
+            };
+        });
+    }
+
+    getProfileWindow(profile, dateKey) {
+        const shiftCode = this.getShiftCodeForDate(profile, dateKey);
+        return shiftCode ? this.getShiftWindow(shiftCode, dateKey) : null;
+    }
+
+    // Window in progress at `at` (yesterday's night shift included)
+    getCurrentWindow(profile, at = new Date()) {
+        const today = this.toDateKey(at);
+
+        return [this.addDays(today, -1), today]
+            .map(dateKey => this.getProfileWindow(profile, dateKey))
+            .find(shiftWindow => shiftWindow && shiftWindow.start <= at && at < shiftWindow.end) || null;
+    }
+
+    getNextWindow(profile, at = new Date()) {
+        const today = this.toDateKey(at);
+
+        for (let offset = 0; offset <= SHIFT_LOOKAHEAD_DAYS; offset++) {
+            const shiftWindow = this.getProfileWindow(profile, this.addDays(today, offset));
+            if (shiftWindow && shiftWindow.start > at) return shiftWindow;
+        }
+        return null;
+    }
+
+    // Current window, else the last one that ended today, else the next one
+    getRelevantWindow(profile, at = new Date()) {
+        const current = this.getCurrentWindow(profile, at);
+        if (current) return { status: 'during', window: current };
+
+        const today = this.toDateKey(at);
+        const next = this.getNextWindow(profile, at);
+        if (next && next.start - at <= SHIFT_CLOCK_IN_TOLERANCE) {
+            return { status: 'before', window: next };
+        }
+
+        const ended = [today, this.addDays(today, -1)]
+            .map(dateKey => this.getProfileWindow(profile, dateKey))
+            .find(shiftWindow => shiftWindow && shiftWindow.end <= at && this.toDateKey(shiftWindow.end) === today);
+        if (ended) return { status: 'after', window: ended };
+
+        return next ? { status: 'before', window: next } : { status: 'off', window: null };
+    }
+
+    // Shift actually worked around `at` (rotations override profile.shift)
+    getEffectiveShiftCode(profile, at = new Date()) {
+        return this.getRelevantWindow(profile, at).window?.shift.code || profile?.shift || null;
+    }
+
+    // Countdown shown in the header timer
+    getTimerState(profile, at = new Date()) {
+        const { status, window: shiftWindow } = this.getRelevantWindow(profile, at);
+        const activeBreak = shiftWindow?.breaks.find(shiftBreak => shiftBreak.start <= at && at < shiftBreak.end) || null;
+
+        return {
+            status,
+            window: shiftWindow,
+            activeBreak,
+            remaining: status === 'during' ? shiftWindow.end - at : (status === 'before' ? shiftWindow.start - at : 0)
+        };
+    }
+
+    // Attendance date for an action at `at` on the given shift: the day the
+    // shift window around `at` began (early clock-ins and late clock-outs
+    // within the tolerance belong to that window)
+    getAttendanceDate(shiftCode, at = new Date()) {
+        const today = this.toDateKey(at);
+        const time = new Date(at).getTime();
+
+        const match = [this.addDays(today, -1), today, this.addDays(today, 1)]
+            .map(dateKey => this.getShiftWindow(shiftCode, dateKey))
+            .find(shiftWindow => shiftWindow &&
+                shiftWindow.start.getTime() - SHIFT_CLOCK_IN_TOLERANCE <= time &&
+                time < shiftWindow.end.getTime() + SHIFT_CLOCK_IN_TOLERANCE);
+
+        return match ? match.date : today;
+    }
+
+    // Attendance date of a production record. Records are stamped with the
+    // calendar day, so a night shift's pieces logged after midnight carry the
+    // next date; records without a shift keep their stamped date
+    getRecordDate(record) {
+        return record.shift ? this.getAttendanceDate(record.shift, new Date(record.created_at)) : record.date;
+    }
+
+    // Calendar days to read for the records of the given attendance dates
+    getRecordDates(dates) {
+        return [...new Set([].concat(dates).flatMap(date => [date, this.addDays(date, 1)]))];
+    }
+
+    // Productive minutes of a window (paid breaks count as worked), optionally
+    // only up to `until` for a shift still in progress
+    getPlannedMinutes(shiftWindow, until = null) {
+        if (!shiftWindow) return 0;
+
+        const end = until
+            ? Math.min(Math.max(new Date(until).getTime(), shiftWindow.start.getTime()), shiftWindow.end.getTime())
+            : shiftWindow.end.getTime();
+        const unpaidBreaks = shiftWindow.breaks
+            .filter(shiftBreak => !shiftBreak.paid && shiftBreak.start.getTime() < end)
+            .reduce((sum, shiftBreak) => sum + (Math.min(shiftBreak.end.getTime(), end) - shiftBreak.start), 0);
+
+        return Math.round((end - shiftWindow.start - unpaidBreaks) / 60000);
+    }
+
+    // Labels
+    getShiftBadgeLabel(profile, at = new Date()) {
+        const { status, window: shiftWindow } = this.getRelevantWindow(profile, at);
+        const holiday = this.getHoliday(this.toDateKey(at));
+
+        if (holiday && status !== 'during') return `Férié · ${holiday.label}`;
+        if (!shiftWindow) return 'Repos';
+
+        const label = shiftWindow.shift.name ? `${shiftWindow.shift.code} · ${shiftWindow.shift.name}` : shiftWindow.shift.code;
+        return status === 'before' && shiftWindow.date !== this.toDateKey(at)
+            ? `${label} (${this.formatDay(shiftWindow.date)})`
+            : label;
+    }
+
+    formatDay(dateKey) {
+        return this.fromDateKey(dateKey).toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' });
+    }
+
+    formatWindow(shiftWindow) {
+        if (!shiftWindow) return '-';
+        const format = (date) => date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+        return `${format(shiftWindow.start)} - ${format(shiftWindow.end)}${shiftWindow.crossesMidnight ? ' (+1)' : ''}`;
+    }
+
+    // Team planning: who works which shift over the next days
+    getTeamPlan(profiles, fromDateKey = this.toDateKey(new Date()), days = 7) {
+        return Array.from({ length: days }, (_, offset) => {
+            const dateKey = this.addDays(fromDateKey, offset);
+            const byShift = {};
+
+            profiles.forEach(profile => {
+                const shiftCode = this.getShiftCodeForDate(profile, dateKey);
+                if (!shiftCode) return;
+                (byShift[shiftCode] = byShift[shiftCode] || []).push(profile);
+            });
+
+            return {
+                date: dateKey,
+                holiday: this.getHoliday(dateKey),
+                shifts: window.plantRegistry.getShifts().map(shift => ({
+                    shift,
+                    window: this.getShiftWindow(shift.code, dateKey),
+                    members: byShift[shift.code] || []
+                }))
+            };
+        });
+    }
+
+    // Administration (Directeur)
+    async addHoliday({ date, label }) {
+        if (!date || !label) {
+            throw new Error('Date et libellé requis');
+        }
+        if (this.isHoliday(date)) {
+            throw new Error(`Le ${date} est déjà un jour férié`);
+        }
+
+        const holiday = await window.Database.saveHoliday({ date, label: label.trim() });
+        await this.load({ force: true });
+        return holiday;
+    }
+
+    async removeHoliday(date) {
+        await window.Database.deleteHoliday(date);
+        await this.load({ force: true });
+    }
+}
+
+// Initialize shift calendar
+window.shiftCalendar = new ShiftCalendar();
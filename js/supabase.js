@@ -4,26 +4,6 @@ const SUPABASE_CONFIG = {
     anonKey: 'sb_publishable_HEmQwOrXpJm38Y2d9_rD1Q_scpmFg0o'
 };
 
-// Initialize Supabase Client
-const supabase = window.supabase.createClient(
-    SUPABASE_CONFIG.url,
-    SUPABASE_CONFIG.anonKey,
-    {
-        auth: {
-            autoRefreshToken: true,
-            persistSession: true,
-            detectSessionInUrl: false,
-            storage: window.localStorage,
-            storageKey: 'draexlmaier_auth'
-        },
-        realtime: {
-            params: {
-                eventsPerSecond: 10
-            }
-        }
-    }
-);
-
 // Edge Functions Configuration
 const EDGE_FUNCTIONS = {
     createUser: '/functions/v1/create-user',
@@ -39,37 +19,83 @@ const EDGE_FUNCTIONS = {
 
 // Get Edge Function URL
 function getEdgeFunctionUrl(functionName) {
-    return `${SUPABASE_CONFIG.url}${EDGE_FUNCTIONS[functionName]}`;
+    const path = EDGE_FUNCTIONS[functionName] || `/functions/v1/${functionName}`;
+    return `${SUPABASE_CONFIG.url}${path}`;
 }
 
+// Backend Adapters
+// Each adapter provides a Supabase-compatible client and an edge function
+// invoker; everything below this block only talks to the selected adapter.
+const BACKEND_ADAPTERS = {
+    supabase: {
+        name: 'supabase',
+
+        createClient() {
+            return window.supabase.createClient(
+                SUPABASE_CONFIG.url,
+                SUPABASE_CONFIG.anonKey,
+                {
+                    auth: {
+                        autoRefreshToken: true,
+                        persistSession: true,
+                        detectSessionInUrl: false,
+                        storage: window.localStorage,
+                        storageKey: 'draexlmaier_auth'
+                    },
+                    realtime: {
+                        params: {
+                            eventsPerSecond: 10
+                        }
+                    }
+                }
+            );
+        },
+
+        async invoke(functionName, data = {}, options = {}) {
+            const token = localStorage.getItem('sb-auth-token') || 
+                         localStorage.getItem('auth_token');
+            
+            const { headers: extraHeaders, ...fetchOptions } = options;
+
+            const headers = {
+                'Content-Type': 'application/json',
+                ...extraHeaders
+            };
+
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+
+            const response = await fetch(getEdgeFunctionUrl(functionName), {
+                method: 'POST',
+                body: JSON.stringify(data),
+                ...fetchOptions,
+                headers
+            });
+            
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+            
+            return await response.json();
+        }
+    },
+
+    mock: window.MockBackend
+};
+
+// Chosen by js/backend.js, which loads the mock scripts when needed
+const BACKEND_MODE = window.BACKEND_MODE || 'supabase';
+const backendAdapter = BACKEND_ADAPTERS[BACKEND_MODE] || BACKEND_ADAPTERS.supabase;
+
+// Initialize Supabase Client
+const supabase = backendAdapter.createClient();
+
 // Call Edge Function
 async function callEdgeFunction(functionName, data = {}, options = {}) {
     try {
-        const token = localStorage.getItem('sb-auth-token') || 
-                     localStorage.getItem('auth_token');
-        
-        const headers = {
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const response = await fetch(getEdgeFunctionUrl(functionName), {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(data),
-            ...options
-        });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || `HTTP ${response.status}`);
-        }
-        
-        return await response.json();
+        return await backendAdapter.invoke(functionName, data, options);
         
     } catch (error) {
         console.error(`Edge Function ${functionName} error:`, error);
@@ -77,6 +103,61 @@ async function callEdgeFunction(functionName, data = {}, options = {}) {
     }
 }
 
+// Client Clock
+// Database helpers stamp records with this clock. Calls replayed from the
+// offline queue carry the time they were originally performed at as
+// `client_timestamp` in their payload, so each call is stamped from its own
+// arguments rather than from shared state.
+const ClientClock = {
+    now(payload = null) {
+        return payload?.client_timestamp ? new Date(payload.client_timestamp) : new Date();
+    }
+};
+
+// Getter filters: an array matches any of its values, undefined is ignored.
+// With `range`, `from` and `to` bound that column instead of matching it
+function applyFilters(query, filters, { range = null } = {}) {
+    Object.entries(filters).forEach(([key, value]) => {
+        if (range && key === 'from') {
+            query = query.gte(range, value);
+        } else if (range && key === 'to') {
+            query = query.lte(range, value);
+        } else if (Array.isArray(value)) {
+            query = query.in(key, value);
+        } else if (value !== undefined) {
+            query = query.eq(key, value);
+        }
+    });
+    return query;
+}
+
+// Columns of a payload written by the helpers: the offline queue's
+// `client_timestamp` (read through ClientClock) and the `queued` flag of its
+// stand-in rows are not columns. Inserts keep their `idempotency_key`, which
+// the unique constraint relies on; updates must not rewrite it.
+function rowColumns(payload, { insert = false } = {}) {
+    const { client_timestamp, queued, idempotency_key, ...columns } = payload || {};
+    return insert && idempotency_key ? { ...columns, idempotency_key } : columns;
+}
+
+// Ids generated on the client, e.g. for inserts queued while offline that
+// later writes must be able to reference
+function generateClientId() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+// HTML Escaping
+// Free text typed by users (comments, references, locations, names) goes
+// through this before it is interpolated into markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // Database Helper Functions
 const Database = {
     // Profiles
@@ -91,12 +172,25 @@ const Database = {
         return data;
     },
     
+    async getProfiles(filters = {}) {
+        let query = supabase
+            .from('profiles')
+            .select('*')
+            .order('full_name', { ascending: true });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+    
     async updateProfile(userId, updates) {
         const { data, error } = await supabase
             .from('profiles')
             .update({
-                ...updates,
-                updated_at: new Date().toISOString()
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
             })
             .eq('id', userId)
             .select()
@@ -119,12 +213,25 @@ const Database = {
         return data;
     },
     
+    async getProductionRecords(filters = {}) {
+        let query = supabase
+            .from('production_data')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+    
     async addProductionRecord(record) {
         const { data, error } = await supabase
             .from('production_data')
             .insert({
-                ...record,
-                created_at: new Date().toISOString()
+                ...rowColumns(record, { insert: true }),
+                created_at: ClientClock.now(record).toISOString()
             })
             .select()
             .single();
@@ -132,7 +239,76 @@ const Database = {
         if (error) throw error;
         return data;
     },
+
+    async updateProductionRecord(recordId, updates) {
+        const { data, error } = await supabase
+            .from('production_data')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', recordId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
     
+    // Production Plan
+    // One row per line and planned hour; `from` / `to` bound the shift date
+    async getProductionPlans(filters = {}) {
+        let query = supabase
+            .from('production_plans')
+            .select('*')
+            .order('starts_at', { ascending: true });
+
+        query = applyFilters(query, filters, { range: 'date' });
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async saveProductionPlan(rows) {
+        const now = ClientClock.now().toISOString();
+        const { data, error } = await supabase
+            .from('production_plans')
+            .upsert(rows.map(row => ({ ...row, updated_at: now })), { onConflict: 'production_line,starts_at' })
+            .select();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async getPlanGaps(filters = {}) {
+        let query = supabase
+            .from('plan_gaps')
+            .select('*')
+            .order('starts_at', { ascending: true });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    // The reason given for a missed hour; giving it again replaces it
+    async savePlanGap(gap) {
+        const { data, error } = await supabase
+            .from('plan_gaps')
+            .upsert({
+                ...gap,
+                created_at: ClientClock.now().toISOString()
+            }, { onConflict: 'production_line,starts_at' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
     // Attendance
     async getAttendance(userId, date) {
         const { data, error } = await supabase
@@ -146,14 +322,21 @@ const Database = {
         return data;
     },
     
+    // Attendance date is the day the shift started (night shifts span two days)
+    getAttendanceDate(shift, now = ClientClock.now()) {
+        return window.shiftCalendar && shift
+            ? window.shiftCalendar.getAttendanceDate(shift, now)
+            : now.toISOString().split('T')[0];
+    },
+    
     async clockIn(userId, data) {
         const { data: attendance, error } = await supabase
             .from('attendance')
             .upsert({
                 user_id: userId,
-                date: new Date().toISOString().split('T')[0],
-                clock_in: new Date().toISOString(),
-                ...data
+                date: this.getAttendanceDate(data?.shift, ClientClock.now(data)),
+                clock_in: ClientClock.now(data).toISOString(),
+                ...rowColumns(data, { insert: true })
             })
             .select()
             .single();
@@ -162,15 +345,73 @@ const Database = {
         return attendance;
     },
     
-    async clockOut(userId) {
+    // Closes the open attendance record, whatever day its shift started on;
+    // `details.client_timestamp` is set when the call is replayed. Null when
+    // nothing is open (the clock-in summary was never written)
+    async clockOut(userId, details = {}) {
+        const { data: open, error: openError } = await supabase
+            .from('attendance')
+            .select('id')
+            .eq('user_id', userId)
+            .is('clock_out', null)
+            .order('clock_in', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+            
+        if (openError) throw openError;
+        if (!open) return null;
+        
         const { data, error } = await supabase
             .from('attendance')
             .update({
-                clock_out: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+                clock_out: ClientClock.now(details).toISOString(),
+                updated_at: ClientClock.now(details).toISOString()
+            })
+            .eq('id', open.id)
+            .select()
+            .single();
+            
+        if (error) throw error;
+        return data;
+    },
+    
+    // Attendance punches are insert-only; corrections reference the
+    // original punch instead of overwriting it
+    async addAttendancePunch(punch) {
+        const { data, error } = await supabase
+            .from('attendance_punches')
+            .insert({
+                ...rowColumns(punch, { insert: true }),
+                punched_at: punch.punched_at || ClientClock.now(punch).toISOString(),
+                created_at: ClientClock.now(punch).toISOString()
+            })
+            .select()
+            .single();
+            
+        if (error) throw error;
+        return data;
+    },
+    
+    async getAttendancePunches(filters = {}) {
+        let query = supabase
+            .from('attendance_punches')
+            .select('*')
+            .order('punched_at', { ascending: true });
+            
+        query = applyFilters(query, filters);
+        
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+    
+    async addAttendanceCorrection(correction) {
+        const { data, error } = await supabase
+            .from('attendance_corrections')
+            .insert({
+                ...rowColumns(correction, { insert: true }),
+                created_at: ClientClock.now(correction).toISOString()
             })
-            .eq('user_id', userId)
-            .eq('date', new Date().toISOString().split('T')[0])
             .select()
             .single();
             
@@ -178,6 +419,19 @@ const Database = {
         return data;
     },
     
+    async getAttendanceCorrections(filters = {}) {
+        let query = supabase
+            .from('attendance_corrections')
+            .select('*')
+            .order('created_at', { ascending: true });
+            
+        query = applyFilters(query, filters);
+        
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+    
     // Team Management
     async getTeamMembers(chefId) {
         const { data, error } = await supabase
@@ -193,16 +447,16 @@ const Database = {
         return data;
     },
     
-    async assignAgentToTeam(chefId, agentId, data) {
+    async assignAgentToTeam(chefId, agentId, data, options = {}) {
         const { data: assignment, error } = await supabase
             .from('team_assignments')
             .upsert({
                 chef_id: chefId,
                 agent_id: agentId,
                 assignment_data: data,
-                assigned_at: new Date().toISOString(),
+                assigned_at: ClientClock.now(options).toISOString(),
                 active: true
-            })
+            }, { onConflict: 'chef_id,agent_id' })
             .select()
             .single();
             
@@ -215,9 +469,9 @@ const Database = {
         const { data, error } = await supabase
             .from('issues')
             .insert({
-                ...issue,
+                ...rowColumns(issue, { insert: true }),
                 status: 'open',
-                created_at: new Date().toISOString()
+                created_at: ClientClock.now(issue).toISOString()
             })
             .select()
             .single();
@@ -232,87 +486,804 @@ const Database = {
             .select('*')
             .order('created_at', { ascending: false });
             
-        Object.entries(filters).forEach(([key, value]) => {
-            if (value !== undefined) {
-                query = query.eq(key, value);
-            }
-        });
+        query = applyFilters(query, filters);
         
         const { data, error } = await query;
         if (error) throw error;
         return data;
     },
-    
-    // Analytics
-    async getDepartmentStats(department, period = 'today') {
-        const { data, error } = await supabase.rpc('get_department_stats', {
-            p_department: department,
-            p_period: period
-        });
-        
+
+    // Defects
+    async getDefectCodes() {
+        const { data, error } = await supabase
+            .from('defect_codes')
+            .select('*')
+            .order('code', { ascending: true });
+
         if (error) throw error;
         return data;
     },
-    
-    async getProductionStats(params) {
-        const { data, error } = await supabase.rpc('get_production_stats', params);
-        
+
+    async getPartReferences() {
+        const { data, error } = await supabase
+            .from('part_references')
+            .select('*')
+            .order('code', { ascending: true });
+
         if (error) throw error;
         return data;
-    }
-};
+    },
 
-// Realtime Subscriptions
-const Realtime = {
-    subscriptions: new Map(),
-    
-    subscribe(table, event, callback, filters = {}) {
-        const subscription = supabase
-            .channel(`${table}-changes`)
-            .on(
-                'postgres_changes',
-                {
-                    event,
-                    schema: 'public',
-                    table,
-                    ...filters
-                },
-                callback
-            )
-            .subscribe();
-            
-        this.subscriptions.set(`${table}-${event}`, subscription);
-        return subscription;
+    async savePartReference(reference) {
+        const { data, error } = await supabase
+            .from('part_references')
+            .upsert({
+                ...reference,
+                updated_at: ClientClock.now().toISOString()
+            }, { onConflict: 'code' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
     },
-    
-    unsubscribe(table, event) {
-        const key = `${table}-${event}`;
-        const subscription = this.subscriptions.get(key);
-        if (subscription) {
-            supabase.removeChannel(subscription);
-            this.subscriptions.delete(key);
-        }
+
+    async reportDefect(defect) {
+        const { data, error } = await supabase
+            .from('defects')
+            .insert({
+                ...rowColumns(defect, { insert: true }),
+                created_at: ClientClock.now(defect).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
     },
-    
-    unsubscribeAll() {
-        this.subscriptions.forEach(subscription => {
-            supabase.removeChannel(subscription);
+
+    async getDefects(filters = {}) {
+        let query = supabase
+            .from('defects')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    // Returns the public URL of the stored photo
+    async uploadDefectPhoto(path, file) {
+        const bucket = supabase.storage.from('defect-photos');
+        const { error } = await bucket.upload(path, file, {
+            contentType: file.type || 'image/jpeg'
         });
-        this.subscriptions.clear();
-    }
-};
 
-// Session Management
-const Session = {
-    async getCurrentUser() {
-        const { data: { session }, error } = await supabase.auth.getSession();
         if (error) throw error;
-        return session?.user || null;
+        return bucket.getPublicUrl(path).data.publicUrl;
     },
-    
-    async getUserProfile() {
-        const user = await this.getCurrentUser();
-        if (!user) return null;
+
+    // Material Requests
+    async createMaterialRequest(request) {
+        const now = ClientClock.now(request).toISOString();
+        const { data, error } = await supabase
+            .from('material_requests')
+            .insert({
+                ...rowColumns(request, { insert: true }),
+                status: 'requested',
+                requested_at: now,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async getMaterialRequests(filters = {}) {
+        let query = supabase
+            .from('material_requests')
+            .select('*')
+            .order('requested_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async updateMaterialRequest(requestId, updates) {
+        const { data, error } = await supabase
+            .from('material_requests')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', requestId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Conditional writes: null when another handler got there first
+    async claimMaterialRequest(requestId, updates) {
+        const { data, error } = await supabase
+            .from('material_requests')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', requestId)
+            .eq('status', 'requested')
+            .is('claimed_by', null)
+            .select();
+
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    async advanceMaterialRequest(requestId, fromStatus, updates) {
+        const { data, error } = await supabase
+            .from('material_requests')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', requestId)
+            .eq('status', fromStatus)
+            .select();
+
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    // Kanban cards
+    async getKanbanCards(filters = {}) {
+        let query = supabase
+            .from('kanban_cards')
+            .select('*')
+            .order('production_line', { ascending: true })
+            .order('card_number', { ascending: true });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    // One row per card, keyed by line, side, component and card number
+    async saveKanbanCards(cards) {
+        const now = ClientClock.now(cards[0]).toISOString();
+        const { data, error } = await supabase
+            .from('kanban_cards')
+            .upsert(cards.map(card => ({ ...rowColumns(card, { insert: true }), updated_at: now })), {
+                onConflict: 'production_line,line_side,component,card_number'
+            })
+            .select();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Only updates the card while its request is still `fromRequestId` (null
+    // for a card never signalled); null when another signal got there first
+    async signalKanbanCard(cardId, fromRequestId, updates) {
+        let query = supabase
+            .from('kanban_cards')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', cardId);
+
+        query = fromRequestId === null ? query.is('request_id', null) : query.eq('request_id', fromRequestId);
+
+        const { data, error } = await query.select();
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    // Milk-run routes and loops
+    async getMilkRoutes() {
+        const { data, error } = await supabase
+            .from('milk_routes')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    },
+
+    async saveMilkRoute(route) {
+        const { data, error } = await supabase
+            .from('milk_routes')
+            .upsert({
+                ...route,
+                updated_at: ClientClock.now().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async getMilkRuns(filters = {}) {
+        let query = supabase
+            .from('milk_runs')
+            .select('*')
+            .order('started_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async createMilkRun(run) {
+        const { data, error } = await supabase
+            .from('milk_runs')
+            .insert({
+                ...rowColumns(run, { insert: true }),
+                created_at: ClientClock.now(run).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async updateMilkRun(runId, updates) {
+        const { data, error } = await supabase
+            .from('milk_runs')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', runId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Warehouse picking lists
+    async getPickLists(filters = {}) {
+        let query = supabase
+            .from('pick_lists')
+            .select('*')
+            .order('started_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async createPickList(list) {
+        const { data, error } = await supabase
+            .from('pick_lists')
+            .insert({
+                ...rowColumns(list, { insert: true }),
+                created_at: ClientClock.now(list).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async updatePickList(listId, updates) {
+        const { data, error } = await supabase
+            .from('pick_lists')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', listId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Only saves the list while it is still at `fromVersion` (null for lists
+    // created before versions); null when it was saved from elsewhere since
+    async savePickList(listId, fromVersion, updates) {
+        let query = supabase
+            .from('pick_lists')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', listId);
+
+        query = fromVersion === null ? query.is('version', null) : query.eq('version', fromVersion);
+
+        const { data, error } = await query.select();
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    // Component lots delivered to the lines
+    async getLineLots(filters = {}) {
+        let query = supabase
+            .from('line_lots')
+            .select('*')
+            .order('delivered_at', { ascending: true });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async addLineLots(lots) {
+        const now = ClientClock.now(lots[0]).toISOString();
+        const { data, error } = await supabase
+            .from('line_lots')
+            .insert(lots.map(lot => ({ ...rowColumns(lot, { insert: true }), created_at: now })))
+            .select();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async updateLineLot(lotId, updates) {
+        const { data, error } = await supabase
+            .from('line_lots')
+            .update(updates)
+            .eq('id', lotId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Warehouse lots, oldest receipt first
+    async getWarehouseLots(filters = {}) {
+        let query = supabase
+            .from('warehouse_lots')
+            .select('*')
+            .order('received_at', { ascending: true });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async updateWarehouseLot(lotId, updates) {
+        const { data, error } = await supabase
+            .from('warehouse_lots')
+            .update(updates)
+            .eq('id', lotId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // FIFO and expiry overrides approved at delivery
+    async getDeliveryOverrides(filters = {}) {
+        let query = supabase
+            .from('delivery_overrides')
+            .select('*')
+            .order('approved_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async createDeliveryOverride(override) {
+        const { data, error } = await supabase
+            .from('delivery_overrides')
+            .insert({
+                ...rowColumns(override, { insert: true }),
+                created_at: ClientClock.now(override).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Line-side stock counts
+    async getLineStockCounts(filters = {}) {
+        let query = supabase
+            .from('line_stock_counts')
+            .select('*')
+            .order('counted_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async addLineStockCount(count) {
+        const { data, error } = await supabase
+            .from('line_stock_counts')
+            .insert({
+                ...rowColumns(count, { insert: true }),
+                created_at: ClientClock.now(count).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Only moves the alert level when it is still `fromLevel` (null before
+    // the first check); returns null when another check got there first
+    async updateLineStockAlert(countId, fromLevel, level) {
+        let query = supabase
+            .from('line_stock_counts')
+            .update({
+                alert_level: level,
+                updated_at: ClientClock.now().toISOString()
+            })
+            .eq('id', countId);
+
+        query = fromLevel === null ? query.is('alert_level', null) : query.eq('alert_level', fromLevel);
+
+        const { data, error } = await query.select();
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    // Andon calls
+    async createAndonCall(call) {
+        const now = ClientClock.now(call).toISOString();
+        const { data, error } = await supabase
+            .from('andon_calls')
+            .insert({
+                ...rowColumns(call, { insert: true }),
+                started_at: now,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // `from` / `to` bound the call date; other filters match exactly
+    async getAndonCalls(filters = {}) {
+        let query = supabase
+            .from('andon_calls')
+            .select('*')
+            .order('started_at', { ascending: false });
+
+        query = applyFilters(query, filters, { range: 'date' });
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async updateAndonCall(callId, updates) {
+        const { data, error } = await supabase
+            .from('andon_calls')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', callId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Only escalates a call still open at the expected level; returns null
+    // when another client got there first
+    async escalateAndonCall(callId, fromLevel, updates) {
+        const { data, error } = await supabase
+            .from('andon_calls')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now().toISOString()
+            })
+            .eq('id', callId)
+            .eq('status', 'open')
+            .eq('escalation_level', fromLevel)
+            .select();
+
+        if (error) throw error;
+        return data[0] || null;
+    },
+
+    // Notifications
+    async createNotification(notification) {
+        const { data, error } = await supabase
+            .from('notifications')
+            .insert({
+                ...rowColumns(notification, { insert: true }),
+                created_at: ClientClock.now(notification).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Breaks
+    async createBreak(breakRecord) {
+        const now = ClientClock.now(breakRecord).toISOString();
+        const { data, error } = await supabase
+            .from('breaks')
+            .insert({
+                ...rowColumns(breakRecord, { insert: true }),
+                status: 'requested',
+                requested_at: now,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async getBreaks(filters = {}) {
+        let query = supabase
+            .from('breaks')
+            .select('*')
+            .order('requested_at', { ascending: false });
+
+        query = applyFilters(query, filters);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    },
+
+    async updateBreak(breakId, updates) {
+        const { data, error } = await supabase
+            .from('breaks')
+            .update({
+                ...rowColumns(updates),
+                updated_at: ClientClock.now(updates).toISOString()
+            })
+            .eq('id', breakId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Plant Structure
+    async getPlantStructure() {
+        const [departments, lines, shifts] = await Promise.all([
+            supabase.from('departments').select('*').order('sort_order', { ascending: true }),
+            supabase.from('production_lines').select('*').order('sort_order', { ascending: true }),
+            supabase.from('shifts').select('*').order('sort_order', { ascending: true })
+        ]);
+
+        const error = departments.error || lines.error || shifts.error;
+        if (error) throw error;
+
+        return {
+            departments: departments.data,
+            lines: lines.data,
+            shifts: shifts.data
+        };
+    },
+
+    async saveDepartment(department) {
+        const { data, error } = await supabase
+            .from('departments')
+            .upsert({
+                ...department,
+                updated_at: ClientClock.now().toISOString()
+            }, { onConflict: 'code' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async saveProductionLine(line) {
+        const { data, error } = await supabase
+            .from('production_lines')
+            .upsert({
+                ...line,
+                updated_at: ClientClock.now().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Shift Calendar
+    async getShiftCalendar() {
+        const [rotations, holidays] = await Promise.all([
+            supabase.from('shift_rotations').select('*').order('code', { ascending: true }),
+            supabase.from('plant_holidays').select('*').order('date', { ascending: true })
+        ]);
+
+        const error = rotations.error || holidays.error;
+        if (error) throw error;
+
+        return {
+            rotations: rotations.data,
+            holidays: holidays.data
+        };
+    },
+
+    async saveShift(shift) {
+        const { data, error } = await supabase
+            .from('shifts')
+            .upsert({
+                ...shift,
+                updated_at: ClientClock.now().toISOString()
+            }, { onConflict: 'code' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async saveHoliday(holiday) {
+        const { data, error } = await supabase
+            .from('plant_holidays')
+            .upsert(holiday, { onConflict: 'date' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async deleteHoliday(date) {
+        const { error } = await supabase
+            .from('plant_holidays')
+            .delete()
+            .eq('date', date);
+
+        if (error) throw error;
+    },
+
+    // Display Devices
+    async getDisplayDevices() {
+        const { data, error } = await supabase
+            .from('display_devices')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    },
+
+    async saveDisplayDevice(device) {
+        const { data, error } = await supabase
+            .from('display_devices')
+            .upsert({
+                ...device,
+                updated_at: ClientClock.now().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Kiosk board for a device token; works without a user session
+    async getDisplayBoard(token) {
+        const { data, error } = await supabase.rpc('get_display_board', { p_token: token });
+
+        if (error) throw error;
+        return data;
+    },
+
+    // Analytics
+    // `period` is 'today' / 'week' / 'month' or a { from, to } date range
+    async getDepartmentStats(department, period = 'today') {
+        const range = typeof period === 'object' && period !== null
+            ? { p_from: period.from, p_to: period.to }
+            : { p_period: period };
+        const { data, error } = await supabase.rpc('get_department_stats', {
+            p_department: department,
+            ...range
+        });
+        
+        if (error) throw error;
+        return data;
+    },
+    
+    async getProductionStats(params) {
+        const { data, error } = await supabase.rpc('get_production_stats', params);
+        
+        if (error) throw error;
+        return data;
+    }
+};
+
+// Realtime Subscriptions
+const Realtime = {
+    subscriptions: new Map(),
+    
+    subscribe(table, event, callback, filters = {}) {
+        const subscription = supabase
+            .channel(`${table}-changes`)
+            .on(
+                'postgres_changes',
+                {
+                    event,
+                    schema: 'public',
+                    table,
+                    ...filters
+                },
+                callback
+            )
+            .subscribe();
+            
+        this.subscriptions.set(`${table}-${event}`, subscription);
+        return subscription;
+    },
+    
+    unsubscribe(table, event) {
+        const key = `${table}-${event}`;
+        const subscription = this.subscriptions.get(key);
+        if (subscription) {
+            supabase.removeChannel(subscription);
+            this.subscriptions.delete(key);
+        }
+    },
+    
+    unsubscribeAll() {
+        this.subscriptions.forEach(subscription => {
+            supabase.removeChannel(subscription);
+        });
+        this.subscriptions.clear();
+    }
+};
+
+// Session Management
+const Session = {
+    async getCurrentUser() {
+        const { data: { session }, error } = await supabase.auth.getSession();
+        if (error) throw error;
+        return session?.user || null;
+    },
+    
+    async getUserProfile() {
+        const user = await this.getCurrentUser();
+        if (!user) return null;
         
         return await Database.getProfile(user.id);
     },
@@ -321,7 +1292,13 @@ const Session = {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
         
-        localStorage.clear();
+        // Keep preferences and the backend selection (and the mock data itself)
+        const keysToKeep = ['language', 'theme', 'backend_mode', 'draexlmaier_mock_db'];
+        Object.keys(localStorage).forEach(key => {
+            if (!keysToKeep.includes(key)) {
+                localStorage.removeItem(key);
+            }
+        });
         sessionStorage.clear();
         Realtime.unsubscribeAll();
     },
@@ -338,8 +1315,12 @@ window.supabaseClient = supabase;
 window.Database = Database;
 window.Realtime = Realtime;
 window.Session = Session;
+window.ClientClock = ClientClock;
+window.generateClientId = generateClientId;
+window.escapeHtml = escapeHtml;
 window.callEdgeFunction = callEdgeFunction;
 window.EDGE_FUNCTIONS = EDGE_FUNCTIONS;
+window.BACKEND_MODE = BACKEND_MODE;
 
 // Auto-refresh token
 setInterval(async () => {
@@ -0,0 +1,197 @@
+// Multi-Department Supervision
+// Compares the lines of the supervised departments side by side for one
+// production day: output against the plan (line hourly target over the
+// elapsed shift time), OEE, quality, line stops and their Pareto, staffing per
+// shift, Andon calls and issues left open long enough to need the Superviseur. Departments roll up from
+// their lines; agents are listed per line for the drill-down.
+const SUPERVISION_ESCALATION_MINUTES = 30;
+const SUPERVISION_ESCALATED_TYPES = ['Sécurité'];
+
+class SupervisionManager {
+    // Departments the profile may see, honoring canManageDepartment
+    getDepartments(profile) {
+        const manager = window.authManager;
+        const departments = profile.role === 'Superviseur'
+            ? (profile.supervised_departments || [])
+            : window.plantRegistry.getDepartments().map(department => department.code);
+
+        return departments.filter(department => !manager || manager.canManageDepartment(department));
+    }
+
+    getDateKey(at = new Date()) {
+        return window.shiftCalendar.toDateKey(at);
+    }
+
+    // One snapshot feeds every view of the page
+    async getOverview(departments, date = null, at = new Date()) {
+        const day = date || this.getDateKey(at);
+        const lines = departments.flatMap(department => window.plantRegistry.getLines(department));
+        const lineNames = lines.map(line => line.name);
+
+        if (lineNames.length === 0) {
+            return {
+                date: day,
+                departments: [],
+                lines: [],
+                agents: [],
+                issues: [],
+                stops: [],
+                pareto: [],
+                andon: [],
+                oee: window.oeeCalculator.aggregate([])
+            };
+        }
+
+        const [agents, records, issues, stops, andon] = await Promise.all([
+            window.Database.getProfiles({ role: 'Agent', department: departments }),
+            window.Database.getProductionRecords({ department: departments, date: day }),
+            window.Database.getIssues({ department: departments, status: 'open' }),
+            window.oeeCalculator.getDowntimeEvents(lineNames, day, at),
+            window.andonManager.getActiveCalls({ production_line: lineNames }),
+            window.oeeCalculator.loadReferences()
+        ]);
+
+        const days = await window.attendanceService.getTeamDays(agents, day);
+
+        const lineRows = lines.map(line => this.buildLine(line, {
+            agents: agents.filter(agent => agent.production_line === line.name),
+            days,
+            records: records.filter(record => record.production_line === line.name),
+            issues: issues.filter(issue => issue.production_line === line.name),
+            stops: stops.filter(stop => stop.production_line === line.name),
+            date: day,
+            at
+        }));
+
+        return {
+            date: day,
+            departments: departments.map(department =>
+                this.summarize(department, lineRows.filter(row => row.department === department))),
+            lines: lineRows,
+            agents,
+            issues: this.getEscalatedIssues(issues, at),
+            stops,
+            pareto: window.andonManager.getPareto(stops),
+            andon,
+            oee: window.oeeCalculator.aggregate(lineRows.map(row => row.oee))
+        };
+    }
+
+    buildLine(line, { agents, days, records, issues, stops, date, at }) {
+        const production = window.qualityManager.summarize(records);
+        const staffing = this.getStaffing(agents, days, date, at);
+        const plan = this.getPlan(line.name, staffing, at);
+        const downtime = stops.reduce((sum, stop) => sum + stop.minutes, 0);
+        const oee = window.oeeCalculator.aggregate(agents.map(agent => window.oeeCalculator.measure(
+            days.find(candidate => candidate.user_id === agent.id),
+            records.filter(record => record.agent_id === agent.id),
+            stops,
+            at
+        )));
+
+        return {
+            line: line.name,
+            department: line.department,
+            active: line.active !== false,
+            ...production,
+            plan,
+            achievement: plan > 0 ? Math.round((production.good / plan) * 100) : null,
+            oee,
+            downtime_minutes: downtime,
+            stops: stops.length,
+            staffing,
+            planned: staffing.reduce((sum, shift) => sum + shift.planned, 0),
+            present: staffing.reduce((sum, shift) => sum + shift.present, 0),
+            gap: staffing.reduce((sum, shift) => sum + shift.gap, 0),
+            open_issues: issues.length,
+            escalated_issues: this.getEscalatedIssues(issues, at).length
+        };
+    }
+
+    // Planned vs clocked-in agents for each shift the line runs that day
+    getStaffing(agents, days, date, at = new Date()) {
+        const calendar = window.shiftCalendar;
+
+        return window.plantRegistry.getShifts()
+            .map(shift => {
+                const shiftWindow = calendar.getShiftWindow(shift.code, date);
+                const planned = agents.filter(agent => calendar.getShiftCodeForDate(agent, date) === shift.code);
+                const present = planned.filter(agent => {
+                    const day = days.find(candidate => candidate.user_id === agent.id);
+                    return day?.punches.some(punch => punch.type === 'clock_in');
+                });
+                const absent = planned.filter(agent => !present.includes(agent));
+
+                return {
+                    shift: shift.code,
+                    window: shiftWindow,
+                    planned: planned.length,
+                    present: present.length,
+                    absent: absent.map(agent => agent.full_name),
+                    // Nobody is missing from a shift that has not started
+                    gap: shiftWindow && shiftWindow.start <= at ? absent.length : 0
+                };
+            })
+            .filter(shift => shift.planned > 0);
+    }
+
+    // Pieces expected so far: the per-operator hourly target for every
+    // planned agent over the elapsed time of their shift, so absences show
+    // up as a production gap
+    getPlan(lineName, staffing, at = new Date()) {
+        const hourlyTarget = window.plantRegistry.getHourlyTarget(lineName);
+        const operatorMinutes = staffing.reduce((sum, shift) =>
+            sum + shift.planned * window.shiftCalendar.getPlannedMinutes(shift.window, at), 0);
+
+        return Math.round((operatorMinutes / 60) * hourlyTarget);
+    }
+
+    // Open issues that outlived the chef's handling window
+    getEscalatedIssues(issues, at = new Date()) {
+        return issues
+            .filter(issue => SUPERVISION_ESCALATED_TYPES.includes(issue.type) ||
+                at - new Date(issue.created_at) >= SUPERVISION_ESCALATION_MINUTES * 60000)
+            .map(issue => ({
+                ...issue,
+                open_minutes: Math.round((at - new Date(issue.created_at)) / 60000)
+            }))
+            .sort((a, b) => b.open_minutes - a.open_minutes);
+    }
+
+    summarize(department, lineRows) {
+        const totals = lineRows.reduce((sum, row) => ({
+            good: sum.good + row.good,
+            defects: sum.defects + row.defects,
+            plan: sum.plan + row.plan,
+            downtime_minutes: sum.downtime_minutes + row.downtime_minutes,
+            planned: sum.planned + row.planned,
+            present: sum.present + row.present,
+            gap: sum.gap + row.gap,
+            open_issues: sum.open_issues + row.open_issues,
+            escalated_issues: sum.escalated_issues + row.escalated_issues
+        }), { good: 0, defects: 0, plan: 0, downtime_minutes: 0, planned: 0, present: 0, gap: 0, open_issues: 0, escalated_issues: 0 });
+        const total = totals.good + totals.defects;
+
+        return {
+            department,
+            name: window.plantRegistry.getDepartmentName(department),
+            lines: lineRows.length,
+            ...totals,
+            total,
+            quality_rate: total > 0 ? Math.round((totals.good / total) * 1000) / 10 : 100,
+            achievement: totals.plan > 0 ? Math.round((totals.good / totals.plan) * 100) : null,
+            oee: window.oeeCalculator.aggregate(lineRows.map(row => row.oee))
+        };
+    }
+
+    // Badge level for plan achievement (percent)
+    getAchievementLevel(achievement) {
+        if (achievement === null) return 'info';
+        if (achievement >= 95) return 'success';
+        if (achievement >= 80) return 'warning';
+        return 'danger';
+    }
+}
+
+// Initialize supervision manager
+window.supervisionManager = new SupervisionManager();
@@ -0,0 +1,178 @@
+// Team Supervision
+// Everything a Chef d'équipe watches during the shift: the roster with each
+// agent's attendance state and break, production against the line target and
+// OEE, and the open issues, material requests and Andon calls of the managed
+// lines. Agents are reassigned between lines through their team assignment.
+const TEAM_REFRESH_TABLES = ['attendance_punches', 'production_data', 'issues', 'team_assignments'];
+
+class TeamManager {
+    constructor() {
+        this.listeners = new Set();
+        this.isSubscribed = false;
+    }
+
+    // Lines the Chef answers for: explicit managed lines, else every line of
+    // the managed departments
+    getManagedLines(chef) {
+        if (Array.isArray(chef.managed_lines) && chef.managed_lines.length > 0) {
+            return chef.managed_lines;
+        }
+
+        return (chef.managed_departments || [])
+            .flatMap(department => window.plantRegistry.getLines(department))
+            .map(line => line.name);
+    }
+
+    async getMembers(chef) {
+        const assignments = await window.Database.getTeamMembers(chef.id);
+
+        return assignments
+            .filter(assignment => assignment.agent)
+            .map(assignment => ({
+                ...assignment.agent,
+                assignment_data: assignment.assignment_data || {}
+            }))
+            .sort((a, b) => (a.production_line || '').localeCompare(b.production_line || '', 'fr', { numeric: true }) ||
+                (a.full_name || '').localeCompare(b.full_name || '', 'fr'));
+    }
+
+    async getRoster(chef) {
+        return await this.buildRoster(await this.getMembers(chef));
+    }
+
+    // One row per agent: attendance day, open break, production vs target and OEE
+    async buildRoster(members, date = null) {
+        if (members.length === 0) return [];
+
+        const oee = window.oeeCalculator;
+        const ids = members.map(member => member.id);
+        const lines = [...new Set(members.map(member => member.production_line).filter(Boolean))];
+        const days = await window.attendanceService.getTeamDays(members, date);
+        const dates = [...new Set(days.map(day => day.date))];
+        const recordDates = window.shiftCalendar.getRecordDates(dates);
+
+        const [breaks, records, events] = await Promise.all([
+            window.Database.getBreaks({ user_id: ids, date: dates }),
+            window.Database.getProductionRecords({ agent_id: ids, date: recordDates }),
+            oee.getDowntimeEvents(lines, recordDates),
+            oee.loadReferences()
+        ]);
+
+        return members.map(agent => {
+            const day = days.find(candidate => candidate.user_id === agent.id) || null;
+            const agentBreaks = breaks.filter(breakRecord => breakRecord.user_id === agent.id &&
+                (!day || breakRecord.date === day.date));
+            const agentRecords = records.filter(record => record.agent_id === agent.id &&
+                (day ? window.shiftCalendar.getRecordDate(record) === day.date : dates.includes(record.date)));
+            const production = window.qualityManager.summarize(agentRecords);
+            const target = this.getTarget(agent, day);
+
+            return {
+                agent,
+                day,
+                state: day?.state || 'off',
+                anomalies: day?.anomalies || [],
+                currentBreak: agentBreaks.find(breakRecord => ['requested', ...window.BREAK_AWAY_STATUSES].includes(breakRecord.status)) || null,
+                breakMinutes: window.breakManager.getBreakMinutes(agentBreaks),
+                production,
+                target,
+                achievement: target > 0 ? Math.round((production.good / target) * 100) : null,
+                oee: oee.rates(oee.measure(day, agentRecords,
+                    events.filter(event => event.production_line === agent.production_line)))
+            };
+        });
+    }
+
+    // Pieces expected for the time actually worked (breaks excluded)
+    getTarget(agent, day) {
+        if (!day) return 0;
+        return Math.round((day.workedMinutes / 60) * window.plantRegistry.getHourlyTarget(agent.production_line));
+    }
+
+    getRosterSummary(roster) {
+        return {
+            total: roster.length,
+            present: roster.filter(row => row.state === 'working' || row.state === 'on_break').length,
+            onBreak: roster.filter(row => row.state === 'on_break').length,
+            anomalies: roster.reduce((sum, row) => sum + row.anomalies.length, 0)
+        };
+    }
+
+    // Open issues, material requests and Andon calls of the managed lines
+    async getLineActivity(chef) {
+        const lines = this.getManagedLines(chef);
+        if (lines.length === 0) return { issues: [], requests: [], andon: [] };
+
+        const [issues, requests, andon] = await Promise.all([
+            window.Database.getIssues({ production_line: lines, status: 'open' }),
+            window.materialRequests.getOpenRequests({ production_line: lines }),
+            window.andonManager.getActiveCalls({ production_line: lines })
+        ]);
+
+        return { issues, requests: window.materialRequests.sortQueue(requests), andon };
+    }
+
+    // Reassignment keeps the team link and moves the agent's own profile
+    async reassignAgent(chef, agent, { production_line, line_side }) {
+        const registry = window.plantRegistry;
+
+        if (!registry.isActiveLine(production_line)) {
+            throw new Error(`Ligne inactive ou inconnue: ${production_line}`);
+        }
+        if (!this.getManagedLines(chef).includes(production_line)) {
+            throw new Error(`La ligne ${production_line} n'est pas sous votre responsabilité`);
+        }
+        if (!registry.getLineSides(production_line).includes(line_side)) {
+            throw new Error(`Côté de ligne invalide pour ${production_line}`);
+        }
+
+        await window.Database.assignAgentToTeam(chef.id, agent.id, {
+            ...(agent.assignment_data || {}),
+            production_line,
+            line_side,
+            previous_line: agent.production_line || null
+        });
+
+        return await window.Database.updateProfile(agent.id, {
+            department: registry.getLineDepartment(production_line),
+            production_line,
+            line_side
+        });
+    }
+
+    // Realtime: any punch, production record, issue or assignment change
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.isSubscribed) {
+            TEAM_REFRESH_TABLES.forEach(table => {
+                window.Realtime.subscribe(table, '*', (payload) => this.dispatch(table, payload));
+            });
+            this.isSubscribed = true;
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.isSubscribed) {
+            TEAM_REFRESH_TABLES.forEach(table => window.Realtime.unsubscribe(table, '*'));
+            this.isSubscribed = false;
+        }
+    }
+
+    dispatch(table, payload) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(table, payload);
+            } catch (error) {
+                console.error('Team listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize team manager
+window.teamManager = new TeamManager();
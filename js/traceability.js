@@ -0,0 +1,418 @@
+// Lot Traceability
+// Customer audits ask which component lots went into which harnesses, made
+// on which line and shift by whom. Every delivery to a line records the lot
+// of each component it brings (typed or scanned from the `1T` label): the
+// request keeps them and each becomes a lot on the line with its quantity.
+// Production completions consume the lots of the line first in, first out
+// through the bill of materials, and the record keeps the lots it drew from.
+// When the line has used up every lot delivered as far as the estimate goes,
+// the last one is linked anyway and marked estimated: an audit would rather
+// see one lot too many than miss one.
+//
+// The search runs both ways: forward from a lot to the parts it went into,
+// backward from a reference made over some days to the lots it contains.
+const TRACE_LOT_PATTERN = /^[A-Z0-9][A-Z0-9./-]*$/;
+const TRACE_MAX_DAYS = 62;
+
+class LotTraceability {
+    normalizeLot(value) {
+        return (value || '').trim().toUpperCase();
+    }
+
+    getDateKeys(from, to) {
+        const calendar = window.shiftCalendar;
+        const dates = [];
+        for (let date = from; date <= to && dates.length < TRACE_MAX_DAYS; date = calendar.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    // Deliveries
+    // `lots` maps each component of the request to its lot number; lots
+    // refused by the warehouse checks need the `approval` of a supervisor
+    async deliver(request, lots, actor, { at = new Date(), approval = null } = {}) {
+        const entries = (request.items || []).map(item => {
+            const lot = this.normalizeLot(lots?.[item.reference]);
+            if (!lot) {
+                throw new Error(`Lot manquant pour ${item.reference}`);
+            }
+            if (!TRACE_LOT_PATTERN.test(lot)) {
+                throw new Error(`Numéro de lot invalide pour ${item.reference}: ${lot}`);
+            }
+            return { component: item.reference, lot, quantity: item.quantity };
+        });
+
+        const control = window.lotControl;
+        const checks = control ? await control.checkDelivery(request, lots, at) : [];
+        control?.requireApproval(checks, approval);
+
+        const delivered = await window.materialRequests.advance(request, 'delivered', actor, { lots: entries });
+
+        await window.Database.addLineLots(entries.map(entry => ({
+            lot: entry.lot,
+            component: entry.component,
+            quantity: entry.quantity,
+            remaining: entry.quantity,
+            production_line: request.production_line,
+            department: request.department,
+            line_side: request.line_side || null,
+            request_id: request.id,
+            delivered_at: delivered.delivered_at || at.toISOString(),
+            delivered_by: actor?.id || null,
+            depleted_at: null
+        })));
+
+        if (control) {
+            if (control.isBlocked(checks)) {
+                await control.logOverrides(request, checks, actor, approval, at);
+            }
+            await control.consume(checks, at);
+        }
+
+        return delivered;
+    }
+
+    // Consumption
+    // Lots drawn by `pieces` of a reference, oldest delivery first
+    async consume(lineName, referenceCode, pieces, at = new Date()) {
+        const consumption = window.referenceCatalog.getConsumption(referenceCode, pieces);
+        if (consumption.length === 0) return [];
+
+        const lineLots = await window.Database.getLineLots({
+            production_line: lineName,
+            component: consumption.map(item => item.component)
+        });
+
+        const links = [];
+        for (const item of consumption) {
+            const candidates = lineLots
+                .filter(lot => lot.component === item.component && new Date(lot.delivered_at) <= at)
+                .sort((a, b) => new Date(a.delivered_at) - new Date(b.delivered_at));
+            if (candidates.length === 0) continue;
+
+            let needed = item.quantity;
+            for (const lot of candidates.filter(candidate => candidate.remaining > 0)) {
+                if (needed <= 0) break;
+
+                const drawn = Math.min(lot.remaining, needed);
+                const remaining = Math.round((lot.remaining - drawn) * 100) / 100;
+                needed = Math.round((needed - drawn) * 100) / 100;
+
+                await window.Database.updateLineLot(lot.id, {
+                    remaining,
+                    depleted_at: remaining <= 0 ? at.toISOString() : null
+                });
+                links.push({ component: item.component, lot: lot.lot, quantity: drawn });
+            }
+
+            if (needed > 0) {
+                const last = candidates[candidates.length - 1];
+                const link = links.find(candidate => candidate.component === item.component && candidate.lot === last.lot);
+                if (link) {
+                    link.quantity = Math.round((link.quantity + needed) * 100) / 100;
+                    link.estimated = true;
+                } else {
+                    links.push({ component: item.component, lot: last.lot, quantity: needed, estimated: true });
+                }
+            }
+        }
+
+        return links;
+    }
+
+    // Search
+    async getAgents(records) {
+        const ids = [...new Set(records.map(record => record.agent_id).filter(Boolean))];
+        const profiles = ids.length ? await window.Database.getProfiles({ id: ids }) : [];
+        return new Map(profiles.map(profile => [profile.id, profile]));
+    }
+
+    describeRecords(records, agents) {
+        return records
+            .filter(record => record.status !== 'in_progress')
+            .map(record => {
+                const agent = agents.get(record.agent_id);
+                return {
+                    ...record,
+                    agent_name: agent?.full_name || '-',
+                    agent_matricule: agent?.matricule || null,
+                    shift: record.shift || agent?.shift || null,
+                    lots: record.lots || []
+                };
+            })
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    }
+
+    async traceForward(lotNumber) {
+        const lot = this.normalizeLot(lotNumber);
+        const deliveries = await window.Database.getLineLots({ lot });
+        if (deliveries.length === 0) {
+            throw new Error(`Lot inconnu: ${lot}`);
+        }
+
+        const calendar = window.shiftCalendar;
+        const from = calendar.toDateKey(new Date(Math.min(...deliveries.map(delivery => new Date(delivery.delivered_at).getTime()))));
+        const records = await window.Database.getProductionRecords({
+            production_line: [...new Set(deliveries.map(delivery => delivery.production_line))],
+            date: this.getDateKeys(from, calendar.toDateKey(new Date()))
+        });
+
+        const used = records.filter(record => (record.lots || []).some(link => link.lot === lot));
+        const parts = this.describeRecords(used, await this.getAgents(used)).map(record => ({
+            ...record,
+            lot_links: record.lots.filter(link => link.lot === lot)
+        }));
+
+        return {
+            lot,
+            deliveries: deliveries.sort((a, b) => new Date(a.delivered_at) - new Date(b.delivered_at)),
+            parts,
+            pieces: parts.filter(part => part.status !== 'defect').reduce((sum, part) => sum + (part.quantity || 0), 0),
+            references: [...new Set(parts.map(part => part.reference))]
+        };
+    }
+
+    async traceBackward({ reference, from, to = from, production_line = null }) {
+        const code = (reference || '').trim().toUpperCase();
+        if (!code) {
+            throw new Error('Référence requise');
+        }
+        if (!from) {
+            throw new Error('Date de production requise');
+        }
+
+        const records = await window.Database.getProductionRecords({
+            reference: code,
+            date: this.getDateKeys(from, to < from ? from : to),
+            production_line: production_line || undefined
+        });
+        const parts = this.describeRecords(records, await this.getAgents(records));
+
+        const lots = new Map();
+        parts.forEach(part => part.lots.forEach(link => {
+            const key = `${link.component}|${link.lot}`;
+            const entry = lots.get(key) || { component: link.component, lot: link.lot, quantity: 0, estimated: false };
+            entry.quantity = Math.round((entry.quantity + link.quantity) * 100) / 100;
+            entry.estimated = entry.estimated || !!link.estimated;
+            lots.set(key, entry);
+        }));
+
+        return {
+            reference: code,
+            parts,
+            pieces: parts.filter(part => part.status !== 'defect').reduce((sum, part) => sum + (part.quantity || 0), 0),
+            lots: [...lots.values()].sort((a, b) => a.component.localeCompare(b.component) || a.lot.localeCompare(b.lot)),
+            untraced: parts.filter(part => part.lots.length === 0).length
+        };
+    }
+
+    // Rendering
+    formatTime(value) {
+        return new Date(value).toLocaleString('fr-FR', {
+            day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    formatLinks(links) {
+        return links.map(link =>
+            `${window.escapeHtml(link.component)} <strong>${window.escapeHtml(link.lot)}</strong> × ${link.quantity}${link.estimated ? ' <small class="text-muted">(estimé)</small>' : ''}`
+        ).join('<br>') || '<span class="text-muted">Aucun lot</span>';
+    }
+
+    renderPartsTable(parts, lotsColumn, linksOf) {
+        const escapeHtml = window.escapeHtml;
+        return `
+            <div class="production-history">
+                <table class="production-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Poste</th>
+                            <th>Ligne</th>
+                            <th>Agent</th>
+                            <th>Référence</th>
+                            <th>Pièces</th>
+                            <th>${lotsColumn}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${parts.map(part => `
+                            <tr>
+                                <td>${this.formatTime(part.created_at)}</td>
+                                <td>${escapeHtml(part.shift || '-')}</td>
+                                <td>${escapeHtml(part.production_line || '-')}</td>
+                                <td>${escapeHtml(part.agent_name)}${part.agent_matricule ? ` <small class="text-muted">${escapeHtml(part.agent_matricule)}</small>` : ''}</td>
+                                <td>${escapeHtml(part.reference)}</td>
+                                <td>
+                                    ${part.quantity}
+                                    ${part.status === 'defect' ? '<span class="status-badge status-danger">Rebut</span>' : ''}
+                                </td>
+                                <td><small>${this.formatLinks(linksOf(part))}</small></td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="7" class="text-muted">Aucune production</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderForward(result) {
+        const escapeHtml = window.escapeHtml;
+        return `
+            <div class="trace-summary">
+                <strong>Lot ${escapeHtml(result.lot)}</strong>
+                <span>${result.pieces} pièce(s) bonne(s)</span>
+                <span>${escapeHtml(result.references.join(', ')) || 'aucune référence'}</span>
+            </div>
+            <div class="section-header">
+                <h3><i class="fas fa-truck-loading"></i> Livraisons du lot</h3>
+            </div>
+            <div class="production-history mb-4">
+                <table class="production-table">
+                    <thead>
+                        <tr>
+                            <th>Livré le</th>
+                            <th>Ligne</th>
+                            <th>Composant</th>
+                            <th>Quantité</th>
+                            <th>Restant estimé</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.deliveries.map(delivery => `
+                            <tr>
+                                <td>${this.formatTime(delivery.delivered_at)}</td>
+                                <td>${escapeHtml(delivery.production_line)}${delivery.line_side ? ` · ${escapeHtml(delivery.line_side)}` : ''}</td>
+                                <td>${escapeHtml(delivery.component)}</td>
+                                <td>${delivery.quantity}</td>
+                                <td>${delivery.depleted_at ? `Épuisé ${this.formatTime(delivery.depleted_at)}` : delivery.remaining}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="section-header">
+                <h3><i class="fas fa-cubes"></i> Pièces fabriquées avec ce lot</h3>
+            </div>
+            ${this.renderPartsTable(result.parts, 'Consommé', part => part.lot_links)}
+        `;
+    }
+
+    renderBackward(result) {
+        const escapeHtml = window.escapeHtml;
+        return `
+            <div class="trace-summary">
+                <strong>${escapeHtml(result.reference)}</strong>
+                <span>${result.pieces} pièce(s) bonne(s)</span>
+                <span>${result.lots.length} lot(s) composant</span>
+                ${result.untraced ? `<span class="status-badge status-warning">${result.untraced} enregistrement(s) sans lot</span>` : ''}
+            </div>
+            <div class="section-header">
+                <h3><i class="fas fa-tags"></i> Lots composants</h3>
+            </div>
+            <div class="production-history mb-4">
+                <table class="production-table">
+                    <thead>
+                        <tr>
+                            <th>Composant</th>
+                            <th>Lot</th>
+                            <th>Quantité consommée</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.lots.map(lot => `
+                            <tr>
+                                <td>${escapeHtml(lot.component)}</td>
+                                <td><a href="#" data-lot="${escapeHtml(lot.lot)}">${escapeHtml(lot.lot)}</a></td>
+                                <td>${lot.quantity}${lot.estimated ? ' <small class="text-muted">(estimé)</small>' : ''}</td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="3" class="text-muted">Aucun lot enregistré</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="section-header">
+                <h3><i class="fas fa-cubes"></i> Production</h3>
+            </div>
+            ${this.renderPartsTable(result.parts, 'Lots', part => part.lots)}
+        `;
+    }
+}
+
+// Search form of the supervisor and direction pages
+class TraceabilitySearch {
+    constructor(traceability) {
+        this.traceability = traceability;
+    }
+
+    async init() {
+        await window.plantRegistry.load().catch(error => {
+            console.warn('Plant structure unavailable:', error);
+        });
+
+        const today = window.shiftCalendar.toDateKey(new Date());
+        document.getElementById('traceFrom').value = today;
+        document.getElementById('traceTo').value = today;
+        window.plantRegistry.fillSelect(document.getElementById('traceLine'),
+            window.plantRegistry.getLines().map(line => ({ value: line.name, label: line.name })),
+            { placeholder: 'Toutes les lignes' });
+        this.setMode('forward');
+
+        // Lot links in the results and the override log trace that lot
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-lot]');
+            if (!link) return;
+            e.preventDefault();
+            this.traceLot(link.dataset.lot);
+        });
+
+        // Scanning a lot or a part label fills the search
+        window.scannerInput?.route('lot', scan => this.traceLot(scan.value));
+        window.scannerInput?.route('reference', scan => {
+            this.setMode('backward');
+            document.getElementById('traceReference').value = scan.value;
+            this.search();
+        });
+        window.scannerInput?.attach();
+    }
+
+    setMode(mode) {
+        document.getElementById('traceMode').value = mode;
+        document.querySelectorAll('[data-trace-mode]').forEach(element => {
+            element.style.display = element.dataset.traceMode === mode ? '' : 'none';
+        });
+    }
+
+    traceLot(lot) {
+        this.setMode('forward');
+        document.getElementById('traceLot').value = lot;
+        return this.search();
+    }
+
+    async search() {
+        const results = document.getElementById('traceResults');
+        const mode = document.getElementById('traceMode').value;
+
+        results.innerHTML = '<p class="text-muted">Recherche...</p>';
+        try {
+            results.innerHTML = mode === 'forward'
+                ? this.traceability.renderForward(await this.traceability.traceForward(document.getElementById('traceLot').value))
+                : this.traceability.renderBackward(await this.traceability.traceBackward({
+                    reference: document.getElementById('traceReference').value,
+                    from: document.getElementById('traceFrom').value,
+                    to: document.getElementById('traceTo').value,
+                    production_line: document.getElementById('traceLine').value || null
+                }));
+        } catch (error) {
+            results.innerHTML = `<p class="text-muted">${window.escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+// Initialize lot traceability
+window.lotTraceability = new LotTraceability();
+window.traceabilitySearch = new TraceabilitySearch(window.lotTraceability);
+
+// Global functions for HTML onclick handlers
+window.searchTraceability = () => window.traceabilitySearch.search();
+window.setTraceMode = (mode) => window.traceabilitySearch.setMode(mode);